@@ -0,0 +1,162 @@
+import { EventEmitter } from 'events';
+import { AMQPQueue } from '@cloudamqp/amqp-client';
+
+import ConnectionSupervisor from '../connection/connection-supervisor.js';
+import { preparePublisher, sendMessage } from '../publisher.js';
+
+/**
+ * AMQP 0-9-1 broker. the connection is supervised: it is reopened when it
+ * drops and `disconnected`, `reconnected`, `blocked` and `unblocked` are
+ * re-emitted. deliveries are the client messages, acked on their channel
+ * @class AmqpAdapter
+ */
+export default class AmqpAdapter extends EventEmitter {
+    #supervisor;
+    #depthChannel;
+
+    /**
+     * @param {object} options
+     * @param {string} options.name - broker name used in logs and events
+     * @param {string} options.url - amqp or amqps url
+     * @param {pino.Logger} options.logger
+     * @param {number} [options.backoff] - see ConnectionSupervisor
+     * @param {number} [options.maxBackoff]
+     * @param {number} [options.blockedCheckInterval]
+     * @param {function(string): Promise<AMQPBaseClient>} [options.connect] - opens a connection
+     */
+    constructor({ name, url, ...options }) {
+        super();
+        this.name = name;
+        this.url = url;
+        this.#supervisor = new ConnectionSupervisor({ name, url, ...options });
+        for (const event of ['disconnected', 'reconnected', 'blocked', 'unblocked']) {
+            this.#supervisor.on(event, (...args) => this.emit(event, ...args));
+        }
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get closed() {
+        return this.#supervisor.closed;
+    }
+
+    /**
+     * @returns {string|undefined} reason given by the broker while it blocks the connection
+     */
+    get blocked() {
+        return this.#supervisor.blocked;
+    }
+
+    /**
+     * opens the connection, failures are not retried
+     * @async
+     */
+    async connect() {
+        await this.#supervisor.start();
+    }
+
+    /**
+     * resolves once the connection is open, waits while reconnecting
+     * @async
+     */
+    async ready() {
+        await this.#supervisor.ready();
+    }
+
+    /**
+     * drops the connection and reconnects in the background
+     * @param {Error} [err] - cause
+     */
+    reconnect(err) {
+        this.#supervisor.reconnect(err);
+    }
+
+    /**
+     * @async
+     */
+    unblocked() {
+        return this.#supervisor.unblocked();
+    }
+
+    /**
+     * raw channel, for the AMQP only features such as the topology
+     * @async
+     * @param {number} [id]
+     * @returns {AMQPChannel}
+     */
+    channel(id) {
+        return this.#supervisor.channel(id);
+    }
+
+    /**
+     * passive declare on a dedicated channel, reopened if the broker closes it
+     * @async
+     * @param {string} queue
+     * @returns {number} messages ready
+     * @throws Error if the queue does not exist
+     */
+    async depth(queue) {
+        if (!this.#depthChannel || this.#depthChannel.closed) {
+            this.#depthChannel = await this.channel();
+        }
+        const { messageCount } = await this.#depthChannel.queueDeclare(queue, { passive: true });
+        return messageCount;
+    }
+
+    /**
+     * subscribes on a new channel, lost with the connection
+     * @async
+     * @param {string} queue
+     * @param {ConsumeOptions} options
+     * @param {function(Delivery): void} onMessage
+     * @returns {Consumer}
+     */
+    async consume(queue, { channel: id, prefetch, exclusive = true }, onMessage) {
+        const channel = await this.channel(id);
+        if (prefetch !== undefined) {
+            await channel.prefetch(prefetch);
+        }
+        await new AMQPQueue(channel, queue).subscribe({ exclusive, noAck: false }, onMessage);
+
+        return {
+            get closed() {
+                return channel.closed;
+            },
+            ack: (deliveryTag, multiple) => channel.basicAck(deliveryTag, multiple)
+        };
+    }
+
+    /**
+     * opens a channel in confirm mode. a failed publish (e.g. unknown exchange)
+     * closes it, the publisher is then `closed` and must be replaced
+     * @async
+     * @param {object} [options]
+     * @param {function(AMQPMessage): void} [options.onReturn] - mandatory messages returned by the broker
+     * @returns {Publisher}
+     */
+    async publisher({ onReturn } = {}) {
+        // waits while reconnecting
+        await this.ready();
+        const channel = await this.channel();
+        if (onReturn) {
+            channel.onReturn = onReturn;
+        }
+
+        return {
+            get closed() {
+                return channel.closed;
+            },
+            prepare: (queue) => preparePublisher(channel, queue),
+            publish: (data, queue) => sendMessage(channel, data, queue)
+        };
+    }
+
+    /**
+     * stops reconnecting and closes the connection
+     * @async
+     */
+    close() {
+        return this.#supervisor.close();
+    }
+}
@@ -0,0 +1,93 @@
+import AmqpAdapter from './amqp-adapter.js';
+import NdjsonFileAdapter from './ndjson-file-adapter.js';
+
+/**
+ * a message consumed from a source, acked or nacked once it is settled
+ * @typedef {object} Delivery
+ * @property {number} deliveryTag - increasing per consumer
+ * @property {boolean} redelivered
+ * @property {string} exchange
+ * @property {string} routingKey
+ * @property {object} properties
+ * @property {Uint8Array|null} body
+ * @property {function(boolean=): Promise<void>} ack - (multiple)
+ * @property {function(boolean=, boolean=): Promise<void>} nack - (requeue, multiple)
+ */
+
+/**
+ * @typedef {object} ConsumeOptions
+ * @property {number} [channel] - channel id, if the broker has channels
+ * @property {number} [prefetch] - unacked deliveries
+ * @property {boolean} [exclusive] - no other consumer on the queue
+ */
+
+/**
+ * @typedef {object} Consumer
+ * @property {boolean} closed - its unacked deliveries come back to a new consumer
+ * @property {function(number, boolean): Promise<void>} ack - (deliveryTag, multiple)
+ */
+
+/**
+ * @typedef {object} Publisher
+ * @property {boolean} closed - replaced by a new publisher for the next message
+ * @property {function(string=): Promise<void>} prepare - makes sure the destination queue exists
+ * @property {function(object, string=): Promise<string>} publish - sends a formatted message to the
+ *   queue, or to its exchange and routing key, in call order. resolved with the host once it is confirmed
+ */
+
+/**
+ * source or destination of a migration: connect, consume with ack and nack,
+ * publish with confirm and close. adapters are event emitters and may emit
+ * `disconnected`, `reconnected`, `blocked` and `unblocked`
+ * @typedef {object} BrokerAdapter
+ * @property {string} name - `source` or `dest`, used in logs and metrics
+ * @property {boolean} closed
+ * @property {string|undefined} blocked - reason while the broker refuses publishes
+ * @property {function(): Promise<void>} connect
+ * @property {function(): Promise<void>} ready - waits while reconnecting
+ * @property {function(Error=): void} reconnect - starts over after a failure
+ * @property {function(): Promise<void>} unblocked
+ * @property {function(string): Promise<number>} depth - messages waiting in a queue
+ * @property {function(string, ConsumeOptions, function(Delivery): void): Promise<Consumer>} consume
+ * @property {function(object=): Promise<Publisher>} publisher
+ * @property {function(): Promise<void>} close
+ */
+
+// adapters by URL protocol
+const ADAPTERS = {
+    'amqp:': AmqpAdapter,
+    'amqps:': AmqpAdapter,
+    'file:': NdjsonFileAdapter
+};
+
+export const ADAPTER_PROTOCOLS = Object.keys(ADAPTERS);
+
+/**
+ * @param {string} url
+ * @returns {boolean} true for amqp and amqps URLs
+ */
+export function isAmqpUrl(url) {
+    return ADAPTERS[new URL(url).protocol] === AmqpAdapter;
+}
+
+/**
+ * @param {string} url
+ * @returns {boolean} true if an adapter handles the URL protocol
+ */
+export function isSupportedUrl(url) {
+    return Object.hasOwn(ADAPTERS, new URL(url).protocol);
+}
+
+/**
+ * @param {string} url - amqp(s):// broker or file:// folder of NDJSON files
+ * @param {object} options - passed to the adapter: name, logger, reconnection backoff...
+ * @returns {BrokerAdapter}
+ * @throws TypeError if no adapter handles the URL protocol
+ */
+export function createAdapter(url, options) {
+    const Adapter = ADAPTERS[new URL(url).protocol];
+    if (!Adapter) {
+        throw new TypeError(`unsupported broker URL ${new URL(url).protocol}//, supported: ${ADAPTER_PROTOCOLS.join(', ')}`);
+    }
+    return new Adapter({ url, ...options });
+}
@@ -0,0 +1,440 @@
+import { EventEmitter } from 'events';
+import { createReadStream } from 'fs';
+import { mkdir, appendFile, readFile, writeFile, rename, stat } from 'fs/promises';
+import { createInterface } from 'readline';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import assert from 'assert';
+
+import BaseLogger from '../logger/base-logger.js';
+
+export const FILE_EXTENSION = '.ndjson';
+export const OFFSET_EXTENSION = '.offset';
+
+/**
+ * folder of NDJSON files, one per queue, used as a source or a destination to
+ * export a queue to disk and import it into another broker offline. a line
+ * holds the exchange, routing key, properties and body of a message, binary
+ * bodies are encoded as in the archive. a consumed file is never modified, the
+ * count of leading lines acked is saved next to it so an import resumes
+ * @class NdjsonFileAdapter
+ */
+export default class NdjsonFileAdapter extends EventEmitter {
+    #open = false;
+    #codec;
+    #consumers = new Map();
+    #writes = new Map();
+    #lineCounts = new Map();
+
+    /**
+     * @param {object} options
+     * @param {string} options.name - broker name used in logs and events
+     * @param {string} options.url - file:// URL of the folder
+     * @param {pino.Logger} [options.logger]
+     */
+    constructor({ name, url, logger = console }) {
+        super();
+        this.name = name;
+        this.url = url;
+        this.path = fileURLToPath(url);
+        this.logger = logger;
+        // same body encoding as the archive, without redaction nor encryption
+        this.#codec = new BaseLogger({ logger, enabled: true });
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get closed() {
+        return !this.#open;
+    }
+
+    /**
+     * files are never blocked
+     * @returns {undefined}
+     */
+    get blocked() {
+        return undefined;
+    }
+
+    /**
+     * creates the folder if it is missing
+     * @async
+     */
+    async connect() {
+        await mkdir(this.path, { recursive: true });
+        this.#open = true;
+    }
+
+    /**
+     * @async
+     * @throws Error once closed
+     */
+    async ready() {
+        if (!this.#open) {
+            throw new Error(`${this.name} files are closed`);
+        }
+    }
+
+    /**
+     * there is no connection to reopen
+     * @param {Error} [err] - cause
+     */
+    reconnect(err) {
+        this.logger.error(err, `Unable to use the ${this.name} files`);
+    }
+
+    /**
+     * @async
+     */
+    unblocked() {
+        return Promise.resolve();
+    }
+
+    /**
+     * @param {string} queue
+     * @returns {string} path of the file of the queue
+     */
+    fileOf(queue) {
+        return join(this.path, `${encodeURIComponent(queue)}${FILE_EXTENSION}`);
+    }
+
+    /**
+     * @async
+     * @param {string} queue
+     * @returns {number} messages not delivered yet
+     * @throws Error if the queue has no file
+     */
+    async depth(queue) {
+        const consumer = this.#consumers.get(queue);
+        if (consumer) {
+            return consumer.depth;
+        }
+        return Math.max(0, await this.#countLines(queue) - await this.#readOffset(queue));
+    }
+
+    /**
+     * reads the file of the queue from the first line not acked yet. one
+     * consumer per queue, deliveries are paced by prefetch
+     * @async
+     * @param {string} queue
+     * @param {ConsumeOptions} options - channel and exclusive do not apply
+     * @param {function(Delivery): void} onMessage
+     * @returns {Consumer}
+     * @throws Error if the queue has no file
+     */
+    async consume(queue, { prefetch }, onMessage) {
+        await this.ready();
+        assert.ok(!this.#consumers.has(queue), `file queue ${queue} can only have one consumer`);
+
+        const consumer = new FileConsumer({
+            file: this.fileOf(queue),
+            total: await this.#countLines(queue),
+            offset: await this.#readOffset(queue),
+            prefetch,
+            codec: this.#codec,
+            logger: this.logger,
+            onMessage,
+            saveOffset: (offset) => this.#saveOffset(queue, offset)
+        });
+        this.#consumers.set(queue, consumer);
+
+        // delivers once the caller holds the consumer
+        setImmediate(() => consumer.start().catch((err) => {
+            this.logger.error(err, `Unable to read the file of ${queue}`);
+            this.#consumers.delete(queue);
+        }));
+        return consumer;
+    }
+
+    /**
+     * appends to the file of the destination queue, or of the exchange (the
+     * routing key on the default exchange). a message is confirmed once written
+     * @async
+     * @returns {Publisher}
+     */
+    async publisher() {
+        await this.ready();
+        const adapter = this;
+
+        return {
+            get closed() {
+                return adapter.closed;
+            },
+            prepare: async () => {},
+            publish: (data, queue) => this.#append(queue ?? (data.exchange || data.routingKey || 'default'), data)
+        };
+    }
+
+    /**
+     * stops the consumers, then waits for the pending writes
+     * @async
+     */
+    async close() {
+        this.#open = false;
+        for (const consumer of this.#consumers.values()) {
+            consumer.close();
+        }
+        await Promise.all([...this.#writes.values(), ...Array.from(this.#consumers.values(), (consumer) => consumer.saved)]);
+        this.#consumers.clear();
+    }
+
+    /**
+     * writes are chained per file so messages keep the order of the calls
+     * @returns {Promise<string>} path of the file
+     */
+    #append(name, { exchange, routingKey, properties, body }) {
+        if (!this.#open) {
+            return Promise.reject(new Error(`${this.name} files are closed`));
+        }
+
+        const file = this.fileOf(name);
+        const line = this.#codec.serialize({ exchange, routingKey, properties, body }) + '\n';
+        const written = (this.#writes.get(file) ?? Promise.resolve()).then(() => appendFile(file, line));
+        this.#writes.set(file, written.catch(() => {}));
+        return written.then(() => file);
+    }
+
+    /**
+     * non-empty lines of the file of a queue, cached while the file is unchanged
+     * @async
+     * @param {string} queue
+     * @returns {number}
+     */
+    async #countLines(queue) {
+        const file = this.fileOf(queue);
+        let stats;
+        try {
+            stats = await stat(file);
+        } catch(err) {
+            throw new Error(`queue ${queue} has no file ${file}: ${err.code ?? err.message}`);
+        }
+
+        const cached = this.#lineCounts.get(file);
+        if (cached?.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+            return cached.count;
+        }
+
+        let count = 0;
+        for await (const line of createInterface({ input: createReadStream(file), crlfDelay: Infinity })) {
+            if (line.trim()) count++;
+        }
+        this.#lineCounts.set(file, { size: stats.size, mtimeMs: stats.mtimeMs, count });
+        return count;
+    }
+
+    /**
+     * @async
+     * @param {string} queue
+     * @returns {number} leading lines acked by an earlier import
+     */
+    async #readOffset(queue) {
+        try {
+            return JSON.parse(await readFile(this.fileOf(queue) + OFFSET_EXTENSION, { encoding: 'utf8' })).acked;
+        } catch(err) {
+            if (err.code === 'ENOENT') return 0;
+            throw err;
+        }
+    }
+
+    /**
+     * replaced atomically, a crash leaves the previous offset
+     * @async
+     */
+    async #saveOffset(queue, acked) {
+        const path = this.fileOf(queue) + OFFSET_EXTENSION;
+        await writeFile(`${path}.tmp`, JSON.stringify({ acked, updatedAt: new Date().toISOString() }));
+        await rename(`${path}.tmp`, path);
+    }
+}
+
+/**
+ * deliveries of one file. lines are delivered in order, nacked lines that are
+ * requeued come back first with `redelivered`
+ * @class FileConsumer
+ */
+class FileConsumer {
+    #tag = 0;
+    #read = 0;
+    #acked;
+    #ackedLines = new Set();
+    #unacked = new Map();
+    #requeued = [];
+    #waiters = [];
+    #closed = false;
+
+    /**
+     * @param {object} options
+     * @param {string} options.file
+     * @param {number} options.total - non-empty lines of the file
+     * @param {number} options.offset - leading lines already acked
+     * @param {number} [options.prefetch] - unacked deliveries, no limit if not set
+     * @param {BaseLogger} options.codec
+     * @param {pino.Logger} options.logger
+     * @param {function(Delivery): void} options.onMessage
+     * @param {function(number): Promise<void>} options.saveOffset
+     */
+    constructor({ file, total, offset, prefetch, codec, logger, onMessage, saveOffset }) {
+        this.file = file;
+        this.total = total;
+        this.#acked = offset;
+        this.prefetch = prefetch || Infinity;
+        this.codec = codec;
+        this.logger = logger;
+        this.onMessage = onMessage;
+        this.saveOffset = saveOffset;
+        this.saved = Promise.resolve();
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get closed() {
+        return this.#closed;
+    }
+
+    /**
+     * @returns {number} lines not delivered yet, requeued ones included
+     */
+    get depth() {
+        return Math.max(0, this.total - Math.max(this.#read, this.#acked)) + this.#requeued.length;
+    }
+
+    /**
+     * reads the file until its end or until the consumer is closed
+     * @async
+     */
+    async start() {
+        let line = 0;
+        for await (const text of createInterface({ input: createReadStream(this.file), crlfDelay: Infinity })) {
+            if (this.#closed) break;
+            if (!text.trim()) continue;
+
+            const position = line++;
+            if (position < this.#acked) continue;
+
+            await this.#slot();
+            if (this.#closed) break;
+            this.#deliver(position, text, false);
+            this.#read = line;
+        }
+    }
+
+    /**
+     * @param {number} deliveryTag
+     * @param {boolean} [multiple] - also every earlier delivery
+     * @returns {Promise<void>} resolved once the offset is saved
+     */
+    ack(deliveryTag, multiple = false) {
+        for (const { position } of this.#take(deliveryTag, multiple)) {
+            this.#ackedLines.add(position);
+        }
+        return this.#settled();
+    }
+
+    /**
+     * @param {number} deliveryTag
+     * @param {boolean} [requeue] - delivered again, otherwise dropped
+     * @param {boolean} [multiple] - also every earlier delivery
+     * @returns {Promise<void>}
+     */
+    nack(deliveryTag, requeue = false, multiple = false) {
+        for (const delivery of this.#take(deliveryTag, multiple)) {
+            if (requeue) {
+                this.#requeued.push(delivery);
+            } else {
+                this.logger.warn(`Dropping line ${delivery.position + 1} of ${this.file}, it was nacked`);
+                this.#ackedLines.add(delivery.position);
+            }
+        }
+        return this.#settled();
+    }
+
+    close() {
+        this.#closed = true;
+        this.#release();
+    }
+
+    /**
+     * @returns {object[]} unacked deliveries settled by an ack or a nack
+     */
+    #take(deliveryTag, multiple) {
+        const taken = [];
+        for (const [tag, delivery] of this.#unacked) {
+            if (tag === deliveryTag || (multiple && tag < deliveryTag)) {
+                this.#unacked.delete(tag);
+                taken.push(delivery);
+            }
+        }
+        return taken;
+    }
+
+    /**
+     * saves the offset when the acked lines are contiguous further, then
+     * makes room for the next deliveries
+     */
+    #settled() {
+        const previous = this.#acked;
+        while (this.#ackedLines.delete(this.#acked)) {
+            this.#acked++;
+        }
+        if (this.#acked !== previous) {
+            const acked = this.#acked;
+            this.saved = this.saved.then(() => this.saveOffset(acked)).catch((err) => {
+                this.logger.error(err, `Unable to save the offset of ${this.file}`);
+            });
+        }
+
+        this.#release();
+        return this.saved;
+    }
+
+    /**
+     * resolves once a delivery can be made, requeued lines go first
+     * @async
+     */
+    #slot() {
+        if (this.#closed || (this.#unacked.size < this.prefetch && this.#requeued.length === 0)) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve) => this.#waiters.push(resolve));
+    }
+
+    #release() {
+        while (!this.#closed && this.#requeued.length > 0 && this.#unacked.size < this.prefetch) {
+            const { position, text } = this.#requeued.shift();
+            this.#deliver(position, text, true);
+        }
+        if (this.#closed || this.#unacked.size < this.prefetch) {
+            this.#waiters.splice(0).forEach((resolve) => resolve());
+        }
+    }
+
+    #deliver(position, text, redelivered) {
+        let message;
+        try {
+            message = this.codec.deserialize(text);
+        } catch(err) {
+            this.logger.warn(err, `Skipping line ${position + 1} of ${this.file}, it is not valid JSON`);
+            this.#ackedLines.add(position);
+            this.#settled();
+            return;
+        }
+
+        const deliveryTag = ++this.#tag;
+        this.#unacked.set(deliveryTag, { position, text });
+
+        const { exchange = '', routingKey = '', properties = {}, body = null } = message;
+        this.onMessage({
+            deliveryTag,
+            redelivered,
+            exchange,
+            routingKey,
+            // JSON turns the timestamp into a string, the client gives a Date
+            properties: typeof properties.timestamp === 'string' ? { ...properties, timestamp: new Date(properties.timestamp) } : properties,
+            body: typeof body === 'string' ? new Uint8Array(Buffer.from(body)) : body,
+            ack: (multiple = false) => this.ack(deliveryTag, multiple),
+            nack: (requeue = false, multiple = false) => this.nack(deliveryTag, requeue, multiple)
+        });
+    }
+}
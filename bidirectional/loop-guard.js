@@ -0,0 +1,66 @@
+import assert from 'assert';
+
+export const ORIGIN_HEADER = 'x-migration-origin';
+export const HOPS_HEADER = 'x-migration-hops';
+
+/**
+ * @param {string} url - amqp url, or file url of a folder of NDJSON files
+ * @returns {string} `host:port/vhost`, the same for every credential
+ */
+export function brokerId(url) {
+    const { protocol, hostname, port, pathname } = new URL(url);
+    if (protocol === 'file:') {
+        return `file:${decodeURIComponent(pathname)}`;
+    }
+    const vhost = decodeURIComponent(pathname.slice(1)) || '/';
+    return `${hostname}:${port || (protocol === 'amqps:' ? 5671 : 5672)}/${vhost === '/' ? '' : vhost}`;
+}
+
+/**
+ * keeps forwarded messages from looping between brokers. every forwarded
+ * message carries the broker it was first published on and the number of
+ * times it was forwarded. a message is not forwarded back to its origin
+ * @class LoopGuard
+ */
+export default class LoopGuard {
+    /**
+     * @param {object} options
+     * @param {string} options.from - id of the broker the messages are consumed from
+     * @param {string} options.to - id of the broker they are forwarded to
+     * @param {number} [options.maxHops] - forwards before a message is dropped anyway
+     */
+    constructor({ from, to, maxHops = 10 }) {
+        assert.ok(from && to && from !== to, 'the brokers of a loop guard must have different ids');
+        this.from = from;
+        this.to = to;
+        this.maxHops = maxHops;
+    }
+
+    /**
+     * @param {any} message - formatted message
+     * @returns {{ forward: boolean, reason?: 'origin'|'hops', origin?: string, hops: number }}
+     */
+    check(message) {
+        const headers = message.properties?.headers ?? {};
+        const origin = headers[ORIGIN_HEADER] === undefined ? undefined : String(headers[ORIGIN_HEADER]);
+        const hops = parseInt(headers[HOPS_HEADER] ?? 0, 10) || 0;
+
+        if (origin === this.to) {
+            return { forward: false, reason: 'origin', origin, hops };
+        }
+        if (hops >= this.maxHops) {
+            return { forward: false, reason: 'hops', origin, hops };
+        }
+        return { forward: true, origin, hops };
+    }
+
+    /**
+     * @param {any} message - message to publish
+     * @returns {any} copy with the origin (kept if it is set) and one more hop
+     */
+    stamp(message) {
+        const { origin, hops } = this.check(message);
+        const headers = { ...message.properties?.headers, [ORIGIN_HEADER]: origin ?? this.from, [HOPS_HEADER]: hops + 1 };
+        return { ...message, properties: { ...message.properties, headers } };
+    }
+}
@@ -0,0 +1,55 @@
+import { readFile, writeFile, rename } from 'fs/promises';
+import assert from 'assert';
+
+/**
+ * keeps the checkpoint of every run in its own JSON file, `checkpoint-<run id>.json`.
+ * files are replaced atomically so a crash never leaves half a checkpoint
+ * @class FileCheckpointStore
+ */
+export default class FileCheckpointStore {
+    /**
+     * @param {object} options
+     * @param {string} options.path - folder of the checkpoint files
+     */
+    constructor({ path }) {
+        this.path = path;
+    }
+
+    checkpointFile(runId) {
+        return `${this.path}/checkpoint-${runId}.json`;
+    }
+
+    /**
+     * @async
+     * @param {string} runId
+     * @returns {object|undefined} saved record, undefined for a new run
+     */
+    async loadCheckpoint(runId) {
+        assert.ok(typeof runId === 'string', 'run id must be string');
+        try {
+            return JSON.parse(await readFile(this.checkpointFile(runId), { encoding: 'utf8' }));
+        } catch(err) {
+            if (err.code === 'ENOENT') return;
+            throw err;
+        }
+    }
+
+    /**
+     * @async
+     * @param {string} runId
+     * @param {object} record
+     * @throws Error if the file can not be written
+     */
+    async saveCheckpoint(runId, record) {
+        assert.ok(typeof runId === 'string', 'run id must be string');
+        const file = this.checkpointFile(runId);
+        await writeFile(`${file}.tmp`, JSON.stringify(record, null, 2));
+        await rename(`${file}.tmp`, file);
+    }
+
+    /**
+     * nothing is kept open
+     * @async
+     */
+    async close() {}
+}
@@ -0,0 +1,120 @@
+import { createHash } from 'crypto';
+
+// what a restart does when the configuration of the run changed
+export const CONFIG_CHANGE_ACTIONS = ['warn', 'refuse'];
+
+/**
+ * sha256 of the configuration, independent of the key order
+ * @param {any} config - JSON values
+ * @returns {string} hex digest
+ */
+export function configHash(config) {
+    return createHash('sha256').update(stableStringify(config)).digest('hex');
+}
+
+/**
+ * persistent record of a migration run: counters and last archived id per
+ * source queue, timestamps and the hash of the configuration it was started
+ * with. a restart with the same run id resumes the record
+ * @class RunCheckpoint
+ */
+export default class RunCheckpoint {
+    /**
+     * @param {object} record
+     * @param {string} record.runId
+     * @param {string} record.configHash
+     * @param {string} [record.status] - 'running' until the run stops
+     * @param {string} [record.startedAt] - first start of the run
+     * @param {string} [record.updatedAt]
+     * @param {string} [record.finishedAt]
+     * @param {number} [record.restarts]
+     * @param {object[]} [record.queues] - progress snapshots
+     */
+    constructor({ runId, configHash, status = 'running', startedAt = new Date().toISOString(), updatedAt, finishedAt, restarts = 0, queues = [] }) {
+        this.runId = runId;
+        this.configHash = configHash;
+        this.status = status;
+        this.startedAt = startedAt;
+        this.updatedAt = updatedAt ?? startedAt;
+        this.finishedAt = finishedAt;
+        this.restarts = restarts;
+        this.queues = queues;
+    }
+
+    /**
+     * resumes a saved run, or starts a new one
+     * @param {object} options
+     * @param {string} options.runId
+     * @param {string} options.configHash - hash of the current configuration
+     * @param {object} [options.saved] - record loaded from the checkpoint store
+     * @param {'warn'|'refuse'} [options.onConfigChange]
+     * @param {pino.Logger} [options.logger]
+     * @returns {RunCheckpoint}
+     * @throws Error if the configuration changed and `onConfigChange` is refuse
+     */
+    static resume({ runId, configHash, saved, onConfigChange = 'warn', logger = console }) {
+        if (!saved) {
+            return new RunCheckpoint({ runId, configHash });
+        }
+
+        if (saved.configHash !== configHash) {
+            const message = `run ${runId} was started with another configuration (${saved.configHash.slice(0, 12)}, now ${configHash.slice(0, 12)})`;
+            if (onConfigChange === 'refuse') {
+                throw new Error(`${message}, use a new RUN_ID`);
+            }
+            logger.warn(`${message}, resuming it anyway`);
+        }
+
+        return new RunCheckpoint({
+            ...saved,
+            configHash,
+            status: 'running',
+            finishedAt: undefined,
+            restarts: (saved.restarts ?? 0) + 1
+        });
+    }
+
+    /**
+     * @param {string} queue - source queue
+     * @returns {object|undefined} progress snapshot saved for the queue
+     */
+    progressOf(queue) {
+        return this.queues.find((snapshot) => snapshot.queue === queue);
+    }
+
+    /**
+     * records the progress of the queues. queues missing from the snapshot
+     * (e.g. removed from the plan) keep their saved counters
+     * @param {object[]} progress - progress snapshots
+     * @param {string} [status] - 'running', or how the run ended
+     */
+    update(progress, status = this.status) {
+        const queues = new Map(this.queues.map((snapshot) => [snapshot.queue, snapshot]));
+        progress.forEach((snapshot) => queues.set(snapshot.queue, snapshot));
+
+        this.queues = Array.from(queues.values());
+        this.status = status;
+        this.updatedAt = new Date().toISOString();
+        if (status !== 'running') {
+            this.finishedAt = this.updatedAt;
+        }
+    }
+
+    toJSON() {
+        const { runId, configHash, status, startedAt, updatedAt, finishedAt, restarts, queues } = this;
+        return { runId, configHash, status, startedAt, updatedAt, finishedAt, restarts, queues };
+    }
+}
+
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort()
+            .filter((key) => value[key] !== undefined)
+            .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
@@ -0,0 +1,97 @@
+import { loadConfig, formatHelp, ConfigError } from './config/load-config.js';
+import { COMMANDS } from './config/options.js';
+
+// drain statuses without an exit code fail
+const DRAIN_EXIT_CODES = { drained: 0, 'dry-run': 0, incomplete: 2 };
+
+/**
+ * each command receives its resolved options and returns the exit code.
+ * modules are only loaded by their command
+ */
+const handlers = {
+    async migrate(config) {
+        const { createRunner } = await import('./runner.js');
+        const runner = await createRunner(config);
+
+        const stop = () => runner.shutdown()
+            .then(() => process.exit(0))
+            .catch((err) => {
+                console.error(err);
+                process.abort();
+            });
+        process.on('SIGINT', stop);
+        process.on('SIGTERM', stop);
+
+        if (config.drain) {
+            const summary = await runner.drain();
+            console.log(JSON.stringify(summary));
+            return DRAIN_EXIT_CODES[summary.status] ?? 1;
+        }
+
+        // keeps running, unless it only printed the topology changes
+        const changes = await runner.run();
+        return changes ? 0 : undefined;
+    },
+
+    async replay(config) {
+        const { replay } = await import('./replayer.js');
+        const { failed, redacted } = await replay(config);
+        return failed || redacted ? 1 : 0;
+    },
+
+    async verify(config) {
+        const { verify } = await import('./verifier.js');
+        const report = await verify(config);
+        console.log(JSON.stringify(report));
+        return report.status === 'verified' ? 0 : 1;
+    },
+
+    async inspect(config) {
+        const { inspect } = await import('./inspector.js');
+        console.log(JSON.stringify(await inspect(config), null, 2));
+        return 0;
+    },
+
+    async prune(config) {
+        const { prune } = await import('./pruner.js');
+        console.log(JSON.stringify(await prune(config)));
+        return 0;
+    }
+};
+
+/**
+ * `amqp-migrate <command> [options]`. without a command, or with only flags,
+ * the migration runs as in the first versions (`node index.js --drain`)
+ * @async
+ * @param {string[]} argv - arguments after the script
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {number|undefined} exit code, undefined while the migration keeps running
+ */
+export async function main(argv, env) {
+    const [first] = argv;
+    if (first === 'help' || first === '--help' || first === '-h') {
+        console.log(formatHelp(argv[1]));
+        return 0;
+    }
+
+    const command = first === undefined || first.startsWith('-') ? 'migrate' : first;
+    const args = command === first ? argv.slice(1) : argv;
+    if (!COMMANDS[command]) {
+        console.error(`unknown command ${command}\n\n${formatHelp()}`);
+        return 1;
+    }
+    if (args.includes('--help') || args.includes('-h')) {
+        console.log(formatHelp(command));
+        return 0;
+    }
+
+    let config;
+    try {
+        config = await loadConfig(command, { argv: args, env });
+    } catch(err) {
+        if (!(err instanceof ConfigError)) throw err;
+        console.error(`${err.message}\n\nRun amqp-migrate ${command} --help for its options.`);
+        return 1;
+    }
+    return handlers[command](config);
+}
@@ -0,0 +1,306 @@
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import { parseArgs } from 'util';
+import yaml from 'js-yaml';
+
+import { COMMANDS, CONFIG_OPTION } from './options.js';
+
+/**
+ * every problem found in a configuration, reported at once
+ * @class ConfigError
+ */
+export class ConfigError extends Error {
+    /**
+     * @param {string} command
+     * @param {string[]} errors
+     */
+    constructor(command, errors) {
+        super(`invalid ${command} configuration:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.command = command;
+        this.errors = errors;
+    }
+}
+
+/**
+ * @param {OptionDefinition} option
+ * @returns {string} command line flag, without dashes
+ */
+export function flagOf(option) {
+    return option.flag ?? option.key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * fills the defaults, converts and validates the options of a command. values
+ * may be strings, as read from the environment, or already typed
+ * @param {string} command - one of COMMANDS
+ * @param {object} [options] - by option key
+ * @returns {object} typed options, by key
+ * @throws ConfigError listing every invalid or missing option
+ */
+export function resolveConfig(command, options = {}) {
+    const definition = COMMANDS[command];
+    if (!definition) {
+        throw new ConfigError(command, [`unknown command ${command}, commands: ${Object.keys(COMMANDS).join(', ')}`]);
+    }
+
+    const known = new Set([CONFIG_OPTION.key, ...definition.options.map(({ key }) => key)]);
+    if (definition.positionals) known.add(definition.positionals.key);
+
+    const errors = Object.keys(options)
+        .filter((key) => !known.has(key))
+        .map((key) => `unknown option ${key}`);
+
+    // defaults computed from other options come last
+    const ordered = [
+        ...definition.options.filter((option) => typeof option.default !== 'function'),
+        ...definition.options.filter((option) => typeof option.default === 'function')
+    ];
+
+    const config = {};
+    for (const option of ordered) {
+        let value = options[option.key];
+        if (value === undefined || value === '') {
+            value = typeof option.default === 'function' ? option.default(config) : option.default;
+        }
+
+        if (value === undefined) {
+            if (option.required) {
+                errors.push(`${labelOf(option)} is required`);
+            }
+            continue;
+        }
+
+        try {
+            config[option.key] = convert(option, value);
+        } catch(err) {
+            errors.push(`${labelOf(option)} ${err.message}`);
+        }
+    }
+
+    if (definition.positionals) {
+        config[definition.positionals.key] = [].concat(options[definition.positionals.key] ?? []).map(String);
+    }
+
+    // rules only make sense once every option is valid
+    if (errors.length === 0) {
+        for (const { check, message } of definition.rules ?? []) {
+            if (!check(config)) {
+                errors.push(typeof message === 'function' ? message() : message);
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(command, errors);
+    }
+    return config;
+}
+
+/**
+ * reads the options of a command from its defaults, a config file, the
+ * environment and the command line flags, each one overriding the previous
+ * @async
+ * @param {string} command - one of COMMANDS
+ * @param {object} [sources]
+ * @param {string[]} [sources.argv] - arguments after the command
+ * @param {NodeJS.ProcessEnv} [sources.env]
+ * @returns {object} typed options, see resolveConfig
+ * @throws ConfigError
+ */
+export async function loadConfig(command, { argv = [], env = {} } = {}) {
+    const definition = COMMANDS[command];
+    if (!definition) {
+        throw new ConfigError(command, [`unknown command ${command}, commands: ${Object.keys(COMMANDS).join(', ')}`]);
+    }
+
+    const { values, positionals } = parseFlags(command, argv);
+
+    const file = values[CONFIG_OPTION.key] ?? env[CONFIG_OPTION.env];
+    const options = file ? await readConfigFile(command, file) : {};
+
+    for (const option of definition.options) {
+        if (option.env && env[option.env] !== undefined && env[option.env] !== '') {
+            options[option.key] = env[option.env];
+        }
+        if (values[option.key] !== undefined) {
+            options[option.key] = values[option.key];
+        }
+    }
+
+    if (definition.positionals) {
+        options[definition.positionals.key] = positionals;
+    }
+    return resolveConfig(command, options);
+}
+
+/**
+ * @param {string} [command] - usage of one command, or the list of commands
+ * @returns {string}
+ */
+export function formatHelp(command) {
+    const definition = COMMANDS[command];
+    if (!definition) {
+        const width = Math.max(...Object.keys(COMMANDS).map((name) => name.length));
+        return [
+            'Usage: amqp-migrate <command> [options]',
+            '',
+            'Commands:',
+            ...Object.entries(COMMANDS).map(([name, { summary }]) => `  ${name.padEnd(width)}  ${summary}`),
+            '',
+            'Run amqp-migrate <command> --help for the options of a command.'
+        ].join('\n');
+    }
+
+    const options = [CONFIG_OPTION, ...definition.options];
+    const flags = options.map((option) => `--${flagOf(option)}${option.type === 'boolean' ? '' : ` <${option.type ?? 'string'}>`}`);
+    const width = Math.max(...flags.map((flag) => flag.length));
+    const positional = definition.positionals ? ` [${definition.positionals.name}...]` : '';
+
+    return [
+        `Usage: amqp-migrate ${command} [options]${positional}`,
+        '',
+        definition.summary,
+        '',
+        'Options:',
+        ...options.map((option, index) => `  ${flags[index].padEnd(width)}  ${describe(option)}`),
+        `  ${'--help'.padEnd(width)}  Shows this help`,
+        '',
+        'Every option can be set in the config file by its name, e.g. sourceUrl, or with the environment variable in brackets.'
+    ].join('\n');
+}
+
+/**
+ * @returns {{ values: object, positionals: string[] }} values by option key
+ * @throws ConfigError on unknown flags or missing values
+ */
+function parseFlags(command, argv) {
+    const definition = COMMANDS[command];
+    const options = [CONFIG_OPTION, ...definition.options];
+
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            options: Object.fromEntries(options.map((option) => [flagOf(option), { type: option.type === 'boolean' ? 'boolean' : 'string' }])),
+            allowPositionals: Boolean(definition.positionals),
+            allowNegative: true,
+            strict: true
+        });
+    } catch(err) {
+        throw new ConfigError(command, [err.message]);
+    }
+
+    const values = {};
+    for (const option of options) {
+        values[option.key] = parsed.values[flagOf(option)];
+    }
+    return { values, positionals: parsed.positionals };
+}
+
+/**
+ * JSON or YAML, with the options by key. options of the other commands are
+ * ignored so one file can configure every command
+ * @async
+ * @returns {object}
+ * @throws ConfigError if the file can not be read or has unknown options
+ */
+async function readConfigFile(command, path) {
+    let content;
+    try {
+        content = await readFile(path, { encoding: 'utf8' });
+    } catch(err) {
+        throw new ConfigError(command, [`unable to read the config file ${path}: ${err.message}`]);
+    }
+
+    let parsed;
+    try {
+        const ext = extname(path).toLowerCase();
+        parsed = ext === '.yaml' || ext === '.yml' ? yaml.load(content) : JSON.parse(content);
+    } catch(err) {
+        throw new ConfigError(command, [`unable to parse the config file ${path}: ${err.message}`]);
+    }
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new ConfigError(command, [`the config file ${path} must hold an object of options`]);
+    }
+
+    const everyKey = new Set(Object.values(COMMANDS).flatMap(({ options }) => options.map(({ key }) => key)));
+    const unknown = Object.keys(parsed).filter((key) => !everyKey.has(key));
+    if (unknown.length > 0) {
+        throw new ConfigError(command, unknown.map((key) => `unknown option ${key} in the config file ${path}`));
+    }
+
+    const keys = new Set(COMMANDS[command].options.map(({ key }) => key));
+    return Object.fromEntries(Object.entries(parsed).filter(([key]) => keys.has(key)));
+}
+
+/**
+ * @returns {any} the value in the type of the option
+ * @throws Error with the reason the value is invalid
+ */
+function convert(option, value) {
+    switch (option.type) {
+        case 'number': {
+            const number = typeof value === 'number' ? value : /^\d+$/.test(String(value).trim()) ? parseInt(value, 10) : NaN;
+            if (!Number.isInteger(number) || number < 0) {
+                throw new Error(`must be a whole number, got ${value}`);
+            }
+            return number;
+        }
+        case 'boolean': {
+            if (typeof value === 'boolean') return value;
+            const text = String(value).trim().toLowerCase();
+            if (['true', 'yes', '1'].includes(text)) return true;
+            if (['false', 'no', '0'].includes(text)) return false;
+            throw new Error(`must be true or false, got ${value}`);
+        }
+        case 'list': {
+            const list = Array.isArray(value) ? value.map(String) : String(value).split(',');
+            return list.map((item) => item.trim()).filter(Boolean);
+        }
+        case 'url':
+            try {
+                new URL(value);
+            } catch {
+                throw new Error(`must be a URL, got ${value}`);
+            }
+            return String(value);
+        case 'date':
+            if (Number.isNaN(Date.parse(value))) {
+                throw new Error(`must be a date (ISO 8601), got ${value}`);
+            }
+            return String(value);
+    }
+
+    const text = String(value);
+    const values = typeof option.values === 'function' ? option.values() : option.values;
+    if (values && !values.includes(text)) {
+        throw new Error(`must be one of ${values.join(', ')}, got ${text}`);
+    }
+    if (option.pattern && !option.pattern.test(text)) {
+        throw new Error(`must match ${option.pattern}, got ${text}`);
+    }
+    return text;
+}
+
+/**
+ * @returns {string} how the option is set, for error messages
+ */
+function labelOf(option) {
+    return option.env ? `${option.env} (--${flagOf(option)})` : `--${flagOf(option)}`;
+}
+
+/**
+ * @returns {string} help line of an option
+ */
+function describe(option) {
+    const notes = [];
+    const values = typeof option.values === 'function' ? option.values() : option.values;
+    if (values) notes.push(`one of ${values.join(', ')}`);
+    if (option.required) notes.push('required');
+    if (option.default !== undefined && typeof option.default !== 'function' && !(Array.isArray(option.default) && option.default.length === 0) && option.default !== '') {
+        notes.push(`default ${option.default}`);
+    }
+    const env = option.env ? ` [${option.env}]` : '';
+    return `${option.description}${notes.length ? ` (${notes.join(', ')})` : ''}${env}`;
+}
@@ -0,0 +1,262 @@
+import { BaseLogger, configuredBackends } from '../logger/index.js';
+import { FILE_LOGGER_MODES } from '../logger/file-logger.js';
+import { ID_SCHEMES } from '../id/id-generator.js';
+import { CONFIG_CHANGE_ACTIONS } from '../checkpoint/run-checkpoint.js';
+import { brokerId } from '../bidirectional/loop-guard.js';
+import { isAmqpUrl, isSupportedUrl } from '../adapters/index.js';
+
+/**
+ * @typedef {object} OptionDefinition
+ * @property {string} key - name in the options object and the config file
+ * @property {string} [env] - environment variable
+ * @property {string} [flag] - command line flag. Default the key in kebab case
+ * @property {'string'|'number'|'boolean'|'url'|'path'|'date'|'list'} [type] - Default 'string'
+ * @property {string[]|function(): string[]} [values] - allowed values
+ * @property {RegExp} [pattern] - allowed format of a string
+ * @property {any|function(object): any} [default] - a function receives the options resolved so far
+ * @property {boolean} [required]
+ * @property {string} description - shown by `--help`
+ */
+
+const LOG_LEVELS = ['fatal', 'error', 'warn', 'info', 'debug', 'trace', 'silent'];
+
+const archiveBackends = () => BaseLogger.backends();
+
+/** @type {OptionDefinition} */
+export const CONFIG_OPTION = {
+    key: 'config',
+    env: 'AMQP_MIGRATE_CONFIG',
+    type: 'path',
+    description: 'JSON or YAML file with the options. Environment variables and flags take precedence'
+};
+
+/** @type {OptionDefinition[]} */
+const LOGGING = [
+    { key: 'logLevel', env: 'LOG_LEVEL', values: LOG_LEVELS, default: 'info', description: 'Log level' }
+];
+
+/** @type {OptionDefinition[]} */
+const ARCHIVE = [
+    { key: 'archiveBackends', env: 'ARCHIVE_BACKENDS', type: 'list', description: 'Comma separated archive backends: redis, file and/or sqlite. Default redis if REDIS_URL is set and file if ENABLE_FILE_LOGGER is enabled' },
+    { key: 'enableFileLogger', env: 'ENABLE_FILE_LOGGER', type: 'boolean', default: true, description: 'Archives the messages in FILE_LOGS_PATH' },
+    { key: 'redisUrl', env: 'REDIS_URL', type: 'url', description: 'URL of the redis archive' },
+    { key: 'redisKeyPrefix', env: 'REDIS_KEY_PREFIX', default: 'amqp-migration:', description: 'Namespace of the redis keys, {run} is replaced by RUN_ID' },
+    { key: 'redisTtl', env: 'REDIS_TTL', type: 'number', description: 'Milliseconds before archived messages expire in redis' },
+    { key: 'fileLogsPath', env: 'FILE_LOGS_PATH', type: 'path', default: '/logs/events', description: 'Folder of the file archive' },
+    { key: 'fileLoggerMode', env: 'FILE_LOGGER_MODE', values: FILE_LOGGER_MODES, default: 'message', description: 'One file per message or rotated NDJSON segments' },
+    { key: 'fileSegmentMaxBytes', env: 'FILE_SEGMENT_MAX_BYTES', type: 'number', default: 67108864, description: 'Segment mode: size of a segment before it is closed' },
+    { key: 'fileSegmentMaxMessages', env: 'FILE_SEGMENT_MAX_MESSAGES', type: 'number', default: 100000, description: 'Segment mode: messages of a segment before it is closed' },
+    { key: 'fileSegmentGzip', env: 'FILE_SEGMENT_GZIP', type: 'boolean', default: false, description: 'Segment mode: gzips closed segments' },
+    { key: 'fileLargeMessageBytes', env: 'FILE_LARGE_MESSAGE_BYTES', type: 'number', default: 1048576, description: 'Segment mode: larger messages are written to their own file' },
+    { key: 'sqlitePath', env: 'SQLITE_PATH', type: 'path', default: '/logs/archive.sqlite', description: 'Database file of the sqlite archive' },
+    { key: 'archiveEncryptionKey', env: 'ARCHIVE_ENCRYPTION_KEY', description: 'Base64 256 bit key encrypting the archived messages' },
+    { key: 'archiveEncryptionKeyId', env: 'ARCHIVE_ENCRYPTION_KEY_ID', default: 'default', description: 'Id recorded with the messages encrypted with ARCHIVE_ENCRYPTION_KEY' },
+    { key: 'archiveEncryptionKeyFile', env: 'ARCHIVE_ENCRYPTION_KEY_FILE', type: 'path', description: 'JSON or YAML file with several keys, replaces ARCHIVE_ENCRYPTION_KEY' },
+    { key: 'archiveRedactHeaders', env: 'ARCHIVE_REDACT_HEADERS', type: 'list', default: [], description: 'Comma separated headers redacted in the archive' },
+    { key: 'archiveRedactFields', env: 'ARCHIVE_REDACT_FIELDS', type: 'list', default: [], description: 'Comma separated JSON paths of the body redacted in the archive' },
+    { key: 'runId', env: 'RUN_ID', pattern: /^[A-Za-z0-9_.-]+$/, description: 'Name of the migration run' }
+];
+
+/** @type {OptionDefinition[]} */
+const RETENTION = [
+    { key: 'archiveMaxAge', env: 'ARCHIVE_MAX_AGE', type: 'number', description: 'Milliseconds archived messages are kept' },
+    { key: 'archiveMaxBytes', env: 'ARCHIVE_MAX_BYTES', type: 'number', description: 'Size the file archive is pruned to' }
+];
+
+/** @type {OptionDefinition[]} */
+const CHECKPOINTS = [
+    { key: 'checkpointStore', env: 'CHECKPOINT_STORE', values: ['file', 'redis'], description: 'Saves a checkpoint of the run in a file or redis' },
+    { key: 'checkpointPath', env: 'CHECKPOINT_PATH', type: 'path', default: ({ fileLogsPath }) => fileLogsPath, description: 'Folder of the checkpoint files. Default FILE_LOGS_PATH' }
+];
+
+// the {run} of the redis prefix is only generated by a migration
+const runIdRule = {
+    check: ({ redisKeyPrefix, runId }) => !redisKeyPrefix.includes('{run}') || runId !== undefined,
+    message: 'RUN_ID is required by the {run} of REDIS_KEY_PREFIX'
+};
+
+/**
+ * @typedef {object} CommandDefinition
+ * @property {string} summary - one line, shown by `--help`
+ * @property {OptionDefinition[]} options
+ * @property {{ key: string, name: string }} [positionals] - option receiving the arguments
+ * @property {{ check: function(object): boolean, message: string|function(): string }[]} [rules] - checks across options
+ */
+
+/** @type {Record<string, CommandDefinition>} */
+export const COMMANDS = {
+    migrate: {
+        summary: 'Moves the messages of the source queues to the destination broker, archiving every message',
+        options: [
+            { key: 'sourceUrl', env: 'AMQP_SOURCE_URL', type: 'url', required: true, description: 'URL of the broker to drain, or file:// URL of a folder of NDJSON files to import' },
+            { key: 'sourceChannel', env: 'AMQP_SOURCE_CHANNEL', type: 'number', description: 'Channel id used on the source broker' },
+            { key: 'sourceQueue', env: 'AMQP_SOURCE_QUEUE', description: 'Source queue, unless MIGRATION_PLAN is set' },
+            { key: 'destinationUrl', env: 'AMQP_DESTINATION_URL', type: 'url', required: true, description: 'URL of the destination broker, or file:// URL of a folder the queues are exported to' },
+            { key: 'destinationQueue', env: 'AMQP_DESTINATION_QUEUE', description: 'Destination queue. Default the exchange and routing key of every message' },
+            { key: 'migrationPlan', env: 'MIGRATION_PLAN', flag: 'plan', type: 'path', description: 'JSON or YAML file listing the queues to migrate' },
+            { key: 'drain', type: 'boolean', default: false, description: 'Exits once the source queues are empty, with a report' },
+            { key: 'progressInterval', env: 'PROGRESS_INTERVAL', type: 'number', default: 10000, description: 'Milliseconds between progress reports' },
+            { key: 'topologySource', env: 'TOPOLOGY_SOURCE', description: 'Definitions export or management URL of the source broker, declared on the destination' },
+            { key: 'topologyDestinationApi', env: 'TOPOLOGY_DESTINATION_API', type: 'url', description: 'Management URL of the destination broker' },
+            { key: 'topologyDryRun', env: 'TOPOLOGY_DRY_RUN', type: 'boolean', default: false, description: 'Only prints the topology changes' },
+            { key: 'concurrency', env: 'CONCURRENCY', type: 'number', default: 1, description: 'Consumers per source queue, each on its own channel. With PARTITION_BY, partitions published in parallel behind one consumer' },
+            { key: 'partitionBy', env: 'PARTITION_BY', pattern: /^(routing-key|header:.+)$/, description: 'Keeps the order of the messages with the same routing-key or header:<name>, CONCURRENCY partitions are published in parallel' },
+            { key: 'publishWindow', env: 'PUBLISH_WINDOW', type: 'number', default: 100, description: 'Messages published and not yet confirmed, per consumer: up to CONCURRENCY x PUBLISH_WINDOW per queue without PARTITION_BY' },
+            { key: 'prefetch', env: 'PREFETCH', type: 'number', description: 'Unacked messages delivered by the source, per consumer. Default PUBLISH_WINDOW' },
+            { key: 'publishRateLimit', env: 'PUBLISH_RATE_LIMIT', type: 'number', description: 'Messages published per second to a broker. Default no limit' },
+            { key: 'publishByteRateLimit', env: 'PUBLISH_BYTE_RATE_LIMIT', type: 'number', description: 'Bytes of message bodies published per second to a broker. Default no limit' },
+            { key: 'maxPublishAttempts', env: 'MAX_PUBLISH_ATTEMPTS', type: 'number', default: 5, description: 'Failed publishes before a message is dead-lettered' },
+            { key: 'retryBackoff', env: 'RETRY_BACKOFF', type: 'number', default: 1000, description: 'Milliseconds before a failed message is requeued, doubled on every attempt' },
+            { key: 'retryBackoffMax', env: 'RETRY_BACKOFF_MAX', type: 'number', default: 30000, description: 'Maximum milliseconds between attempts' },
+            { key: 'transformRules', env: 'TRANSFORM_RULES', type: 'path', description: 'JSON or YAML file with the transform rules' },
+            { key: 'transformHook', env: 'TRANSFORM_HOOK', type: 'path', description: 'ES module transforming or dropping every message' },
+            { key: 'routingRules', env: 'ROUTING_RULES', type: 'path', description: 'JSON or YAML file with the routes of the messages' },
+            { key: 'deadLetterExchange', env: 'DEAD_LETTER_EXCHANGE', description: 'Exchange of the messages that failed MAX_PUBLISH_ATTEMPTS times' },
+            { key: 'deadLetterRoutingKey', env: 'DEAD_LETTER_ROUTING_KEY', description: 'Routing key used on DEAD_LETTER_EXCHANGE. Default the message routing key' },
+            { key: 'deadLetterQueue', env: 'DEAD_LETTER_QUEUE', description: 'Queue of the messages that failed MAX_PUBLISH_ATTEMPTS times' },
+            { key: 'deadLetterBroker', env: 'DEAD_LETTER_BROKER', values: ['source', 'destination'], default: 'source', description: 'Broker holding the dead-letter exchange or queue' },
+            { key: 'metricsPort', env: 'METRICS_PORT', type: 'number', description: 'Serves Prometheus metrics and /healthz on this port' },
+            { key: 'metricsHost', env: 'METRICS_HOST', description: 'Interface the metrics server listens on' },
+            { key: 'queueDepthInterval', env: 'QUEUE_DEPTH_INTERVAL', type: 'number', default: 5000, description: 'Milliseconds between samples of the source queue depth' },
+            { key: 'idScheme', env: 'ID_SCHEME', values: ID_SCHEMES, default: 'ulid', description: 'Ids given to messages without a messageId' },
+            { key: 'idNode', env: 'ID_NODE', description: 'Node id of the sequence ids. Default host name and process id' },
+            { key: 'idStamp', env: 'ID_STAMP', values: ['header', 'message-id', 'none'], default: 'header', description: 'Where the archive id is set on the published message' },
+            { key: 'idHeader', env: 'ID_HEADER', default: 'x-migration-id', description: 'Header carrying the archive id' },
+            { key: 'dedupStore', env: 'DEDUP_STORE', values: ['redis', 'file'], description: 'Records the confirmed messages to skip their redeliveries' },
+            { key: 'dedupTtl', env: 'DEDUP_TTL', type: 'number', default: 86400000, description: 'Milliseconds a confirmed message is remembered' },
+            { key: 'dedupIndexPath', env: 'DEDUP_INDEX_PATH', type: 'path', default: ({ fileLogsPath }) => `${fileLogsPath}/dedup-index.ndjson`, description: 'Index file of the file dedup store. Default FILE_LOGS_PATH/dedup-index.ndjson' },
+            { key: 'reconnectBackoff', env: 'RECONNECT_BACKOFF', type: 'number', default: 1000, description: 'Milliseconds before reconnecting, doubled on every attempt' },
+            { key: 'reconnectBackoffMax', env: 'RECONNECT_BACKOFF_MAX', type: 'number', default: 30000, description: 'Maximum milliseconds between reconnection attempts' },
+            { key: 'drainCheckInterval', env: 'DRAIN_CHECK_INTERVAL', type: 'number', default: 1000, description: 'Drain mode: milliseconds between checks of the source queues' },
+            { key: 'drainTimeout', env: 'DRAIN_TIMEOUT', type: 'number', description: 'Drain mode: milliseconds before giving up' },
+            { key: 'drainReport', env: 'DRAIN_REPORT', type: 'path', description: 'Drain mode: file the JSON report is written to' },
+            { key: 'mirror', env: 'MIRROR_MODE', type: 'boolean', default: false, description: 'Keeps forwarding new messages and reports the replication lag and when the cutover is ready' },
+            { key: 'mirrorStatusFile', env: 'MIRROR_STATUS_FILE', type: 'path', description: 'Mirror mode: file the JSON status is written to' },
+            { key: 'mirrorCheckInterval', env: 'MIRROR_CHECK_INTERVAL', type: 'number', default: 5000, description: 'Mirror mode: milliseconds between checks of the backlog and the lag' },
+            { key: 'cutoverMaxBacklog', env: 'CUTOVER_MAX_BACKLOG', type: 'number', default: 0, description: 'Mirror mode: messages ready or in flight under which the cutover can happen' },
+            { key: 'cutoverMaxLag', env: 'CUTOVER_MAX_LAG', type: 'number', description: 'Mirror mode: milliseconds of replication lag under which the cutover can happen' },
+            { key: 'cutoverStableFor', env: 'CUTOVER_STABLE_FOR', type: 'number', default: 60000, description: 'Mirror mode: milliseconds the backlog and lag stay under the thresholds before the cutover is ready' },
+            { key: 'bidirectional', env: 'BIDIRECTIONAL', type: 'boolean', default: false, description: 'Also forwards the messages of the destination broker to the source broker' },
+            { key: 'reverseQueue', env: 'AMQP_REVERSE_QUEUE', description: 'Bidirectional mode: destination broker queue forwarded to the source broker, unless MIGRATION_PLAN is set' },
+            { key: 'reverseDestinationQueue', env: 'AMQP_REVERSE_DESTINATION_QUEUE', description: 'Bidirectional mode: source broker queue receiving AMQP_REVERSE_QUEUE. Default the exchange and routing key of every message' },
+            { key: 'loopPrevention', env: 'LOOP_PREVENTION', type: 'boolean', default: ({ bidirectional }) => bidirectional, description: 'Stamps the origin broker and hop count on the messages and drops the ones coming back to their origin. Default BIDIRECTIONAL' },
+            { key: 'loopMaxHops', env: 'LOOP_MAX_HOPS', type: 'number', default: 10, description: 'Loop prevention: forwards before a message is dropped' },
+            { key: 'sourceBrokerId', env: 'SOURCE_BROKER_ID', default: ({ sourceUrl }) => sourceUrl && brokerId(sourceUrl), description: 'Loop prevention: id of the source broker. Default its host, port and vhost' },
+            { key: 'destinationBrokerId', env: 'DESTINATION_BROKER_ID', default: ({ destinationUrl }) => destinationUrl && brokerId(destinationUrl), description: 'Loop prevention: id of the destination broker. Default its host, port and vhost' },
+            { key: 'publishedLogPath', env: 'PUBLISHED_LOG', flag: 'published-log', type: 'path', description: 'NDJSON file recording how every message was settled: published with its checksum, dropped, archived or dead-lettered' },
+            ...CHECKPOINTS,
+            { key: 'checkpointInterval', env: 'CHECKPOINT_INTERVAL', type: 'number', default: 5000, description: 'Milliseconds between checkpoint saves' },
+            { key: 'checkpointOnConfigChange', env: 'CHECKPOINT_ON_CONFIG_CHANGE', values: CONFIG_CHANGE_ACTIONS, default: 'warn', description: 'Resuming a run whose configuration changed' },
+            { key: 'retryOnFail', env: 'RETRY_ON_FAIL', type: 'boolean', default: true, description: 'Starts again 2 seconds after a failure' },
+            { key: 'printReturnedBody', env: 'PRINT_RETURNED_BODY', type: 'boolean', default: false, description: 'Logs the body of the messages returned by the destination' },
+            ...ARCHIVE,
+            ...RETENTION,
+            { key: 'archivePruneInterval', env: 'ARCHIVE_PRUNE_INTERVAL', type: 'number', description: 'Milliseconds between prunes of the file archive' },
+            ...LOGGING
+        ],
+        rules: [
+            { check: ({ sourceQueue, migrationPlan }) => Boolean(sourceQueue || migrationPlan), message: 'AMQP_SOURCE_QUEUE or MIGRATION_PLAN is required' },
+            { check: ({ sourceUrl, destinationUrl }) => isSupportedUrl(sourceUrl) && isSupportedUrl(destinationUrl), message: 'AMQP_SOURCE_URL and AMQP_DESTINATION_URL must be amqp://, amqps:// or file:// URLs' },
+            { check: ({ topologySource, topologyDryRun, destinationUrl }) => !topologySource || topologyDryRun || isAmqpUrl(destinationUrl), message: 'TOPOLOGY_SOURCE needs an AMQP destination' },
+            { check: ({ sourceUrl, concurrency, partitionBy }) => isAmqpUrl(sourceUrl) || concurrency === 1 || Boolean(partitionBy), message: 'a file source has one consumer per queue, CONCURRENCY needs PARTITION_BY' },
+            { check: ({ drain, mirror }) => !(drain && mirror), message: 'drain and mirror modes can not be combined' },
+            { check: ({ drain, bidirectional }) => !(drain && bidirectional), message: 'drain and bidirectional modes can not be combined' },
+            { check: ({ bidirectional, reverseQueue, migrationPlan }) => !bidirectional || Boolean(reverseQueue || migrationPlan), message: 'AMQP_REVERSE_QUEUE or MIGRATION_PLAN is required in bidirectional mode' },
+            { check: ({ bidirectional, loopPrevention }) => !bidirectional || loopPrevention, message: 'LOOP_PREVENTION can not be disabled in bidirectional mode' },
+            { check: ({ loopPrevention, sourceBrokerId, destinationBrokerId }) => !loopPrevention || sourceBrokerId !== destinationBrokerId, message: 'SOURCE_BROKER_ID and DESTINATION_BROKER_ID must differ to prevent loops' },
+            { check: ({ concurrency }) => concurrency >= 1, message: 'CONCURRENCY must be at least 1' },
+            { check: ({ concurrency, partitionBy, sourceChannel }) => concurrency === 1 || Boolean(partitionBy) || sourceChannel === undefined, message: 'AMQP_SOURCE_CHANNEL can not be set with several consumers' },
+            { check: ({ publishRateLimit, publishByteRateLimit }) => publishRateLimit !== 0 && publishByteRateLimit !== 0, message: 'PUBLISH_RATE_LIMIT and PUBLISH_BYTE_RATE_LIMIT must be positive' },
+            { check: ({ dedupStore, redisUrl }) => dedupStore !== 'redis' || Boolean(redisUrl), message: 'REDIS_URL is required to dedup with redis' },
+            { check: ({ checkpointStore, redisUrl }) => checkpointStore !== 'redis' || Boolean(redisUrl), message: 'REDIS_URL is required to checkpoint with redis' }
+        ]
+    },
+
+    replay: {
+        summary: 'Publishes archived messages again, with their original exchange, routing key and properties',
+        options: [
+            { key: 'destinationUrl', env: 'AMQP_DESTINATION_URL', type: 'url', required: true, description: 'URL of the broker the messages are replayed to' },
+            { key: 'destinationQueue', env: 'AMQP_DESTINATION_QUEUE', description: 'Queue to publish to. Default the archived exchange and routing key' },
+            { key: 'replayFrom', env: 'REPLAY_FROM', flag: 'from', values: archiveBackends, default: 'file', description: 'Archive backend to read from' },
+            { key: 'replayFromId', env: 'REPLAY_FROM_ID', flag: 'from-id', description: 'First message id to replay (inclusive)' },
+            { key: 'replayToId', env: 'REPLAY_TO_ID', flag: 'to-id', description: 'Last message id to replay (inclusive)' },
+            { key: 'replaySince', env: 'REPLAY_SINCE', flag: 'since', type: 'date', description: 'Only messages received at or after this date' },
+            { key: 'replayUntil', env: 'REPLAY_UNTIL', flag: 'until', type: 'date', description: 'Only messages received at or before this date' },
+            { key: 'replayExchange', env: 'REPLAY_EXCHANGE', flag: 'exchange', description: 'Only messages published to this exchange' },
+            { key: 'replayRoutingKey', env: 'REPLAY_ROUTING_KEY', flag: 'routing-key', description: 'Only messages published with this routing key' },
+            { key: 'replayIncludeReturned', env: 'REPLAY_INCLUDE_RETURNED', flag: 'include-returned', type: 'boolean', default: false, description: 'Also replays the returned copies of the messages' },
+            { key: 'idStamp', env: 'ID_STAMP', values: ['header', 'message-id', 'none'], default: 'header', description: 'Where the archive id is set on the replayed message' },
+            { key: 'idHeader', env: 'ID_HEADER', default: 'x-migration-id', description: 'Header carrying the archive id' },
+            { key: 'replayRedacted', env: 'REPLAY_REDACTED', flag: 'redacted', type: 'boolean', default: false, description: 'Also replays the messages redacted in the archive, with their [REDACTED] values' },
+            { key: 'replayDryRun', env: 'REPLAY_DRY_RUN', flag: 'dry-run', type: 'boolean', default: false, description: 'Only lists the matching messages' },
+            ...ARCHIVE,
+            ...LOGGING
+        ],
+        rules: [
+            { check: ({ replayFrom, redisUrl }) => replayFrom !== 'redis' || Boolean(redisUrl), message: 'REDIS_URL is required to replay from redis' },
+            runIdRule
+        ]
+    },
+
+    verify: {
+        summary: 'Compares the archived messages with the destination queue or the published log',
+        options: [
+            { key: 'verifyMode', env: 'VERIFY_MODE', flag: 'mode', values: ['queue', 'log'], default: 'queue', description: 'Reads the destination queue or the published log' },
+            { key: 'destinationUrl', env: 'AMQP_DESTINATION_URL', type: 'url', description: 'Queue mode: URL of the destination broker' },
+            { key: 'destinationQueue', env: 'AMQP_DESTINATION_QUEUE', description: 'Destination queue of the migration' },
+            { key: 'verifyQueue', env: 'VERIFY_QUEUE', flag: 'queue', default: ({ destinationQueue }) => destinationQueue, description: 'Queue mode: queue to read. Default AMQP_DESTINATION_QUEUE' },
+            { key: 'verifyMaxMessages', env: 'VERIFY_MAX_MESSAGES', flag: 'max-messages', type: 'number', default: 100000, description: 'Queue mode: most messages read, they are held unacked until they are requeued' },
+            { key: 'publishedLogPath', env: 'PUBLISHED_LOG', flag: 'published-log', type: 'path', description: 'Published log written by the migration. Required in log mode, leaves out the messages not published in both modes' },
+            { key: 'idHeader', env: 'ID_HEADER', default: 'x-migration-id', description: 'Header carrying the archive id' },
+            { key: 'verifyFrom', env: 'VERIFY_FROM', flag: 'from', values: archiveBackends, default: 'file', description: 'Archive backend to read from' },
+            { key: 'verifyFromId', env: 'VERIFY_FROM_ID', flag: 'from-id', description: 'First archived message id to verify (inclusive)' },
+            { key: 'verifyToId', env: 'VERIFY_TO_ID', flag: 'to-id', description: 'Last archived message id to verify (inclusive)' },
+            { key: 'verifySince', env: 'VERIFY_SINCE', flag: 'since', type: 'date', description: 'Only messages received at or after this date' },
+            { key: 'verifyUntil', env: 'VERIFY_UNTIL', flag: 'until', type: 'date', description: 'Only messages received at or before this date' },
+            { key: 'verifyReport', env: 'VERIFY_REPORT', flag: 'report', type: 'path', description: 'File the JSON report is written to' },
+            ...ARCHIVE,
+            ...LOGGING
+        ],
+        rules: [
+            { check: ({ verifyFrom, redisUrl }) => verifyFrom !== 'redis' || Boolean(redisUrl), message: 'REDIS_URL is required to verify from redis' },
+            { check: ({ verifyMode, destinationUrl, verifyQueue }) => verifyMode !== 'queue' || Boolean(destinationUrl && verifyQueue), message: 'AMQP_DESTINATION_URL and VERIFY_QUEUE are required to verify a queue' },
+            { check: ({ verifyMode, publishedLogPath }) => verifyMode !== 'log' || Boolean(publishedLogPath), message: 'PUBLISHED_LOG is required to verify the published log' },
+            { check: ({ verifyMaxMessages }) => verifyMaxMessages >= 1, message: 'VERIFY_MAX_MESSAGES must be at least 1' },
+            runIdRule
+        ]
+    },
+
+    inspect: {
+        summary: 'Prints archived messages, or a summary of the archive and the checkpoint of RUN_ID',
+        positionals: { key: 'ids', name: 'id' },
+        options: [
+            { key: 'inspectFrom', env: 'INSPECT_FROM', flag: 'from', values: archiveBackends, default: 'file', description: 'Archive backend to read from' },
+            ...CHECKPOINTS,
+            ...ARCHIVE,
+            ...LOGGING
+        ],
+        rules: [
+            { check: ({ inspectFrom, redisUrl }) => inspectFrom !== 'redis' || Boolean(redisUrl), message: 'REDIS_URL is required to inspect redis' },
+            { check: ({ checkpointStore, redisUrl }) => checkpointStore !== 'redis' || Boolean(redisUrl), message: 'REDIS_URL is required to read a redis checkpoint' },
+            { check: ({ checkpointStore, runId }) => !checkpointStore || runId !== undefined, message: 'RUN_ID is required to read a checkpoint' },
+            runIdRule
+        ]
+    },
+
+    prune: {
+        summary: 'Removes the archived messages outside of the retention policy',
+        options: [
+            { key: 'pruneFrom', env: 'PRUNE_FROM', flag: 'from', type: 'list', description: 'Comma separated backends to prune. Default the archive backends' },
+            { key: 'pruneDryRun', env: 'PRUNE_DRY_RUN', flag: 'dry-run', type: 'boolean', default: false, description: 'Only reports the messages that would be removed' },
+            ...ARCHIVE,
+            ...RETENTION,
+            ...LOGGING
+        ],
+        rules: [
+            { check: ({ archiveMaxAge, archiveMaxBytes }) => archiveMaxAge !== undefined || archiveMaxBytes !== undefined, message: 'ARCHIVE_MAX_AGE or ARCHIVE_MAX_BYTES is required' },
+            { check: (config) => (config.pruneFrom ?? configuredBackends(config)).length > 0, message: 'PRUNE_FROM or an archive backend is required' },
+            { check: ({ pruneFrom = [] }) => pruneFrom.every((name) => archiveBackends().includes(name)), message: () => `PRUNE_FROM must list backends among ${archiveBackends().join(', ')}` },
+            runIdRule
+        ]
+    }
+};
@@ -0,0 +1,232 @@
+import { EventEmitter } from 'events';
+import { setTimeout as sleep } from 'timers/promises';
+import { AMQPClient } from '@cloudamqp/amqp-client';
+
+/**
+ * keeps one broker connection open. a dropped connection is reopened with an
+ * exponential backoff and jitter, `disconnected` and `reconnected` are emitted
+ * so consumers can subscribe again. `blocked` and `unblocked` are emitted when
+ * the broker stops reading from the connection (memory or disk alarm)
+ * @class ConnectionSupervisor
+ */
+export default class ConnectionSupervisor extends EventEmitter {
+    #connection;
+    #reconnecting;
+    #stopped = false;
+    #waiters = [];
+    #abort = new AbortController();
+    #blocked;
+    #blockedWaiters = [];
+    #blockedTimer;
+
+    /**
+     * @param {object} options
+     * @param {string} options.name - broker name used in logs and events
+     * @param {string} options.url - amqp url
+     * @param {number} [options.backoff] - delay before the first reconnection (ms), doubled on every attempt
+     * @param {number} [options.maxBackoff] - maximum delay between attempts (ms)
+     * @param {number} [options.blockedCheckInterval] - ms between checks of the blocked notifications
+     * @param {pino.Logger} options.logger
+     * @param {function(string): Promise<AMQPBaseClient>} [options.connect] - opens a connection
+     */
+    constructor({ name, url, backoff = 1000, maxBackoff = 30000, blockedCheckInterval = 500, logger, connect }) {
+        super();
+        this.name = name;
+        this.url = url;
+        this.backoff = backoff;
+        this.maxBackoff = maxBackoff;
+        this.blockedCheckInterval = blockedCheckInterval;
+        this.logger = logger;
+        this.connect = connect ?? ((amqpUrl) => new AMQPClient(amqpUrl).connect());
+    }
+
+    /**
+     * current connection, closed while reconnecting
+     * @returns {AMQPBaseClient|undefined}
+     */
+    get connection() {
+        return this.#connection;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get closed() {
+        return !this.#connection || this.#connection.closed;
+    }
+
+    /**
+     * reason given by the broker while it blocks the connection
+     * @returns {string|undefined}
+     */
+    get blocked() {
+        return this.closed ? undefined : this.#connection.blocked;
+    }
+
+    /**
+     * opens the first connection, failures are not retried
+     * @async
+     * @returns {AMQPBaseClient}
+     */
+    async start() {
+        this.#attach(await this.connect(this.url));
+
+        // the client only records connection.blocked and connection.unblocked, it is polled
+        clearInterval(this.#blockedTimer);
+        this.#blockedTimer = setInterval(() => this.#checkBlocked(), this.blockedCheckInterval);
+        this.#blockedTimer.unref();
+        return this.#connection;
+    }
+
+    /**
+     * resolves with the open connection, waits while reconnecting
+     * @async
+     * @returns {AMQPBaseClient}
+     */
+    ready() {
+        if (!this.closed) {
+            return Promise.resolve(this.#connection);
+        }
+        if (this.#stopped || !this.#reconnecting) {
+            return Promise.reject(new Error(`${this.name} connection is closed`));
+        }
+        return new Promise((resolve, reject) => this.#waiters.push({ resolve, reject }));
+    }
+
+    /**
+     * resolves once the broker stops blocking the connection, the connection
+     * is replaced or closed
+     * @async
+     */
+    unblocked() {
+        if (!this.blocked || this.#stopped) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve) => this.#blockedWaiters.push(resolve));
+    }
+
+    /**
+     * opens a channel on the current connection. the client reports a channel
+     * closed by the broker (e.g. a publish to an unknown exchange) as a
+     * connection error, it is only logged here: the owner of the channel sees
+     * it `closed` and opens another one, the connection stays up
+     * @async
+     * @param {number} [id]
+     * @returns {AMQPChannel}
+     */
+    async channel(id) {
+        if (this.closed) {
+            throw new Error(`${this.name} connection is closed`);
+        }
+        const channel = await this.#connection.channel(id);
+        channel.onerror = (reason) => {
+            this.logger.warn(`The ${this.name} broker closed channel ${channel.id}: ${reason}`);
+        };
+        return channel;
+    }
+
+    /**
+     * full jitter on half of the exponential backoff, so many clients do not
+     * reconnect at the same time
+     * @param {number} attempts
+     * @returns {number} ms to wait before the attempt
+     */
+    delay(attempts) {
+        const max = Math.min(this.backoff * 2 ** (attempts - 1), this.maxBackoff);
+        return Math.round(max / 2 + Math.random() * max / 2);
+    }
+
+    /**
+     * drops the current connection and reconnects in the background. called
+     * when the connection is lost, or to start over after a failure
+     * @param {Error} [err] - cause
+     */
+    reconnect(err) {
+        if (this.#stopped || this.#reconnecting) return;
+
+        const conn = this.#connection;
+        const cause = err ?? new Error(`${this.name} connection reset`);
+
+        // confirms and replies of a dropped socket are never received, the
+        // channels are closed so every pending promise is rejected
+        conn?.channels.forEach((channel) => channel?.setClosed(cause));
+        if (conn && !conn.closed) {
+            // the broker requeues the unacked messages of a dropped socket
+            conn.closeSocket();
+        }
+
+        this.logger.error(cause, `Lost the ${this.name} connection`);
+        this.#reconnecting = this.#reconnectLoop();
+        this.emit('disconnected', cause);
+    }
+
+    /**
+     * stops reconnecting and closes the connection
+     * @async
+     */
+    async close() {
+        this.#stopped = true;
+        this.#abort.abort();
+        clearInterval(this.#blockedTimer);
+        this.#waiters.splice(0).forEach(({ reject }) => reject(new Error(`${this.name} connection is closed`)));
+        this.#blockedWaiters.splice(0).forEach((resolve) => resolve());
+
+        if (this.#connection && !this.#connection.closed) {
+            await this.#connection.close();
+        }
+    }
+
+    async #reconnectLoop() {
+        for (let attempts = 1; !this.#stopped; attempts++) {
+            const delay = this.delay(attempts);
+            this.logger.warn(`Reconnecting to the ${this.name} broker in ${delay}ms (attempt ${attempts})`);
+
+            try {
+                await sleep(delay, undefined, { signal: this.#abort.signal });
+                const conn = await this.connect(this.url);
+                if (this.#stopped) {
+                    await conn.close();
+                    return;
+                }
+
+                this.#attach(conn);
+                this.#reconnecting = undefined;
+                this.logger.info(`Reconnected to the ${this.name} broker`);
+                this.#waiters.splice(0).forEach(({ resolve }) => resolve(conn));
+                this.emit('reconnected', conn);
+                return;
+            } catch(err) {
+                if (!this.#stopped) {
+                    this.logger.warn(err, `Unable to reconnect to the ${this.name} broker`);
+                }
+            }
+        }
+    }
+
+    #checkBlocked() {
+        const reason = this.blocked;
+        if (reason && !this.#blocked) {
+            this.#blocked = reason;
+            this.logger.warn(`The ${this.name} broker blocked the connection: ${reason}`);
+            this.emit('blocked', reason);
+        } else if (!reason) {
+            // waiters may have seen a block shorter than the interval
+            this.#blockedWaiters.splice(0).forEach((resolve) => resolve());
+            if (this.#blocked) {
+                this.#blocked = undefined;
+                this.logger.info(`The ${this.name} broker unblocked the connection`);
+                this.emit('unblocked');
+            }
+        }
+    }
+
+    #attach(conn) {
+        this.#connection = conn;
+        conn.onerror = (err) => {
+            // late errors of a replaced connection are ignored
+            if (conn === this.#connection) {
+                this.reconnect(err);
+            }
+        };
+    }
+}
@@ -0,0 +1,128 @@
+import { createHash } from 'crypto';
+
+export const ATTEMPTS_HEADER = 'x-migration-attempts';
+export const REASON_HEADER = 'x-migration-failure-reason';
+
+/**
+ * counts failed publish attempts per message and decides when a message is
+ * retried (after a backoff) or dead-lettered
+ * @class DeadLetterPolicy
+ */
+export default class DeadLetterPolicy {
+    #attempts = new Map();
+
+    /**
+     * @param {object} options
+     * @param {number} [options.maxAttempts] - failures before the message is dead-lettered
+     * @param {number} [options.backoff] - delay before the first retry (ms), doubled on every retry
+     * @param {number} [options.maxBackoff] - maximum delay between retries (ms)
+     * @param {string} [options.exchange] - dead-letter exchange
+     * @param {string} [options.routingKey] - routing key on the dead-letter exchange, defaults to the message routing key
+     * @param {string} [options.queue] - dead-letter queue, used instead of the exchange
+     * @param {'source'|'destination'} [options.broker] - broker holding the dead-letter exchange or queue
+     */
+    constructor({ maxAttempts = 5, backoff = 1000, maxBackoff = 30000, exchange, routingKey, queue, broker = 'source' } = {}) {
+        if (!['source', 'destination'].includes(broker)) {
+            throw new TypeError('dead-letter broker must be source or destination');
+        }
+        if (!(maxAttempts >= 1)) {
+            throw new TypeError('maxAttempts must be at least 1');
+        }
+
+        this.maxAttempts = maxAttempts;
+        this.backoff = backoff;
+        this.maxBackoff = maxBackoff;
+        this.exchange = exchange;
+        this.routingKey = routingKey;
+        this.queue = queue;
+        this.broker = broker;
+    }
+
+    /**
+     * without an exchange or queue messages are retried forever
+     * @returns {boolean}
+     */
+    get enabled() {
+        return Boolean(this.exchange || this.queue);
+    }
+
+    /**
+     * message id, or a hash of the content for messages without one
+     * @param {any} data - formatted message
+     * @returns {string}
+     */
+    keyOf(data) {
+        if (data.properties?.messageId) {
+            return data.properties.messageId;
+        }
+        return createHash('sha1')
+            .update(`${data.exchange}\0${data.routingKey}\0`)
+            .update(data.body ?? '')
+            .digest('hex');
+    }
+
+    /**
+     * @param {any} data - formatted message
+     * @returns {number} failed attempts so far, including this one
+     */
+    recordFailure(data) {
+        const key = this.keyOf(data);
+        // attempts made by a previous run travel with the message
+        const previous = Math.max(this.#attempts.get(key) ?? 0, Number(data.properties?.headers?.[ATTEMPTS_HEADER]) || 0);
+        const attempts = previous + 1;
+        this.#attempts.set(key, attempts);
+        return attempts;
+    }
+
+    /**
+     * @param {any} data - formatted message
+     */
+    forget(data) {
+        if (this.#attempts.size > 0) {
+            this.#attempts.delete(this.keyOf(data));
+        }
+    }
+
+    /**
+     * @param {number} attempts
+     * @returns {boolean}
+     */
+    shouldDeadLetter(attempts) {
+        return this.enabled && attempts >= this.maxAttempts;
+    }
+
+    /**
+     * exponential backoff
+     * @param {number} attempts
+     * @returns {number} ms to wait before the message is requeued
+     */
+    delay(attempts) {
+        return Math.min(this.backoff * 2 ** (attempts - 1), this.maxBackoff);
+    }
+
+    /**
+     * copy of the message routed to the dead-letter exchange, with the failure
+     * recorded in the headers
+     * @param {any} data - formatted message
+     * @param {number} attempts
+     * @param {Error} err
+     * @returns {any}
+     */
+    deadLetter(data, attempts, err) {
+        const headers = {
+            ...data.properties?.headers,
+            [ATTEMPTS_HEADER]: attempts,
+            [REASON_HEADER]: String(err?.message ?? err),
+            'x-migration-original-exchange': data.exchange,
+            'x-migration-original-routing-key': data.routingKey,
+            'x-migration-failed-at': new Date().toISOString()
+        };
+
+        return {
+            ...data,
+            exchange: this.exchange ?? '',
+            routingKey: this.routingKey ?? data.routingKey,
+            properties: { ...data.properties, headers }
+        };
+    }
+}
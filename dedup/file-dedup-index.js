@@ -0,0 +1,100 @@
+import { readFile, writeFile, appendFile } from 'fs/promises';
+import assert from 'assert';
+
+/**
+ * local replacement of the redis dedup keys: one JSON line per message
+ * confirmed by the destination. the file is loaded once and compacted
+ * (expired lines removed) when the index starts
+ * @class FileDedupIndex
+ */
+export default class FileDedupIndex {
+    #entries = new Map();
+    #loading;
+
+    /**
+     * @param {object} options
+     * @param {string} options.path - index file, created if missing
+     * @param {pino.Logger} [options.logger]
+     */
+    constructor({ path, logger = console }) {
+        this.path = path;
+        this.logger = logger;
+    }
+
+    /**
+     * reads the index, once
+     * @async
+     */
+    init() {
+        this.#loading ??= this.#load();
+        return this.#loading;
+    }
+
+    /**
+     * records a message confirmed by the destination, it expires after ttl
+     * @async
+     * @param {string} key - message id or content hash
+     * @param {number} ttl - ms
+     * @throws Error if the index can not be written
+     */
+    async markDelivered(key, ttl) {
+        assert.ok(typeof key === 'string', 'key must be string');
+        await this.init();
+
+        const expiresAt = Date.now() + ttl;
+        this.#entries.set(key, expiresAt);
+        await appendFile(this.path, JSON.stringify({ key, expiresAt }) + '\n');
+    }
+
+    /**
+     * @async
+     * @param {string} key - message id or content hash
+     * @returns {boolean} true if the message was confirmed by the destination
+     */
+    async isDelivered(key) {
+        assert.ok(typeof key === 'string', 'key must be string');
+        await this.init();
+
+        const expiresAt = this.#entries.get(key);
+        if (expiresAt === undefined) {
+            return false;
+        }
+        if (expiresAt <= Date.now()) {
+            this.#entries.delete(key);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * nothing is kept open, every line is appended on its own
+     * @async
+     */
+    async close() {}
+
+    async #load() {
+        let content = '';
+        try {
+            content = await readFile(this.path, { encoding: 'utf8' });
+        } catch(err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+
+        const now = Date.now();
+        for (const line of content.split('\n')) {
+            if (!line) continue;
+            try {
+                const { key, expiresAt } = JSON.parse(line);
+                if (expiresAt > now) {
+                    this.#entries.set(key, expiresAt);
+                }
+            } catch {
+                // a line cut by a crash
+                this.logger.warn(`Ignoring a corrupted line of the dedup index ${this.path}`);
+            }
+        }
+
+        const lines = Array.from(this.#entries, ([key, expiresAt]) => JSON.stringify({ key, expiresAt }) + '\n');
+        await writeFile(this.path, lines.join(''));
+    }
+}
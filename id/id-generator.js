@@ -0,0 +1,89 @@
+import { randomBytes } from 'crypto';
+import { hostname } from 'os';
+
+export const ID_SCHEMES = ['ulid', 'sequence'];
+
+// Crockford's base32, sorts like the numbers it encodes
+const ENCODING = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+/**
+ * builds the generator of the ids given to messages without a messageId. ids
+ * are unique within the process, sort by creation time and are safe to use in
+ * file names
+ * - ulid: 26 characters, 48 bits of time and 80 random bits (incremented within
+ *   the same millisecond)
+ * - sequence: `<ms timestamp>-<sequence in the ms>-<node id>`
+ * @param {object} [options]
+ * @param {'ulid'|'sequence'} [options.scheme]
+ * @param {string} [options.nodeId] - sequence scheme only, defaults to the host name and pid
+ * @param {function(): number} [options.now] - clock
+ * @returns {function(): string}
+ */
+export function createIdGenerator({ scheme = 'ulid', nodeId, now = Date.now } = {}) {
+    if (scheme === 'ulid') {
+        return ulidGenerator(now);
+    }
+    if (scheme === 'sequence') {
+        return sequenceGenerator(now, sanitize(nodeId ?? `${hostname()}-${process.pid}`));
+    }
+    throw new TypeError(`id scheme must be one of ${ID_SCHEMES.join(', ')}`);
+}
+
+function ulidGenerator(now) {
+    let lastTime = -1;
+    let random;
+
+    return () => {
+        // a clock going backwards keeps the last time so ids still sort
+        const time = Math.max(now(), lastTime);
+        if (time === lastTime) {
+            increment(random);
+        } else {
+            lastTime = time;
+            random = Array.from(randomBytes(16), (byte) => byte & 31);
+        }
+        return encodeTime(time) + random.map((digit) => ENCODING[digit]).join('');
+    };
+}
+
+function sequenceGenerator(now, nodeId) {
+    let lastTime = -1;
+    let sequence = 0;
+
+    return () => {
+        const time = Math.max(now(), lastTime);
+        sequence = time === lastTime ? sequence + 1 : 0;
+        lastTime = time;
+        return `${String(time).padStart(13, '0')}-${String(sequence).padStart(6, '0')}-${nodeId}`;
+    };
+}
+
+/**
+ * 48 bits of time as 10 base32 digits
+ */
+function encodeTime(time) {
+    let encoded = '';
+    for (let i = 0; i < 10; i++) {
+        encoded = ENCODING[time % 32] + encoded;
+        time = Math.floor(time / 32);
+    }
+    return encoded;
+}
+
+/**
+ * adds 1 to the random digits (base32, most significant first)
+ */
+function increment(digits) {
+    for (let i = digits.length - 1; i >= 0; i--) {
+        if (digits[i] < 31) {
+            digits[i]++;
+            return;
+        }
+        digits[i] = 0;
+    }
+    throw new Error('ulid random part overflow');
+}
+
+function sanitize(nodeId) {
+    return String(nodeId).replace(/[^A-Za-z0-9_.]/g, '_');
+}
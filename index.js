@@ -1,8 +1,12 @@
-import {run, startGracefulShutdown} from './runner.js'
+#!/usr/bin/env node
+import { main } from './cli.js';
 
-// adding graceful shutdown for Ctrl+C
-process.on('SIGINT', startGracefulShutdown);
-process.on('SIGTERM', startGracefulShutdown);
-
-// run and exit on error
-run().catch(err => process.exit(0));
+// exits once the command is done, a migration without --drain keeps running
+main(process.argv.slice(2), process.env)
+    .then((code) => {
+        if (code !== undefined) process.exit(code);
+    })
+    .catch((err) => {
+        console.error(err);
+        process.exit(1);
+    });
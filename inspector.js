@@ -0,0 +1,80 @@
+// external modules
+import pino from 'pino';
+
+// internal modules
+import { BaseLogger, archiveOptions } from './logger/index.js';
+import { compareIds } from './replay/archive-filter.js';
+import FileCheckpointStore from './checkpoint/file-checkpoint-store.js';
+import { resolveConfig } from './config/load-config.js';
+
+const decoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * prints archived messages by id, decrypted. without ids, counts the archived
+ * messages and reads the checkpoint of the run when a checkpoint store is set
+ * @async
+ * @param {object} options - inspect options, see config/options.js
+ * @returns {object} the messages, or the archive summary
+ * @throws ConfigError if the options are invalid
+ */
+export async function inspect(options) {
+    const config = resolveConfig('inspect', options);
+    const logger = pino({ level: config.logLevel });
+    const archive = await archiveOptions(config, logger);
+    const store = await BaseLogger.create(config.inspectFrom, archive);
+
+    try {
+        if (config.ids.length > 0) {
+            const messages = [];
+            for (const id of config.ids) {
+                const record = await store.get(id);
+                messages.push(record ? { id, ...printable(record) } : { id, found: false });
+            }
+            return { from: config.inspectFrom, messages };
+        }
+
+        const ids = (await store.list()).sort(compareIds);
+        const migrated = ids.filter((id) => !id.startsWith('returned-'));
+        return {
+            from: config.inspectFrom,
+            messages: migrated.length,
+            returned: ids.length - migrated.length,
+            firstId: migrated.at(0),
+            lastId: migrated.at(-1),
+            ...(config.checkpointStore && { runId: config.runId, checkpoint: await readCheckpoint(config, archive) ?? null })
+        };
+    } finally {
+        await store.close();
+    }
+}
+
+/**
+ * @async
+ * @returns {object|undefined} saved checkpoint of the run
+ */
+async function readCheckpoint(config, archive) {
+    const checkpoints = config.checkpointStore === 'file'
+        ? new FileCheckpointStore({ path: config.checkpointPath })
+        : await BaseLogger.create('redis', archive);
+    try {
+        return await checkpoints.loadCheckpoint(config.runId);
+    } finally {
+        await checkpoints.close();
+    }
+}
+
+/**
+ * text bodies are printed as they are, binary ones in base64
+ * @param {any} record - archived message
+ * @returns {any}
+ */
+function printable(record) {
+    if (!(record.body instanceof Uint8Array)) {
+        return record;
+    }
+    try {
+        return { ...record, body: decoder.decode(record.body) };
+    } catch {
+        return { ...record, body: Buffer.from(record.body).toString('base64'), bodyEncoding: 'base64' };
+    }
+}
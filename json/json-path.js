@@ -0,0 +1,47 @@
+/**
+ * paths into parsed JSON bodies, shared by the routing conditions and the
+ * archive redaction. only object keys and array indexes are supported:
+ * `$.customer.email`, `items[0].sku`
+ */
+
+/**
+ * `$.items[0].sku` -> ['items', '0', 'sku']
+ * @param {string} path
+ * @returns {string[]} empty if the path names no key
+ */
+export function parsePath(path) {
+    return path.replace(/^\$\.?/, '').replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+}
+
+/**
+ * @param {any} json
+ * @param {string[]} keys
+ * @returns {any} undefined if a key is missing
+ */
+export function valueAt(json, keys) {
+    let value = json;
+    for (const key of keys) {
+        if (value === null || typeof value !== 'object' || !Object.hasOwn(value, key)) {
+            return undefined;
+        }
+        value = value[key];
+    }
+    return value;
+}
+
+/**
+ * replaces an existing value, missing keys are not created
+ * @param {any} json
+ * @param {string[]} keys
+ * @param {any} value
+ * @returns {boolean} true if the value exists and was replaced
+ */
+export function replaceAt(json, keys, value) {
+    const parent = valueAt(json, keys.slice(0, -1));
+    const last = keys.at(-1);
+    if (parent === null || typeof parent !== 'object' || !Object.hasOwn(parent, last)) {
+        return false;
+    }
+    parent[last] = value;
+    return true;
+}
@@ -1,10 +1,64 @@
+import assert from 'assert';
+
+import MessageCipher from './message-cipher.js';
+
+// backend factories by name
+const backends = new Map();
+
+/**
+ * archive backend interface: push, get, list, delete, health and close.
+ * backends register a factory under a name and are built from configuration
+ * @class BaseLogger
+ */
 export default class BaseLogger {
     #enabled;
     #logger;
+    #cipher;
+    #redactor;
+
+    /**
+     * @param {string} name - used in ARCHIVE_BACKENDS and REPLAY_FROM
+     * @param {function(object): BaseLogger|Promise<BaseLogger>} factory - receives the archive options (logger, cipher, redactor, redisUrl, logsPath...)
+     */
+    static register(name, factory) {
+        assert.ok(typeof factory === 'function', `archive backend ${name} needs a factory`);
+        backends.set(name, factory);
+    }
+
+    /**
+     * @async
+     * @param {string} name - registered backend
+     * @param {object} options - archive options
+     * @returns {BaseLogger}
+     * @throws TypeError if the backend is not registered
+     */
+    static async create(name, options) {
+        const factory = backends.get(name);
+        if (!factory) {
+            throw new TypeError(`unknown archive backend ${name}, registered backends: ${BaseLogger.backends().join(', ')}`);
+        }
+        return factory(options);
+    }
+
+    /**
+     * @returns {string[]} registered backend names
+     */
+    static backends() {
+        return Array.from(backends.keys());
+    }
 
-    constructor({ logger = console, enabled }) {
+    /**
+     * @param {object} options
+     * @param {pino.Logger} [options.logger]
+     * @param {boolean} options.enabled
+     * @param {MessageCipher} [options.cipher] - encrypts messages before they are stored
+     * @param {MessageRedactor} [options.redactor] - redacts fields before they are stored
+     */
+    constructor({ logger = console, enabled, cipher, redactor }) {
         this.#logger = logger;
         this.#enabled = enabled;
+        this.#cipher = cipher;
+        this.#redactor = redactor;
     }
 
     get isEnabled() {
@@ -19,6 +73,62 @@ export default class BaseLogger {
         this.#enabled = false;
     }
 
+    /**
+     * serializes a message to JSON. binary bodies are base64 encoded and
+     * flagged with `bodyEncoding` so they can be restored byte by byte. configured
+     * fields are redacted first, a redacted message is flagged with `redacted` so
+     * it is not replayed as it is, and the result is encrypted when a cipher is set
+     * @param {any} message 
+     * @returns {string}
+     */
+    serialize(message) {
+        if (this.#redactor) {
+            const redacted = this.#redactor.redact(message);
+            message = redacted === message ? message : { ...redacted, redacted: true };
+        }
+
+        let json;
+        if (message?.body instanceof Uint8Array) {
+            const { body } = message;
+            const bytes = Buffer.from(body.buffer, body.byteOffset, body.byteLength);
+            json = JSON.stringify({ ...message, body: bytes.toString('base64'), bodyEncoding: 'base64' });
+        } else {
+            json = JSON.stringify(message);
+        }
+        return this.#cipher ? JSON.stringify(this.#cipher.encrypt(json)) : json;
+    }
+
+    /**
+     * parses a message serialized by `serialize`. archives written before the
+     * encoding marker existed are returned as they were stored
+     * @param {string} json 
+     * @returns {any}
+     */
+    deserialize(json) {
+        return this.revive(JSON.parse(json));
+    }
+
+    /**
+     * decrypts and restores the binary body of a message already parsed from JSON
+     * @param {any} message
+     * @returns {any}
+     * @throws Error if the message is encrypted and can not be decrypted
+     */
+    revive(message) {
+        if (MessageCipher.isEnvelope(message)) {
+            if (!this.#cipher) {
+                throw new Error(`archived message is encrypted with key ${message.keyId}, an encryption key is required`);
+            }
+            message = JSON.parse(this.#cipher.decrypt(message));
+        }
+        if (message?.bodyEncoding === 'base64') {
+            const { bodyEncoding, ...rest } = message;
+            const bytes = Buffer.from(rest.body, 'base64');
+            return { ...rest, body: new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength) };
+        }
+        return message;
+    }
+
     /**
      * @async
      * @param {string} id 
@@ -37,4 +147,70 @@ export default class BaseLogger {
         this.#logger.warn('Base logger is a no-op');
         return;
     }
+
+    /**
+     * @async
+     * @returns {string[]} ids of the stored messages
+     */
+     async list() {
+        this.#logger.warn('Base logger is a no-op');
+        return [];
+    }
+
+    /**
+     * @async
+     * @param {string} id 
+     * @returns {boolean} true if the message existed
+     */
+     async delete(id) {
+        this.#logger.warn('Base logger is a no-op');
+        return false;
+    }
+
+    /**
+     * @async
+     * @returns {{ healthy: boolean, error?: string }}
+     */
+     async health() {
+        return { healthy: this.isEnabled };
+    }
+
+    /**
+     * removes the messages received more than `maxAge` ago, reading them one by
+     * one. backends override it when they can do better, or prune by size
+     * @async
+     * @param {object} policy
+     * @param {number} [policy.maxAge] - ms
+     * @param {number} [policy.maxBytes] - total size of the archive
+     * @param {boolean} [policy.dryRun] - only reports what would be removed
+     * @param {number} [policy.now] - ms
+     * @returns {{ matched: number, removed: number, bytes: number }} messages and bytes
+     */
+     async prune({ maxAge, maxBytes, dryRun = false, now = Date.now() }) {
+        if (maxBytes !== undefined) {
+            this.#logger.warn(`${this.constructor.name} can not prune by size`);
+        }
+
+        const report = { matched: 0, removed: 0, bytes: 0 };
+        if (maxAge === undefined) {
+            return report;
+        }
+        for (const id of await this.list()) {
+            const message = await this.get(id);
+            if (Date.parse(message?.receivedAt) < now - maxAge) {
+                report.matched++;
+                if (!dryRun && await this.delete(id)) {
+                    report.removed++;
+                }
+            }
+        }
+        return report;
+    }
+
+    /**
+     * releases connections held by the logger
+     * @async
+     */
+     async close() {
+    }
 }
\ No newline at end of file
@@ -1,18 +1,41 @@
-import { writeFile, readFile } from 'fs/promises';
+import { writeFile, readFile, readdir, unlink, stat, access, constants } from 'fs/promises';
 import assert from 'assert';
 
 import BaseLogger from './base-logger.js'
+import SegmentStore, { SEGMENT_PATTERN } from './segment-store.js';
+
+export const FILE_LOGGER_MODES = ['message', 'segment'];
 
 /**
- * logs one message in a different file to account for messages > 1MB
+ * logs messages in the logs folder, in one of two modes:
+ * - message: one file per message, to account for messages > 1MB
+ * - segment: appended to rotated NDJSON segments with an index. messages
+ *   larger than `largeMessageBytes` still get a file of their own
  * @class FileLogger
  */
 export default class FileLogger extends BaseLogger {
+    #segments;
 
-    constructor({ logger = console, enabled = true, logsPath = '/logs/events'  }) {
-        super({ logger, enabled });
+    /**
+     * @param {object} options
+     * @param {'message'|'segment'} [options.mode]
+     * @param {object} [options.segment] - segment mode only
+     * @param {number} [options.segment.maxBytes] - rotates a segment once it reaches this size
+     * @param {number} [options.segment.maxMessages] - rotates a segment once it holds this many messages
+     * @param {boolean} [options.segment.gzip] - compresses closed segments
+     * @param {number} [options.segment.largeMessageBytes] - larger messages are written to their own file
+     */
+    constructor({ logger = console, enabled = true, logsPath = '/logs/events', mode = 'message', segment = {}, cipher, redactor }) {
+        super({ logger, enabled, cipher, redactor });
+        assert.ok(FILE_LOGGER_MODES.includes(mode), `file logger mode must be one of ${FILE_LOGGER_MODES.join(', ')}`);
 
         this.logsPath = logsPath;
+        this.mode = mode;
+        if (mode === 'segment') {
+            const { largeMessageBytes = 1024 * 1024, ...options } = segment;
+            this.largeMessageBytes = largeMessageBytes;
+            this.#segments = new SegmentStore({ ...options, path: logsPath, logger });
+        }
         if (!this.isEnabled) {
             this.logger.warn('File logger is disabled');
         }
@@ -22,21 +45,33 @@ export default class FileLogger extends BaseLogger {
         return `${this.logsPath}/msg-${id}.txt`;
     }
 
+    /**
+     * @param {string} fileName
+     * @returns {string|undefined} message id if it is a message file
+     */
+    idFromFile(fileName) {
+        return fileName.match(/^msg-(.+)\.txt$/)?.[1];
+    }
+
     /**
      * @async
      * @param {string} id 
      * @param {any} message 
+     * @throws Error if the file can not be written
      */
     async push(id, message) {
         assert.ok(typeof id === 'string', 'id must be string');
         assert.ok(message, 'message is required');
 
         if (this.isEnabled) {
-            try{
-                const jsonMessage = JSON.stringify(message);
+            const jsonMessage = this.serialize(message);
+            if (!this.#segments) {
                 await writeFile(this.logFile(id), jsonMessage);
-            } catch(err) {
-                this.logger.error(err.message ?? err);
+            } else if (Buffer.byteLength(jsonMessage) > this.largeMessageBytes) {
+                await writeFile(this.logFile(id), jsonMessage);
+                await this.#segments.link(id, `msg-${id}.txt`);
+            } else {
+                await this.#segments.append(id, jsonMessage);
             }
         } else {
             this.logger.warn('File logger is disabled');
@@ -53,8 +88,13 @@ export default class FileLogger extends BaseLogger {
 
         if (this.isEnabled) {
             try{
+                await this.#segments?.init();
+                const entry = this.#segments?.locate(id);
+                if (entry?.segment) {
+                    return this.revive(await this.#segments.read(entry));
+                }
                 const jsonMessage = await readFile(this.logFile(id), { encoding: 'utf8' });
-                return JSON.parse(jsonMessage);
+                return this.deserialize(jsonMessage);
             } catch(err) {
                 this.logger.error(err.message ?? err);
             }
@@ -62,4 +102,130 @@ export default class FileLogger extends BaseLogger {
             this.logger.warn('File logger is disabled');
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * @async
+     * @returns {string[]} ids of the stored messages
+     */
+    async list() {
+        if (this.isEnabled) {
+            try{
+                const files = await readdir(this.logsPath);
+                const ids = new Set(files.map((file) => this.idFromFile(file)).filter(Boolean));
+                if (this.#segments) {
+                    await this.#segments.init();
+                    this.#segments.ids().forEach((id) => ids.add(id));
+                }
+                return Array.from(ids).sort();
+            } catch(err) {
+                this.logger.error(err.message ?? err);
+            }
+        } else {
+            this.logger.warn('File logger is disabled');
+        }
+        return [];
+    }
+
+    /**
+     * @async
+     * @param {string} id 
+     * @returns {boolean} true if the message existed
+     * @throws Error if the file can not be removed
+     */
+    async delete(id) {
+        assert.ok(typeof id === 'string', 'id must be string');
+
+        if (!this.isEnabled) {
+            this.logger.warn('File logger is disabled');
+            return false;
+        }
+        const indexed = await this.#segments?.remove(id) ?? false;
+        try {
+            await unlink(this.logFile(id));
+            return true;
+        } catch(err) {
+            if (err.code === 'ENOENT') return indexed;
+            throw err;
+        }
+    }
+
+    /**
+     * the logs folder must be writable
+     * @async
+     * @returns {{ healthy: boolean, error?: string }}
+     */
+    async health() {
+        if (!this.isEnabled) {
+            return { healthy: false, error: 'disabled' };
+        }
+        try {
+            await access(this.logsPath, constants.W_OK);
+            return { healthy: true };
+        } catch(err) {
+            return { healthy: false, error: err.message };
+        }
+    }
+
+    /**
+     * removes message files and closed segments, oldest first (by modification
+     * time): the ones older than `maxAge`, then more until the archive fits in
+     * `maxBytes`. the segment being written is counted but never removed
+     * @async
+     * @param {object} policy - see `BaseLogger.prune`
+     * @returns {{ matched: number, removed: number, bytes: number }}
+     */
+    async prune({ maxAge, maxBytes, dryRun = false, now = Date.now() }) {
+        const report = { matched: 0, removed: 0, bytes: 0 };
+        if (!this.isEnabled || (maxAge === undefined && maxBytes === undefined)) {
+            return report;
+        }
+
+        await this.#segments?.init();
+        const files = [];
+        for (const file of await readdir(this.logsPath)) {
+            const id = this.idFromFile(file);
+            // segments are only known to the segment mode
+            const segment = this.#segments && SEGMENT_PATTERN.test(file) ? file.replace(/\.gz$/, '') : undefined;
+            if (id || segment) {
+                const { size, mtimeMs } = await stat(`${this.logsPath}/${file}`);
+                files.push({ file, id, segment, size, mtimeMs });
+            }
+        }
+        files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+
+        let total = files.reduce((sum, { size }) => sum + size, 0);
+        for (const { file, id, segment, size, mtimeMs } of files) {
+            const expired = maxAge !== undefined && mtimeMs < now - maxAge;
+            const oversized = maxBytes !== undefined && total > maxBytes;
+            if ((!expired && !oversized) || (segment && segment === this.#segments.current)) {
+                continue;
+            }
+
+            const messages = segment ? this.#segments.count(segment) : 1;
+            total -= size;
+            report.matched += messages;
+            report.bytes += size;
+            if (!dryRun) {
+                if (segment) {
+                    await this.#segments.drop(segment);
+                } else {
+                    await unlink(`${this.logsPath}/${file}`);
+                    await this.#segments?.remove(id);
+                }
+                report.removed += messages;
+            }
+        }
+        return report;
+    }
+
+    /**
+     * closes the current segment
+     * @async
+     */
+    async close() {
+        await this.#segments?.close();
+    }
+}
+
+BaseLogger.register('file', ({ logger, logsPath, fileMode, segment, cipher, redactor }) =>
+    new FileLogger({ logger, enabled: true, logsPath, mode: fileMode, segment, cipher, redactor }));
@@ -0,0 +1,84 @@
+import assert from 'assert';
+
+import BaseLogger from './base-logger.js';
+import MessageRedactor from './message-redactor.js';
+import { loadCipher } from './message-cipher.js';
+
+// built-in archive backends register themselves when loaded
+import './redis-logger.js';
+import './file-logger.js';
+
+// the native sqlite module is only loaded by the commands using the backend
+BaseLogger.register('sqlite', async ({ logger, sqlitePath, cipher, redactor }) => {
+    const { default: SqliteLogger } = await import('./sqlite-logger.js');
+    return new SqliteLogger({ logger, path: sqlitePath, cipher, redactor });
+});
+
+/**
+ * builds the archive backends listed in the configuration, in order
+ * @async
+ * @param {string[]} names - registered backend names
+ * @param {object} options - archive options passed to every factory
+ * @returns {Map<string, BaseLogger>}
+ */
+export async function createArchive(names, options) {
+    const archive = new Map();
+    for (const name of names) {
+        assert.ok(!archive.has(name), `archive backend ${name} is listed more than once`);
+        archive.set(name, await BaseLogger.create(name, options));
+    }
+    return archive;
+}
+
+/**
+ * @param {object} config - archive options, see config/options.js
+ * @returns {string[]} archiveBackends, or redis and/or file as redisUrl and enableFileLogger are set
+ */
+export function configuredBackends({ archiveBackends, redisUrl, enableFileLogger = true }) {
+    return archiveBackends !== undefined
+        ? archiveBackends
+        : [redisUrl && 'redis', enableFileLogger && 'file'].filter(Boolean);
+}
+
+/**
+ * builds the archive options from the configuration, shared by the migration
+ * and the commands reading the archive
+ * @async
+ * @param {object} config - resolved options of a command, see config/load-config.js
+ * @param {pino.Logger} logger
+ * @returns {object} options of `createArchive` and `BaseLogger.create`
+ */
+export async function archiveOptions(config, logger) {
+    const { redisKeyPrefix, runId } = config;
+    assert.ok(!redisKeyPrefix.includes('{run}') || runId, 'RUN_ID is required by the {run} of REDIS_KEY_PREFIX');
+
+    const redactor = new MessageRedactor({ headers: config.archiveRedactHeaders, fields: config.archiveRedactFields });
+    return {
+        logger,
+        // redaction and encryption at rest
+        cipher: await loadCipher({ key: config.archiveEncryptionKey, keyId: config.archiveEncryptionKeyId, keyFile: config.archiveEncryptionKeyFile }),
+        redactor: redactor.isEnabled ? redactor : undefined,
+        redisUrl: config.redisUrl,
+        redisKeyPrefix: redisKeyPrefix.replaceAll('{run}', runId),
+        redisTtl: config.redisTtl,
+        logsPath: config.fileLogsPath,
+        fileMode: config.fileLoggerMode,
+        segment: {
+            maxBytes: config.fileSegmentMaxBytes,
+            maxMessages: config.fileSegmentMaxMessages,
+            gzip: config.fileSegmentGzip,
+            largeMessageBytes: config.fileLargeMessageBytes
+        },
+        sqlitePath: config.sqlitePath
+    };
+}
+
+/**
+ * @param {object} config
+ * @returns {{ maxAge?: number, maxBytes?: number }} archive retention
+ */
+export function retentionPolicy({ archiveMaxAge, archiveMaxBytes }) {
+    return { maxAge: archiveMaxAge, maxBytes: archiveMaxBytes };
+}
+
+export { BaseLogger };
@@ -0,0 +1,145 @@
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import assert from 'assert';
+import yaml from 'js-yaml';
+
+export const ALGORITHM = 'aes-256-gcm';
+
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const KEY_BYTES = 32;
+
+/**
+ * @typedef {object} Envelope
+ * @property {'aes-256-gcm'} encryption
+ * @property {string} keyId - master key the data key is wrapped with
+ * @property {string} key - base64 data key, encrypted with the master key (iv, tag and ciphertext)
+ * @property {string} iv - base64
+ * @property {string} tag - base64
+ * @property {string} data - base64 encrypted message
+ */
+
+/**
+ * envelope encryption of archived messages: every message is encrypted with
+ * its own random data key, and the data key with the active master key. the
+ * key id is kept in the envelope so messages archived with older master keys
+ * can still be read after a rotation
+ * @class MessageCipher
+ */
+export default class MessageCipher {
+    #keys;
+
+    /**
+     * @param {object} options
+     * @param {Record<string, string>} options.keys - base64 encoded 256 bit master keys by key id
+     * @param {string} options.active - key id used to encrypt
+     */
+    constructor({ keys, active }) {
+        assert.ok(keys && Object.keys(keys).length > 0, 'encryption needs at least one key');
+        assert.ok(Object.hasOwn(keys, active), `active encryption key ${active} is not in the keys`);
+
+        this.#keys = new Map(Object.entries(keys).map(([keyId, key]) => {
+            const bytes = Buffer.from(String(key), 'base64');
+            assert.ok(bytes.length === KEY_BYTES, `encryption key ${keyId} must be ${KEY_BYTES} bytes, base64 encoded`);
+            return [keyId, bytes];
+        }));
+        this.active = active;
+    }
+
+    /**
+     * reads a key file, JSON or YAML: `{ active: 'k2', keys: { k1: '<base64>', k2: '<base64>' } }`
+     * @async
+     * @param {string} path
+     * @returns {MessageCipher}
+     */
+    static async fromFile(path) {
+        const content = await readFile(path, { encoding: 'utf8' });
+        const ext = extname(path).toLowerCase();
+        return new MessageCipher(ext === '.yaml' || ext === '.yml' ? yaml.load(content) : JSON.parse(content));
+    }
+
+    /**
+     * @param {any} value - parsed archive record
+     * @returns {boolean} true if the value is an encrypted envelope
+     */
+    static isEnvelope(value) {
+        return value?.encryption === ALGORITHM && typeof value.data === 'string';
+    }
+
+    /**
+     * @param {string} plaintext - serialized message
+     * @returns {Envelope}
+     */
+    encrypt(plaintext) {
+        const dataKey = randomBytes(KEY_BYTES);
+        const wrapped = seal(this.#keys.get(this.active), dataKey, this.active);
+        const { iv, tag, data } = seal(dataKey, Buffer.from(plaintext, 'utf8'));
+
+        return {
+            encryption: ALGORITHM,
+            keyId: this.active,
+            key: Buffer.concat([wrapped.iv, wrapped.tag, wrapped.data]).toString('base64'),
+            iv: iv.toString('base64'),
+            tag: tag.toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    /**
+     * @param {Envelope} envelope
+     * @returns {string} serialized message
+     * @throws Error if the key is unknown or the envelope was altered
+     */
+    decrypt({ keyId, key, iv, tag, data }) {
+        const masterKey = this.#keys.get(keyId);
+        if (!masterKey) {
+            throw new Error(`unknown encryption key ${keyId}`);
+        }
+
+        const wrapped = Buffer.from(key, 'base64');
+        const dataKey = open(masterKey, {
+            iv: wrapped.subarray(0, IV_BYTES),
+            tag: wrapped.subarray(IV_BYTES, IV_BYTES + TAG_BYTES),
+            data: wrapped.subarray(IV_BYTES + TAG_BYTES)
+        }, keyId);
+
+        return open(dataKey, {
+            iv: Buffer.from(iv, 'base64'),
+            tag: Buffer.from(tag, 'base64'),
+            data: Buffer.from(data, 'base64')
+        }).toString('utf8');
+    }
+}
+
+/**
+ * builds the cipher from the archive configuration, undefined when encryption is off
+ * @async
+ * @param {object} options
+ * @param {string} [options.key] - base64 master key
+ * @param {string} [options.keyId] - id of `key`
+ * @param {string} [options.keyFile] - key file with several keys, see `MessageCipher.fromFile`
+ * @returns {MessageCipher|undefined}
+ */
+export async function loadCipher({ key, keyId = 'default', keyFile }) {
+    assert.ok(!(key && keyFile), 'set an encryption key or a key file, not both');
+    if (keyFile) {
+        return MessageCipher.fromFile(keyFile);
+    }
+    return key ? new MessageCipher({ keys: { [keyId]: key }, active: keyId }) : undefined;
+}
+
+function seal(key, plaintext, aad) {
+    const iv = randomBytes(IV_BYTES);
+    const cipher = createCipheriv(ALGORITHM, key, iv);
+    if (aad) cipher.setAAD(Buffer.from(aad));
+    const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return { iv, tag: cipher.getAuthTag(), data };
+}
+
+function open(key, { iv, tag, data }, aad) {
+    const decipher = createDecipheriv(ALGORITHM, key, iv);
+    if (aad) decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]);
+}
@@ -0,0 +1,80 @@
+import assert from 'assert';
+
+import { parsePath, replaceAt } from '../json/json-path.js';
+
+export const REDACTED = '[REDACTED]';
+
+const decoder = new TextDecoder();
+
+/**
+ * replaces configured header values and JSON body fields before a message is
+ * archived. the published message is not changed
+ * @class MessageRedactor
+ */
+export default class MessageRedactor {
+    #headers;
+    #fields;
+
+    /**
+     * @param {object} options
+     * @param {string[]} [options.headers] - header names, case insensitive
+     * @param {string[]} [options.fields] - JSON paths in the body (`$.customer.email`, `cards[0].number`)
+     */
+    constructor({ headers = [], fields = [] }) {
+        this.#headers = new Set(headers.map((name) => name.toLowerCase()));
+        this.#fields = fields.map((path) => {
+            const keys = parsePath(path);
+            assert.ok(keys.length > 0, `redacted field ${path} is an empty path`);
+            return keys;
+        });
+    }
+
+    /**
+     * @returns {boolean} true if anything is redacted
+     */
+    get isEnabled() {
+        return this.#headers.size > 0 || this.#fields.length > 0;
+    }
+
+    /**
+     * @param {any} message - formatted message
+     * @returns {any} a copy, or the message itself when nothing is redacted
+     */
+    redact(message) {
+        let redacted = message;
+
+        const headers = message?.properties?.headers;
+        if (headers && Object.keys(headers).some((name) => this.#headers.has(name.toLowerCase()))) {
+            const copy = Object.fromEntries(Object.entries(headers)
+                .map(([name, value]) => [name, this.#headers.has(name.toLowerCase()) ? REDACTED : value]));
+            redacted = { ...redacted, properties: { ...redacted.properties, headers: copy } };
+        }
+
+        if (this.#fields.length > 0 && message?.body !== undefined && message.body !== null) {
+            const body = this.#redactBody(message.body);
+            if (body !== message.body) {
+                redacted = { ...redacted, body };
+            }
+        }
+        return redacted;
+    }
+
+    /**
+     * bodies that are not JSON are archived as they are
+     */
+    #redactBody(body) {
+        let json;
+        try {
+            json = JSON.parse(typeof body === 'string' ? body : decoder.decode(body));
+        } catch {
+            return body;
+        }
+
+        const found = this.#fields.filter((keys) => replaceAt(json, keys, REDACTED));
+        if (found.length === 0) {
+            return body;
+        }
+        const text = JSON.stringify(json);
+        return typeof body === 'string' ? text : new Uint8Array(Buffer.from(text, 'utf8'));
+    }
+}
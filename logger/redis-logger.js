@@ -3,11 +3,32 @@ import assert from 'assert';
 
 import BaseLogger from './base-logger.js'
 
+// keys of the archived messages, apart from the keys below whatever their id
+export const MESSAGE_PREFIX = 'message:';
+
+// keys of the messages confirmed by the destination (dedup mode)
+export const DELIVERED_PREFIX = 'delivered:';
+
+// keys of the run checkpoints
+export const CHECKPOINT_PREFIX = 'checkpoint:';
+
+/**
+ * archives every message in its own redis key, `<keyPrefix>message:<id>`
+ * @class RedisLogger
+ */
 export default class RedisLogger extends BaseLogger {
-    constructor({ logger = console, redisUrl }) {
-        super({ logger, enabled: !!redisUrl });
+    /**
+     * @param {object} options
+     * @param {string} [options.redisUrl] - the logger is disabled without url
+     * @param {string} [options.keyPrefix] - namespace of the keys, e.g. `amqp-migration:<run>:`
+     * @param {number} [options.ttl] - ms before archived messages expire, no expiry by default
+     */
+    constructor({ logger = console, redisUrl, keyPrefix = '', ttl, cipher, redactor }) {
+        super({ logger, enabled: !!redisUrl, cipher, redactor });
 
         this.redisUrl = redisUrl;
+        this.keyPrefix = keyPrefix;
+        this.ttl = ttl;
         this.started = false;
 
         if (!this.isEnabled) {
@@ -36,6 +57,8 @@ export default class RedisLogger extends BaseLogger {
                 return false;
             }
         }
+        // already connected
+        return this.isEnabled;
     }
 
     /**
@@ -53,8 +76,12 @@ export default class RedisLogger extends BaseLogger {
             assert.ok(typeof id === 'string', 'id must be string');
             assert.ok(message, 'message is required');
 
-            const jsonMessage = JSON.stringify(message);
-            await this.redis.set(id, jsonMessage);
+            const jsonMessage = this.serialize(message);
+            if (this.ttl) {
+                await this.redis.set(this.keyPrefix + MESSAGE_PREFIX + id, jsonMessage, 'PX', this.ttl);
+            } else {
+                await this.redis.set(this.keyPrefix + MESSAGE_PREFIX + id, jsonMessage);
+            }
         }
     }
 
@@ -71,12 +98,149 @@ export default class RedisLogger extends BaseLogger {
         } else {
             assert.ok(typeof id === 'string', 'id must be string');
             try{
-                const message = await this.redis.get(id);
-                return JSON.parse(message);
+                const message = await this.redis.get(this.keyPrefix + MESSAGE_PREFIX + id);
+                return this.deserialize(message);
             } catch(err) {
                 this.logger.error(err.message ?? err);
                 return;
             }
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * scans the message keys of the prefix, dedup and checkpoint keys are not listed
+     * @async
+     * @returns {string[]} ids of the stored messages
+     */
+    async list() {
+        const success = await this.init();
+        if (!success) {
+            this.logger.warn('Redis logger is disabled');
+            return [];
+        }
+
+        // scan may return the same key more than once
+        const ids = new Set();
+        const prefix = this.keyPrefix + MESSAGE_PREFIX;
+        const pattern = prefix.replace(/[*?[\]\\]/g, '\\$&') + '*';
+        let cursor = '0';
+        do {
+            const [next, keys] = await this.redis.scan(cursor, 'MATCH', pattern, 'COUNT', 1000);
+            keys.filter((key) => key.startsWith(prefix))
+                .map((key) => key.slice(prefix.length))
+                .forEach((id) => ids.add(id));
+            cursor = next;
+        } while (cursor !== '0');
+
+        return Array.from(ids).sort();
+    }
+
+    /**
+     * @async
+     * @param {string} id 
+     * @returns {boolean} true if the message existed
+     * @throws Error
+     */
+    async delete(id) {
+        const success = await this.init();
+        if (!success) {
+            this.logger.warn('Redis logger is disabled');
+            return false;
+        }
+        assert.ok(typeof id === 'string', 'id must be string');
+        return await this.redis.del(this.keyPrefix + MESSAGE_PREFIX + id) > 0;
+    }
+
+    /**
+     * @async
+     * @returns {{ healthy: boolean, error?: string }}
+     */
+    async health() {
+        if (!await this.init()) {
+            return { healthy: false, error: 'disabled' };
+        }
+        // commands are queued while ioredis reconnects, the status does not wait
+        const { status } = this.redis;
+        return status === 'ready' ? { healthy: true } : { healthy: false, error: `redis is ${status}` };
+    }
+
+    /**
+     * records a message confirmed by the destination, it expires after ttl
+     * @async
+     * @param {string} key - message id or content hash
+     * @param {number} ttl - ms
+     * @throws Error
+     */
+    async markDelivered(key, ttl) {
+        const success = await this.init();
+        if (!success) {
+            this.logger.warn('Redis logger is disabled');
+        } else {
+            assert.ok(typeof key === 'string', 'key must be string');
+            await this.redis.set(this.keyPrefix + DELIVERED_PREFIX + key, new Date().toISOString(), 'PX', ttl);
+        }
+    }
+
+    /**
+     * @async
+     * @param {string} key - message id or content hash
+     * @returns {boolean} true if the message was confirmed by the destination
+     * @throws Error
+     */
+    async isDelivered(key) {
+        const success = await this.init();
+        if (!success) {
+            this.logger.warn('Redis logger is disabled');
+            return false;
+        }
+        assert.ok(typeof key === 'string', 'key must be string');
+        return await this.redis.exists(this.keyPrefix + DELIVERED_PREFIX + key) === 1;
+    }
+
+    /**
+     * @async
+     * @param {string} runId
+     * @returns {object|undefined} saved record, undefined for a new run
+     * @throws Error
+     */
+    async loadCheckpoint(runId) {
+        const success = await this.init();
+        if (!success) {
+            this.logger.warn('Redis logger is disabled');
+            return;
+        }
+        assert.ok(typeof runId === 'string', 'run id must be string');
+        const record = await this.redis.get(this.keyPrefix + CHECKPOINT_PREFIX + runId);
+        return record ? JSON.parse(record) : undefined;
+    }
+
+    /**
+     * checkpoints do not expire with the archive
+     * @async
+     * @param {string} runId
+     * @param {object} record
+     * @throws Error
+     */
+    async saveCheckpoint(runId, record) {
+        const success = await this.init();
+        if (!success) {
+            this.logger.warn('Redis logger is disabled');
+        } else {
+            assert.ok(typeof runId === 'string', 'run id must be string');
+            await this.redis.set(this.keyPrefix + CHECKPOINT_PREFIX + runId, JSON.stringify(record));
+        }
+    }
+
+    /**
+     * @async
+     */
+    async close() {
+        if (this.started) {
+            this.started = false;
+            await this.redis.quit();
+        }
+    }
+}
+
+BaseLogger.register('redis', ({ logger, redisUrl, redisKeyPrefix, redisTtl, cipher, redactor }) =>
+    new RedisLogger({ logger, redisUrl, keyPrefix: redisKeyPrefix, ttl: redisTtl, cipher, redactor }));
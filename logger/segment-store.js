@@ -0,0 +1,355 @@
+import { open, readFile, writeFile, readdir, rename, unlink, truncate, appendFile } from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { createGzip, gunzip } from 'zlib';
+import { pipeline } from 'stream/promises';
+import { promisify } from 'util';
+
+const gunzipAsync = promisify(gunzip);
+
+export const INDEX_FILE = 'index.ndjson';
+export const SEGMENT_PATTERN = /^segment-(\d+)\.ndjson(\.gz)?$/;
+
+/**
+ * appends messages to numbered NDJSON segments, one `{"id", "message"}` line
+ * per message. an index file keeps the segment, offset and length of every
+ * line so a single message is read without scanning. segments are rotated by
+ * size or message count and can be gzipped once closed
+ * @class SegmentStore
+ */
+export default class SegmentStore {
+    #index = new Map();
+    #counts = new Map();
+    #ends = new Map();
+    #handle;
+    #segment;
+    #size = 0;
+    #number = 0;
+    #writes = Promise.resolve();
+    #compressions = new Set();
+    #cache;
+    #ready;
+
+    /**
+     * @param {object} options
+     * @param {string} options.path - folder of the segments and the index
+     * @param {number} [options.maxBytes] - a segment is closed once it reaches this size
+     * @param {number} [options.maxMessages] - a segment is closed once it holds this many messages
+     * @param {boolean} [options.gzip] - compresses closed segments
+     * @param {pino.Logger} [options.logger]
+     */
+    constructor({ path, maxBytes = 64 * 1024 * 1024, maxMessages = 100000, gzip = false, logger = console }) {
+        this.path = path;
+        this.maxBytes = maxBytes;
+        this.maxMessages = maxMessages;
+        this.gzip = gzip;
+        this.logger = logger;
+    }
+
+    /**
+     * loads the index and reopens the last segment, once
+     * @async
+     */
+    init() {
+        this.#ready ??= this.#load();
+        return this.#ready;
+    }
+
+    /**
+     * name of the segment written to, it is never pruned
+     * @returns {string}
+     */
+    get current() {
+        return this.#segment;
+    }
+
+    /**
+     * appends a message to the current segment. writes are serialized so
+     * offsets stay right when several queues archive at the same time
+     * @async
+     * @param {string} id
+     * @param {string} json - serialized message
+     */
+    append(id, json) {
+        return this.#serialize(() => this.#write(id, json));
+    }
+
+    /**
+     * indexes a message stored in its own file
+     * @async
+     * @param {string} id
+     * @param {string} file - file name in the folder
+     */
+    link(id, file) {
+        return this.#serialize(() => this.#appendIndex({ id, file }));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {{ segment: string, offset: number, length: number }|{ file: string }|undefined}
+     */
+    locate(id) {
+        return this.#index.get(id);
+    }
+
+    /**
+     * @returns {string[]} indexed ids
+     */
+    ids() {
+        return Array.from(this.#index.keys());
+    }
+
+    /**
+     * @param {string} segment - segment name, without `.gz`
+     * @returns {number} messages indexed in the segment
+     */
+    count(segment) {
+        return this.#counts.get(segment) ?? 0;
+    }
+
+    /**
+     * reads a message line, from the plain segment or from its gzipped copy
+     * @async
+     * @param {{ segment: string, offset: number, length: number }} entry
+     * @returns {any} message as it was serialized (not revived)
+     */
+    async read({ segment, offset, length }) {
+        let line;
+        try {
+            const handle = await open(`${this.path}/${segment}`, 'r');
+            try {
+                const buffer = Buffer.alloc(length);
+                await handle.read(buffer, 0, length, offset);
+                line = buffer.toString('utf8');
+            } finally {
+                await handle.close();
+            }
+        } catch(err) {
+            if (err.code !== 'ENOENT') throw err;
+
+            // compressed segment, the last one read is cached
+            if (this.#cache?.segment !== segment) {
+                const compressed = await readFile(`${this.path}/${segment}.gz`);
+                this.#cache = { segment, buffer: await gunzipAsync(compressed) };
+            }
+            line = this.#cache.buffer.subarray(offset, offset + length).toString('utf8');
+        }
+        return JSON.parse(line).message;
+    }
+
+    /**
+     * forgets a message. its line stays in the segment until the segment is removed
+     * @async
+     * @param {string} id
+     * @returns {boolean} true if the message was indexed
+     */
+    remove(id) {
+        return this.#serialize(async () => {
+            if (!this.#index.has(id)) {
+                return false;
+            }
+            await this.#appendIndex({ id, deleted: true });
+            return true;
+        });
+    }
+
+    /**
+     * removes a closed segment and its messages. the index is rewritten without them
+     * @async
+     * @param {string} segment - segment name, without `.gz`
+     */
+    drop(segment) {
+        return this.#serialize(async () => {
+            if (segment === this.#segment) {
+                throw new Error(`${segment} is the current segment`);
+            }
+
+            for (const [id, entry] of this.#index) {
+                if (entry.segment === segment) {
+                    this.#index.delete(id);
+                }
+            }
+            this.#counts.delete(segment);
+            this.#ends.delete(segment);
+            if (this.#cache?.segment === segment) {
+                this.#cache = undefined;
+            }
+
+            // the ends keep the lines of removed messages from being indexed again on recovery
+            const lines = [
+                ...Array.from(this.#ends, ([segment, end]) => JSON.stringify({ segment, end }) + '\n'),
+                ...Array.from(this.#index, ([id, location]) => JSON.stringify({ id, ...location }) + '\n')
+            ];
+            await writeFile(`${this.path}/${INDEX_FILE}`, lines.join(''));
+
+            for (const file of [segment, `${segment}.gz`]) {
+                await unlink(`${this.path}/${file}`).catch((err) => {
+                    if (err.code !== 'ENOENT') throw err;
+                });
+            }
+        });
+    }
+
+    /**
+     * closes the current segment and waits for the compressions in progress
+     * @async
+     */
+    async close() {
+        await this.#writes;
+        if (this.#handle) {
+            await this.#handle.close();
+            this.#handle = undefined;
+        }
+        await Promise.all(this.#compressions);
+        this.#ready = undefined;
+    }
+
+    /**
+     * runs the writes one at a time, after the index is loaded. a failed write
+     * does not block the next ones
+     */
+    #serialize(task) {
+        const run = this.#writes.then(() => this.init()).then(task);
+        this.#writes = run.catch(() => {});
+        return run;
+    }
+
+    async #load() {
+        this.#index.clear();
+        this.#counts.clear();
+        this.#ends.clear();
+
+        let content = '';
+        try {
+            content = await readFile(`${this.path}/${INDEX_FILE}`, { encoding: 'utf8' });
+        } catch(err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+
+        for (const line of content.split('\n')) {
+            if (!line) continue;
+            try {
+                this.#indexEntry(JSON.parse(line));
+            } catch {
+                // a line cut by a crash
+                this.logger.warn(`Ignoring a corrupted line of ${INDEX_FILE}`);
+            }
+        }
+
+        const segments = (await readdir(this.path))
+            .map((file) => file.match(SEGMENT_PATTERN))
+            .filter(Boolean)
+            .map(([file, number, gz]) => ({ file, number: parseInt(number, 10), closed: Boolean(gz) }))
+            .sort((a, b) => a.number - b.number);
+
+        const last = segments.at(-1);
+        if (last && !last.closed) {
+            await this.#recover(last);
+        } else {
+            this.#useSegment((last?.number ?? 0) + 1, 0);
+        }
+    }
+
+    /**
+     * reopens the last segment: lines written after the last index entry (a
+     * crash in between) are indexed again and a partial last line is cut
+     */
+    async #recover({ file, number }) {
+        const buffer = await readFile(`${this.path}/${file}`);
+
+        let offset = this.#ends.get(file) ?? 0;
+        while (offset < buffer.length) {
+            const newline = buffer.indexOf(0x0a, offset);
+            if (newline === -1) break;
+
+            const length = newline + 1 - offset;
+            try {
+                const { id } = JSON.parse(buffer.subarray(offset, newline).toString('utf8'));
+                await this.#appendIndex({ id, segment: file, offset, length });
+            } catch {
+                this.logger.warn(`Ignoring a corrupted line of ${file}`);
+            }
+            offset = newline + 1;
+        }
+
+        if (offset < buffer.length) {
+            await truncate(`${this.path}/${file}`, offset);
+        }
+        this.#useSegment(number, offset);
+    }
+
+    /**
+     * the segment file is only created by the first write, readers do not add empty segments
+     */
+    #useSegment(number, size) {
+        this.#number = number;
+        this.#segment = `segment-${String(number).padStart(6, '0')}.ndjson`;
+        this.#size = size;
+    }
+
+    async #write(id, json) {
+        if (this.#size >= this.maxBytes || (this.#counts.get(this.#segment) ?? 0) >= this.maxMessages) {
+            await this.#rotate();
+        }
+        this.#handle ??= await open(`${this.path}/${this.#segment}`, 'a');
+
+        const line = Buffer.from(`{"id":${JSON.stringify(id)},"message":${json}}\n`);
+        const offset = this.#size;
+        await this.#handle.write(line);
+        this.#size += line.length;
+
+        await this.#appendIndex({ id, segment: this.#segment, offset, length: line.length });
+    }
+
+    async #rotate() {
+        const closed = this.#segment;
+        await this.#handle?.close();
+        this.#handle = undefined;
+        this.#useSegment(this.#number + 1, 0);
+
+        if (this.gzip) {
+            const compression = this.#compress(closed)
+                .catch((err) => this.logger.error(err, `Unable to compress ${closed}`))
+                .finally(() => this.#compressions.delete(compression));
+            this.#compressions.add(compression);
+        }
+    }
+
+    /**
+     * the plain segment is removed once its gzipped copy is complete
+     */
+    async #compress(segment) {
+        const source = `${this.path}/${segment}`;
+        await pipeline(createReadStream(source), createGzip(), createWriteStream(`${source}.gz.tmp`));
+        await rename(`${source}.gz.tmp`, `${source}.gz`);
+        await unlink(source);
+    }
+
+    async #appendIndex(entry) {
+        await appendFile(`${this.path}/${INDEX_FILE}`, JSON.stringify(entry) + '\n');
+        this.#indexEntry(entry);
+    }
+
+    #indexEntry({ id, deleted, ...location }) {
+        if (id === undefined) {
+            this.#ends.set(location.segment, Math.max(this.#ends.get(location.segment) ?? 0, location.end));
+            return;
+        }
+
+        const previous = this.#index.get(id);
+        if (previous?.segment) {
+            this.#counts.set(previous.segment, this.#counts.get(previous.segment) - 1);
+        }
+
+        if (deleted) {
+            this.#index.delete(id);
+            return;
+        }
+        this.#index.set(id, location);
+        if (location.segment) {
+            const { segment, offset, length } = location;
+            this.#counts.set(segment, (this.#counts.get(segment) ?? 0) + 1);
+            // deleted lines are still in the segment
+            this.#ends.set(segment, Math.max(this.#ends.get(segment) ?? 0, offset + length));
+        }
+    }
+}
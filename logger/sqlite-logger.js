@@ -0,0 +1,170 @@
+import Database from 'better-sqlite3';
+import assert from 'assert';
+
+import BaseLogger from './base-logger.js'
+
+/**
+ * archives every message in a single SQLite file. exchange, routing key and
+ * receive time have their own columns so the archive can be queried, the
+ * message itself is stored as serialized JSON
+ * @class SqliteLogger
+ */
+export default class SqliteLogger extends BaseLogger {
+    #db;
+    #statements;
+
+    constructor({ logger = console, enabled = true, path = '/logs/archive.sqlite', cipher, redactor }) {
+        super({ logger, enabled, cipher, redactor });
+
+        this.path = path;
+        if (!this.isEnabled) {
+            this.logger.warn('SQLite logger is disabled');
+        }
+    }
+
+    /**
+     * opens the database and creates the table, once
+     * @returns {boolean} false if the logger is disabled
+     */
+    init() {
+        if (!this.isEnabled) {
+            return false;
+        }
+
+        if (!this.#db) {
+            const db = new Database(this.path);
+            // readers (replay, queries) do not block the migration
+            db.pragma('journal_mode = WAL');
+            db.exec(`CREATE TABLE IF NOT EXISTS messages (
+                id TEXT PRIMARY KEY,
+                exchange TEXT,
+                routing_key TEXT,
+                received_at TEXT,
+                message TEXT NOT NULL
+            )`);
+
+            this.#statements = {
+                push: db.prepare('INSERT OR REPLACE INTO messages (id, exchange, routing_key, received_at, message) VALUES (?, ?, ?, ?, ?)'),
+                get: db.prepare('SELECT message FROM messages WHERE id = ?'),
+                list: db.prepare('SELECT id FROM messages ORDER BY id').pluck(),
+                delete: db.prepare('DELETE FROM messages WHERE id = ?'),
+                expired: db.prepare('SELECT COUNT(*) AS count, COALESCE(SUM(LENGTH(message)), 0) AS bytes FROM messages WHERE received_at < ?'),
+                prune: db.prepare('DELETE FROM messages WHERE received_at < ?')
+            };
+            this.#db = db;
+        }
+        return true;
+    }
+
+    /**
+     * @async
+     * @param {string} id
+     * @param {any} message
+     * @throws Error if the row can not be written
+     */
+    async push(id, message) {
+        assert.ok(typeof id === 'string', 'id must be string');
+        assert.ok(message, 'message is required');
+
+        if (this.init()) {
+            this.#statements.push.run(id, message.exchange ?? null, message.routingKey ?? null,
+                message.receivedAt ?? null, this.serialize(message));
+        } else {
+            this.logger.warn('SQLite logger is disabled');
+        }
+    }
+
+    /**
+     * @async
+     * @param {string} id
+     * @returns {any}
+     */
+    async get(id) {
+        assert.ok(typeof id === 'string', 'id must be string');
+
+        if (!this.init()) {
+            this.logger.warn('SQLite logger is disabled');
+            return;
+        }
+        try {
+            const row = this.#statements.get.get(id);
+            return row ? this.deserialize(row.message) : undefined;
+        } catch(err) {
+            this.logger.error(err.message ?? err);
+        }
+    }
+
+    /**
+     * @async
+     * @returns {string[]} ids of the stored messages
+     */
+    async list() {
+        if (!this.init()) {
+            this.logger.warn('SQLite logger is disabled');
+            return [];
+        }
+        return this.#statements.list.all();
+    }
+
+    /**
+     * @async
+     * @param {string} id
+     * @returns {boolean} true if the message existed
+     */
+    async delete(id) {
+        assert.ok(typeof id === 'string', 'id must be string');
+
+        if (!this.init()) {
+            this.logger.warn('SQLite logger is disabled');
+            return false;
+        }
+        return this.#statements.delete.run(id).changes > 0;
+    }
+
+    /**
+     * removes the rows received more than `maxAge` ago
+     * @async
+     * @param {object} policy - see `BaseLogger.prune`
+     * @returns {{ matched: number, removed: number, bytes: number }}
+     */
+    async prune({ maxAge, maxBytes, dryRun = false, now = Date.now() }) {
+        if (maxBytes !== undefined) {
+            this.logger.warn('SQLite logger can not prune by size');
+        }
+        if (maxAge === undefined || !this.init()) {
+            return { matched: 0, removed: 0, bytes: 0 };
+        }
+
+        // received_at is an ISO date, it sorts as text
+        const before = new Date(now - maxAge).toISOString();
+        const { count, bytes } = this.#statements.expired.get(before);
+        const removed = dryRun ? 0 : this.#statements.prune.run(before).changes;
+        return { matched: count, removed, bytes };
+    }
+
+    /**
+     * @async
+     * @returns {{ healthy: boolean, error?: string }}
+     */
+    async health() {
+        try {
+            if (!this.init()) {
+                return { healthy: false, error: 'disabled' };
+            }
+            this.#db.prepare('SELECT 1').get();
+            return { healthy: true };
+        } catch(err) {
+            return { healthy: false, error: err.message };
+        }
+    }
+
+    /**
+     * @async
+     */
+    async close() {
+        if (this.#db) {
+            this.#db.close();
+            this.#db = undefined;
+        }
+    }
+}
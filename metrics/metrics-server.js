@@ -0,0 +1,46 @@
+import { createServer } from 'http';
+import { once } from 'events';
+
+/**
+ * serves `/metrics` (prometheus) and `/healthz`
+ * @async
+ * @param {object} options
+ * @param {number} options.port - 0 picks a free port
+ * @param {string} [options.host]
+ * @param {MigrationMetrics} options.metrics
+ * @param {function(): { healthy: boolean }|Promise<{ healthy: boolean }>} options.health - health report, answered with 503 when not healthy
+ * @returns {http.Server} listening server
+ */
+export async function startMetricsServer({ port, host, metrics, health }) {
+    const server = createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        if (req.method !== 'GET') {
+            res.writeHead(405).end();
+        } else if (pathname === '/metrics') {
+            try {
+                const body = await metrics.render();
+                res.writeHead(200, { 'content-type': metrics.contentType }).end(body);
+            } catch(err) {
+                res.writeHead(500).end(String(err.message ?? err));
+            }
+        } else if (pathname === '/healthz') {
+            try {
+                const report = await health();
+                res.writeHead(report.healthy ? 200 : 503, { 'content-type': 'application/json' })
+                    .end(JSON.stringify(report));
+            } catch(err) {
+                res.writeHead(503).end(String(err.message ?? err));
+            }
+        } else {
+            res.writeHead(404).end();
+        }
+    });
+
+    server.listen(port, host);
+    await once(server, 'listening');
+
+    // does not hold the process open
+    server.unref();
+    return server;
+}
@@ -0,0 +1,92 @@
+import client from 'prom-client';
+
+/**
+ * prometheus metrics of a migration. every instance has its own registry so
+ * the runner can be loaded more than once in the same process
+ * @class MigrationMetrics
+ */
+export default class MigrationMetrics {
+
+    /**
+     * @param {object} [options]
+     * @param {string} [options.prefix] - prefix of every metric name
+     * @param {boolean} [options.defaultMetrics] - also collects the node process metrics
+     */
+    constructor({ prefix = 'amqp_migration_', defaultMetrics = true } = {}) {
+        this.registry = new client.Registry();
+        const registers = [this.registry];
+
+        if (defaultMetrics) {
+            client.collectDefaultMetrics({ register: this.registry, prefix });
+        }
+
+        const counter = (name, help, labelNames = ['queue']) =>
+            new client.Counter({ name: prefix + name, help, labelNames, registers });
+
+        this.consumed = counter('messages_consumed_total', 'Messages received from the source queue');
+        this.published = counter('messages_published_total', 'Messages confirmed by the destination broker');
+        this.acked = counter('messages_acked_total', 'Messages acknowledged on the source queue');
+        this.nacked = counter('messages_nacked_total', 'Messages negatively acknowledged on the source queue');
+        this.returned = counter('messages_returned_total', 'Messages returned by the destination broker');
+        this.loggerFailures = counter('logger_write_failures_total', 'Messages that could not be archived', ['backend']);
+        this.reconnects = counter('reconnections_total', 'Connections reopened after they dropped', ['broker']);
+        this.throttled = counter('publish_throttled_seconds_total', 'Time publishes waited for the rate limits', ['broker']);
+
+        this.publishLatency = new client.Histogram({
+            name: prefix + 'publish_duration_seconds',
+            help: 'Time between publishing a message and its confirmation by the destination',
+            labelNames: ['queue'],
+            buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+            registers
+        });
+
+        this.queueDepth = new client.Gauge({
+            name: prefix + 'source_queue_depth',
+            help: 'Messages ready in the source queue, sampled with passive declares',
+            labelNames: ['queue'],
+            registers
+        });
+
+        this.replicationLag = new client.Gauge({
+            name: prefix + 'replication_lag_seconds',
+            help: 'Time between the publication of the last message on the source and its confirmation by the destination',
+            labelNames: ['queue'],
+            registers
+        });
+
+        this.cutoverReady = new client.Gauge({
+            name: prefix + 'cutover_ready',
+            help: '1 if the mirror backlog and lag stayed under their thresholds',
+            registers
+        });
+
+        this.connectionUp = new client.Gauge({
+            name: prefix + 'connection_up',
+            help: '1 if the connection to the broker is open',
+            labelNames: ['broker'],
+            registers
+        });
+
+        this.connectionBlocked = new client.Gauge({
+            name: prefix + 'connection_blocked',
+            help: '1 while the broker blocks the connection (memory or disk alarm)',
+            labelNames: ['broker'],
+            registers
+        });
+    }
+
+    /**
+     * @async
+     * @returns {string} metrics in the prometheus text format
+     */
+    async render() {
+        return this.registry.metrics();
+    }
+
+    /**
+     * @returns {string}
+     */
+    get contentType() {
+        return this.registry.contentType;
+    }
+}
@@ -0,0 +1,82 @@
+import { writeFile, rename } from 'fs/promises';
+import assert from 'assert';
+
+/**
+ * decides when a mirrored migration can be cut over: the backlog (messages
+ * ready on the source and in flight) and the replication lag must stay under
+ * their thresholds for a while. readiness is lost as soon as one goes over
+ * @class CutoverMonitor
+ */
+export default class CutoverMonitor {
+    #belowSince;
+
+    /**
+     * @param {object} options
+     * @param {number} [options.maxBacklog] - messages, default 0
+     * @param {number} [options.maxLag] - milliseconds, the lag is not checked by default
+     * @param {number} [options.stableFor] - milliseconds under the thresholds, default 60000
+     */
+    constructor({ maxBacklog = 0, maxLag, stableFor = 60000 } = {}) {
+        assert.ok(Number.isInteger(maxBacklog) && maxBacklog >= 0, 'cutover backlog threshold must be a positive integer');
+        assert.ok(Number.isInteger(stableFor) && stableFor >= 0, 'cutover stable time must be a positive integer');
+        this.maxBacklog = maxBacklog;
+        this.maxLag = maxLag;
+        this.stableFor = stableFor;
+        this.ready = false;
+        this.readySince = undefined;
+    }
+
+    /**
+     * @returns {string|undefined} when the backlog went under the thresholds
+     */
+    get belowSince() {
+        return this.#belowSince && new Date(this.#belowSince).toISOString();
+    }
+
+    /**
+     * @param {object} sample
+     * @param {number} sample.backlog - messages ready and in flight on every queue
+     * @param {number} sample.lag - highest lag since the previous sample, 0 without messages
+     * @param {number} [sample.now] - epoch milliseconds
+     * @returns {boolean} true if the readiness changed
+     */
+    update({ backlog, lag, now = Date.now() }) {
+        const below = backlog <= this.maxBacklog && (this.maxLag === undefined || lag <= this.maxLag);
+        if (!below) {
+            this.#belowSince = undefined;
+        } else {
+            this.#belowSince ??= now;
+        }
+
+        const ready = below && now - this.#belowSince >= this.stableFor;
+        if (ready === this.ready) {
+            return false;
+        }
+        this.ready = ready;
+        this.readySince = ready ? new Date(now).toISOString() : undefined;
+        return true;
+    }
+
+    /**
+     * @returns {{ ready: boolean, readySince?: string, belowSince?: string, thresholds: object }}
+     */
+    toJSON() {
+        return {
+            ready: this.ready,
+            readySince: this.readySince,
+            belowSince: this.belowSince,
+            thresholds: { maxBacklog: this.maxBacklog, maxLag: this.maxLag, stableFor: this.stableFor }
+        };
+    }
+}
+
+/**
+ * replaces the status file atomically, scripts may read it at any time
+ * @async
+ * @param {string} path
+ * @param {object} status
+ */
+export async function writeStatusFile(path, status) {
+    await writeFile(`${path}.tmp`, JSON.stringify(status, null, 2));
+    await rename(`${path}.tmp`, path);
+}
@@ -0,0 +1,63 @@
+/**
+ * replication lag of one source queue: the time between the publication of a
+ * message on the source (its `timestamp` property) and its confirmation by the
+ * destination. messages without timestamp are not measured
+ * @class ReplicationLag
+ */
+export default class ReplicationLag {
+    #windowMax = 0;
+    #windowSum = 0;
+    #windowSamples = 0;
+
+    /**
+     * @param {string} queue - source queue
+     */
+    constructor(queue) {
+        this.queue = queue;
+        this.last = undefined;
+        this.samples = 0;
+        this.unmeasured = 0;
+    }
+
+    /**
+     * @param {Date|string|number|undefined} timestamp - publish time of the message
+     * @param {number} [forwardedAt] - epoch milliseconds, default now
+     * @returns {number|undefined} lag in milliseconds, undefined without timestamp
+     */
+    record(timestamp, forwardedAt = Date.now()) {
+        const publishedAt = timestamp instanceof Date ? timestamp.getTime()
+            : typeof timestamp === 'string' ? Date.parse(timestamp) : timestamp;
+        if (typeof publishedAt !== 'number' || Number.isNaN(publishedAt)) {
+            this.unmeasured++;
+            return;
+        }
+
+        // the clocks of the producer and this process may drift a little
+        const lag = Math.max(0, forwardedAt - publishedAt);
+        this.last = lag;
+        this.samples++;
+        this.#windowMax = Math.max(this.#windowMax, lag);
+        this.#windowSum += lag;
+        this.#windowSamples++;
+        return lag;
+    }
+
+    /**
+     * lag since the previous window, which is then reset
+     * @returns {{ queue: string, last?: number, max: number, average: number, samples: number, unmeasured: number }}
+     */
+    window() {
+        const snapshot = {
+            queue: this.queue,
+            last: this.last,
+            max: this.#windowMax,
+            average: this.#windowSamples ? Math.round(this.#windowSum / this.#windowSamples) : 0,
+            samples: this.#windowSamples,
+            unmeasured: this.unmeasured
+        };
+        this.#windowMax = 0;
+        this.#windowSum = 0;
+        this.#windowSamples = 0;
+        return snapshot;
+    }
+}
@@ -0,0 +1,141 @@
+/**
+ * tracks source deliveries between consume and ack. messages are acked on the
+ * source in batches (ack multiple) once every earlier delivery is settled, so
+ * a message is never acked before the destination confirmed it
+ * @class ConfirmWindow
+ */
+export default class ConfirmWindow {
+    #entries = [];
+    #waiters = [];
+    #flushScheduled = false;
+
+    /**
+     * @param {object} options
+     * @param {number} [options.size] - maximum deliveries in flight
+     * @param {function(number, boolean): Promise<void>} options.ack - acks a delivery tag on the source (tag, multiple)
+     * @param {function(number, string[]): void} [options.onAck] - called with the number of messages acked by a batch and their keys
+     * @param {function(Error): void} [options.onError] - called if a batch ack fails
+     */
+    constructor({ size = 1, ack, onAck = () => {}, onError = () => {} }) {
+        if (!(size >= 1)) {
+            throw new TypeError('window size must be at least 1');
+        }
+        this.size = size;
+        this.ack = ack;
+        this.onAck = onAck;
+        this.onError = onError;
+    }
+
+    /**
+     * deliveries tracked and not acked yet
+     * @returns {number}
+     */
+    get inFlight() {
+        return this.#entries.length;
+    }
+
+    /**
+     * @param {number} deliveryTag
+     * @returns {boolean} true if the delivery is tracked and neither confirmed nor settled
+     */
+    pending(deliveryTag) {
+        return this.#entries.some((entry) => entry.deliveryTag === deliveryTag && entry.state === 'pending');
+    }
+
+    /**
+     * resolves once there is room for another delivery (first come, first served)
+     * @async
+     */
+    acquire() {
+        if (this.#entries.length < this.size && this.#waiters.length === 0) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve) => this.#waiters.push(resolve));
+    }
+
+    /**
+     * @param {number} deliveryTag - must be tracked in delivery order
+     */
+    track(deliveryTag) {
+        this.#entries.push({ deliveryTag, state: 'pending' });
+    }
+
+    /**
+     * the destination confirmed the message, it will be acked with the next batch
+     * @param {number} deliveryTag
+     * @param {string} [key] - message key passed to onAck
+     */
+    confirm(deliveryTag, key) {
+        this.#setState(deliveryTag, 'confirmed', key);
+    }
+
+    /**
+     * the message was acked, nacked or rejected on its own and must not be
+     * part of a batch ack
+     * @param {number} deliveryTag
+     */
+    settle(deliveryTag) {
+        this.#setState(deliveryTag, 'settled');
+    }
+
+    /**
+     * forgets every delivery, e.g. when the source channel is closed and the
+     * broker will redeliver them
+     */
+    reset() {
+        this.#entries = [];
+        this.#release();
+    }
+
+    /**
+     * acks the settled head of the window with a single ack multiple
+     * @async
+     */
+    async flush() {
+        this.#flushScheduled = false;
+
+        let lastConfirmed;
+        let count = 0;
+        const keys = [];
+        while (this.#entries.length > 0 && this.#entries[0].state !== 'pending') {
+            const { deliveryTag, state, key } = this.#entries.shift();
+            if (state === 'confirmed') {
+                lastConfirmed = deliveryTag;
+                count++;
+                if (key !== undefined) keys.push(key);
+            }
+        }
+
+        if (lastConfirmed !== undefined) {
+            try {
+                await this.ack(lastConfirmed, true);
+                this.onAck(count, keys);
+            } catch(err) {
+                // unacked messages are redelivered by the broker
+                this.onError(err);
+            }
+        }
+
+        this.#release();
+    }
+
+    #setState(deliveryTag, state, key) {
+        const entry = this.#entries.find((item) => item.deliveryTag === deliveryTag);
+        if (!entry) return;
+
+        entry.state = state;
+        entry.key = key;
+
+        // confirms arriving together are acked together
+        if (!this.#flushScheduled) {
+            this.#flushScheduled = true;
+            setImmediate(() => this.flush());
+        }
+    }
+
+    #release() {
+        while (this.#waiters.length > 0 && this.#entries.length < this.size) {
+            this.#waiters.shift()();
+        }
+    }
+}
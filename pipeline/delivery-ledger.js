@@ -0,0 +1,80 @@
+// set on messages published again when their first publish may have reached the destination
+export const DUPLICATE_HEADER = 'x-migration-possible-duplicate';
+
+/**
+ * remembers messages whose source ack may not have reached the broker, so a
+ * redelivery after a reconnection is not published twice without notice.
+ * keys are counted, identical messages without id share a key
+ * @class DeliveryLedger
+ */
+export default class DeliveryLedger {
+    #published = new Map();
+    #uncertain = new Map();
+
+    /**
+     * the destination confirmed the message, it is not acked on the source yet
+     * @param {string} key
+     */
+    published(key) {
+        add(this.#published, key);
+    }
+
+    /**
+     * the source acked the messages
+     * @param {string[]} keys
+     */
+    acked(keys) {
+        keys.forEach((key) => remove(this.#published, key));
+    }
+
+    /**
+     * the destination connection dropped before confirming the message, it
+     * may have been stored or not
+     * @param {string} key
+     */
+    uncertain(key) {
+        add(this.#uncertain, key);
+    }
+
+    /**
+     * looks up a redelivered message and forgets it
+     * @param {string} key
+     * @returns {'published'|'uncertain'|undefined} published messages only need an ack,
+     * uncertain ones are published again and flagged as possible duplicates
+     */
+    take(key) {
+        if (remove(this.#published, key)) {
+            return 'published';
+        }
+        if (remove(this.#uncertain, key)) {
+            return 'uncertain';
+        }
+    }
+
+    /**
+     * @returns {number} messages remembered
+     */
+    get size() {
+        let size = 0;
+        for (const count of [...this.#published.values(), ...this.#uncertain.values()]) {
+            size += count;
+        }
+        return size;
+    }
+}
+
+function add(counts, key) {
+    counts.set(key, (counts.get(key) ?? 0) + 1);
+}
+
+function remove(counts, key) {
+    const count = counts.get(key);
+    if (!count) return false;
+
+    if (count === 1) {
+        counts.delete(key);
+    } else {
+        counts.set(key, count - 1);
+    }
+    return true;
+}
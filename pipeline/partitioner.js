@@ -0,0 +1,52 @@
+import assert from 'assert';
+
+/**
+ * spreads the messages of a queue over a fixed number of partitions by a key,
+ * so messages with the same key always land in the same partition
+ * @class Partitioner
+ */
+export default class Partitioner {
+    /**
+     * @param {object} options
+     * @param {string} options.by - `routing-key` or `header:<name>`
+     * @param {number} options.partitions
+     */
+    constructor({ by, partitions }) {
+        assert.ok(by === 'routing-key' || /^header:.+$/.test(by), `messages can be partitioned by routing-key or header:<name>, got ${by}`);
+        assert.ok(Number.isInteger(partitions) && partitions >= 1, 'there must be at least one partition');
+        this.by = by;
+        this.header = by === 'routing-key' ? undefined : by.slice('header:'.length);
+        this.partitions = partitions;
+    }
+
+    /**
+     * @param {any} message - AMQP or formatted message
+     * @returns {string} partition key, empty if the header is not set
+     */
+    keyOf(message) {
+        const key = this.header === undefined ? message.routingKey : message.properties?.headers?.[this.header];
+        return key === undefined || key === null ? '' : String(key);
+    }
+
+    /**
+     * @param {any} message - AMQP or formatted message
+     * @returns {number} partition index
+     */
+    partitionOf(message) {
+        return hash(this.keyOf(message)) % this.partitions;
+    }
+}
+
+/**
+ * FNV-1a, stable across restarts and processes
+ * @param {string} key
+ * @returns {number} unsigned 32 bit hash
+ */
+function hash(key) {
+    let hashed = 0x811c9dc5;
+    for (const byte of Buffer.from(key)) {
+        hashed ^= byte;
+        hashed = Math.imul(hashed, 0x01000193);
+    }
+    return hashed >>> 0;
+}
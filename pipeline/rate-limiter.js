@@ -0,0 +1,58 @@
+import { setTimeout as sleep } from 'timers/promises';
+
+import TokenBucket from './token-bucket.js';
+
+/**
+ * limits the messages and bytes published per second to one broker. each
+ * limit has its own token bucket, a message waits for the slowest one
+ * @class RateLimiter
+ */
+export default class RateLimiter {
+    /**
+     * @param {object} options
+     * @param {number} [options.messagesPerSecond] - no limit if not set
+     * @param {number} [options.bytesPerSecond] - no limit if not set
+     * @param {function(): number} [options.now] - clock in milliseconds
+     */
+    constructor({ messagesPerSecond, bytesPerSecond, now }) {
+        this.messages = messagesPerSecond ? new TokenBucket({ rate: messagesPerSecond, now }) : undefined;
+        this.bytes = bytesPerSecond ? new TokenBucket({ rate: bytesPerSecond, now }) : undefined;
+    }
+
+    /**
+     * @returns {boolean} false without any limit
+     */
+    get enabled() {
+        return Boolean(this.messages || this.bytes);
+    }
+
+    /**
+     * @param {number} size - bytes of the message body
+     * @returns {number} milliseconds to wait before publishing it
+     */
+    reserve(size) {
+        return Math.max(this.messages?.reserve(1) ?? 0, this.bytes?.reserve(size) ?? 0);
+    }
+
+    /**
+     * resolves once the message can be published
+     * @async
+     * @param {number} size - bytes of the message body
+     * @returns {number} milliseconds waited
+     */
+    async acquire(size) {
+        const delay = this.reserve(size);
+        if (delay > 0) {
+            await sleep(delay);
+        }
+        return delay;
+    }
+}
+
+/**
+ * @param {Uint8Array|string|null} body
+ * @returns {number} bytes
+ */
+export function sizeOf(body) {
+    return typeof body === 'string' ? Buffer.byteLength(body) : body?.byteLength ?? 0;
+}
@@ -0,0 +1,41 @@
+import assert from 'assert';
+
+/**
+ * token bucket refilled at a constant rate. tokens are reserved right away,
+ * going into debt when there are not enough, so concurrent callers each wait
+ * for their own share
+ * @class TokenBucket
+ */
+export default class TokenBucket {
+    #tokens;
+    #updatedAt;
+
+    /**
+     * @param {object} options
+     * @param {number} options.rate - tokens per second
+     * @param {number} [options.burst] - tokens available at once, default one second of rate
+     * @param {function(): number} [options.now] - clock in milliseconds
+     */
+    constructor({ rate, burst = rate, now = Date.now }) {
+        assert.ok(rate > 0, 'token bucket rate must be positive');
+        assert.ok(burst > 0, 'token bucket burst must be positive');
+        this.rate = rate;
+        this.burst = burst;
+        this.now = now;
+        this.#tokens = burst;
+        this.#updatedAt = now();
+    }
+
+    /**
+     * @param {number} [tokens]
+     * @returns {number} milliseconds to wait before using the tokens
+     */
+    reserve(tokens = 1) {
+        const now = this.now();
+        this.#tokens = Math.min(this.burst, this.#tokens + (now - this.#updatedAt) * this.rate / 1000);
+        this.#updatedAt = now;
+
+        this.#tokens -= tokens;
+        return this.#tokens >= 0 ? 0 : Math.ceil(-this.#tokens * 1000 / this.rate);
+    }
+}
@@ -0,0 +1,32 @@
+// counters added up over every queue
+const COUNTERS = ['consumed', 'published', 'returned', 'failed', 'deadLettered', 'dropped', 'unmatched', 'skipped', 'looped'];
+
+/**
+ * completion report of a drain run
+ * @param {object[]} queues - progress snapshot of every queue
+ * @param {object} options
+ * @param {'drained'|'timeout'|'failed'|'dry-run'} options.status
+ * @param {Date} options.startedAt
+ * @param {Date} [options.finishedAt]
+ * @returns {object} `incomplete` replaces `drained` when messages were returned or dead-lettered
+ */
+export function summarizeDrain(queues, { status, startedAt, finishedAt = new Date() }) {
+    const totals = Object.fromEntries(COUNTERS.map((counter) => [
+        counter,
+        queues.reduce((sum, queue) => sum + (queue[counter] ?? 0), 0)
+    ]));
+
+    const durationSeconds = Math.max(finishedAt - startedAt, 0) / 1000;
+    const lost = totals.returned > 0 || totals.deadLettered > 0;
+
+    return {
+        status: status === 'drained' && lost ? 'incomplete' : status,
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationSeconds,
+        // published messages per second
+        throughput: durationSeconds > 0 ? Math.round(totals.published / durationSeconds * 100) / 100 : 0,
+        totals,
+        queues
+    };
+}
@@ -0,0 +1,89 @@
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import assert from 'assert';
+import yaml from 'js-yaml';
+
+/**
+ * list of source -> destination queue pairs drained by a single run. in
+ * bidirectional mode, the reverse entries are consumed on the destination
+ * broker and forwarded to the source broker
+ * @class MigrationPlan
+ */
+export default class MigrationPlan {
+    #queues;
+    #reverse;
+
+    /**
+     * @param {object} plan
+     * @param {object[]} plan.queues - one entry per source queue
+     * @param {object[]} [plan.reverse] - one entry per destination queue forwarded to the source broker
+     * @param {object} [plan.defaults] - options shared by every queue entry
+     */
+    constructor({ queues, reverse = [], defaults = {} }) {
+        assert.ok(Array.isArray(queues) && queues.length > 0, 'plan must list at least one queue');
+        assert.ok(Array.isArray(reverse), 'plan reverse queues must be a list');
+
+        this.#queues = normalize(queues, defaults, 'plan queue');
+        this.#reverse = normalize(reverse, defaults, 'plan reverse queue');
+    }
+
+    /**
+     * @returns {object[]}
+     */
+    get queues() {
+        return this.#queues;
+    }
+
+    /**
+     * @returns {object[]} queues of the destination broker, forwarded to the source broker
+     */
+    get reverse() {
+        return this.#reverse;
+    }
+
+    /**
+     * reads a plan from a JSON or YAML file (picked by extension)
+     * @async
+     * @param {string} path
+     * @returns {MigrationPlan}
+     */
+    static async fromFile(path) {
+        const content = await readFile(path, { encoding: 'utf8' });
+        const ext = extname(path).toLowerCase();
+        const plan = ext === '.yaml' || ext === '.yml' ? yaml.load(content) : JSON.parse(content);
+        assert.ok(plan && typeof plan === 'object', `plan ${path} is empty`);
+        return new MigrationPlan(plan);
+    }
+
+    /**
+     * single queue plan, used when the queues are set through env vars
+     * @param {object} queue
+     * @param {object} [reverse] - destination queue forwarded to the source broker
+     * @returns {MigrationPlan}
+     */
+    static fromQueue(queue, reverse) {
+        return new MigrationPlan({ queues: [queue], reverse: reverse ? [reverse] : [] });
+    }
+}
+
+/**
+ * @param {Array<string|object>} entries
+ * @param {object} defaults
+ * @param {string} label - used in errors
+ * @returns {object[]}
+ */
+function normalize(entries, defaults, label) {
+    const queues = entries.map((entry, index) => {
+        // short form: "source-queue"
+        const queue = { ...defaults, ...(typeof entry === 'string' ? { source: entry } : entry) };
+        assert.ok(typeof queue.source === 'string' && queue.source, `${label} #${index} must have a source`);
+        return queue;
+    });
+
+    const names = new Set();
+    for (const { source } of queues) {
+        assert.ok(!names.has(source), `source queue ${source} is listed more than once`);
+        names.add(source);
+    }
+    return queues;
+}
@@ -0,0 +1,46 @@
+/**
+ * message counters for one source queue
+ * @class QueueProgress
+ */
+export default class QueueProgress {
+    constructor(queue) {
+        this.queue = queue;
+        // ready messages when the queue was first declared
+        this.initialCount = undefined;
+        this.consumed = 0;
+        this.published = 0;
+        this.failed = 0;
+        this.returned = 0;
+        this.deadLettered = 0;
+        this.dropped = 0;
+        this.unmatched = 0;
+        this.skipped = 0;
+        this.looped = 0;
+        // last message archived from the queue
+        this.lastId = undefined;
+        this.startedAt = new Date();
+    }
+
+    /**
+     * restores the counters of a snapshot, e.g. from a checkpoint of the run
+     * @param {object} snapshot - see toJSON
+     * @returns {QueueProgress}
+     */
+    static fromJSON({ queue, startedAt, ...counters }) {
+        const progress = Object.assign(new QueueProgress(queue), counters);
+        progress.startedAt = new Date(startedAt);
+        return progress;
+    }
+
+    /**
+     * @param {'consumed'|'published'|'failed'|'returned'|'deadLettered'|'dropped'|'unmatched'|'skipped'|'looped'} counter
+     */
+    increment(counter) {
+        this[counter]++;
+    }
+
+    toJSON() {
+        const { queue, initialCount, consumed, published, failed, returned, deadLettered, dropped, unmatched, skipped, looped, lastId, startedAt } = this;
+        return { queue, initialCount, consumed, published, failed, returned, deadLettered, dropped, unmatched, skipped, looped, lastId, startedAt };
+    }
+}
@@ -0,0 +1,36 @@
+// external modules
+import pino from 'pino';
+
+// internal modules
+import { BaseLogger, archiveOptions, configuredBackends, retentionPolicy } from './logger/index.js';
+import { resolveConfig } from './config/load-config.js';
+
+/**
+ * removes the archived messages outside of the retention policy, from every
+ * backend in turn
+ * @async
+ * @param {object} options - prune options, see config/options.js
+ * @returns {{ dryRun: boolean, maxAge?: number, maxBytes?: number, backends: Record<string, { matched: number, removed: number, bytes: number }> }}
+ * @throws ConfigError if the options are invalid
+ */
+export async function prune(options) {
+    const config = resolveConfig('prune', options);
+    const logger = pino({ level: config.logLevel });
+
+    const dryRun = config.pruneDryRun;
+    const retention = retentionPolicy(config);
+    const backends = config.pruneFrom ?? configuredBackends(config);
+    const archive = await archiveOptions(config, logger);
+    const report = { dryRun, ...retention, backends: {} };
+
+    for (const name of backends) {
+        const store = await BaseLogger.create(name, archive);
+        try {
+            report.backends[name] = await store.prune({ ...retention, dryRun });
+            logger.info(report.backends[name], `${dryRun ? '[dry run] ' : ''}Pruned the ${name} archive`);
+        } finally {
+            await store.close();
+        }
+    }
+    return report;
+}
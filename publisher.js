@@ -0,0 +1,82 @@
+// channels already in confirm mode and queues already declared on them
+const confirmChannels = new WeakMap();
+const declaredQueues = new WeakMap();
+
+/**
+ * puts the channel in confirm mode and declares the destination queue, once
+ * per channel
+ * @async
+ * @param {AMQPChannel} channel
+ * @param {string} [destinationQueue]
+ */
+export async function preparePublisher(channel, destinationQueue) {
+    if (!confirmChannels.has(channel)) {
+        confirmChannels.set(channel, channel.confirmSelect());
+    }
+    await confirmChannels.get(channel);
+
+    if (destinationQueue) {
+        const queues = declaredQueues.get(channel) ?? new Map();
+        declaredQueues.set(channel, queues);
+        if (!queues.has(destinationQueue)) {
+            queues.set(destinationQueue, channel.queue(destinationQueue));
+        }
+        await queues.get(destinationQueue);
+    }
+}
+
+/**
+ * sends a message on a prepared channel. frames are written before this
+ * returns, so messages sent one after the other keep their order while
+ * their confirms are awaited concurrently
+ * @param {AMQPChannel} channel
+ * @param {any} data - message formatted by the runner or read from the archive
+ * @param {string} [destinationQueue] - publishes using the message exchange and routing key if not set
+ * @returns {Promise<string>} destination host, resolved when the broker confirms the message
+ */
+export function sendMessage(channel, data, destinationQueue) {
+    const host = `${channel.connection.host}:${channel.connection.port}`;
+
+    // a queue is delivered to directly through the default exchange,
+    // an exchange and routingKey are mandatory
+    const confirmed = destinationQueue
+        ? channel.basicPublish('', destinationQueue, data.body, data.properties)
+        : channel.basicPublish(data.exchange, data.routingKey, data.body, data.properties, true);
+
+    return confirmed.then(() => host);
+}
+
+/**
+ * publishes a formatted message on the destination and waits for the confirm.
+ * shared by the runner and the replayer so both deliver messages the same way
+ * @async
+ * @param {AMQPChannel} channel
+ * @param {any} data - message formatted by the runner or read from the archive
+ * @param {string} [destinationQueue] - publishes using the message exchange and routing key if not set
+ * @returns {string} destination host
+ */
+export async function publishesMessage(channel, data, destinationQueue) {
+    await preparePublisher(channel, destinationQueue);
+    return sendMessage(channel, data, destinationQueue);
+}
+
+/**
+ * sets the archive id on a message, so the destination and the verify command
+ * can match it with the archive. a message id of its own is kept
+ * @param {any} data - message to publish
+ * @param {string} id - archive id
+ * @param {object} options
+ * @param {'header'|'message-id'|'none'} options.idStamp
+ * @param {string} options.idHeader
+ * @returns {any} copy of the message carrying the id
+ */
+export function stampId(data, id, { idStamp, idHeader }) {
+    if (idStamp === 'header') {
+        const headers = { ...data.properties?.headers, [idHeader]: id };
+        return { ...data, properties: { ...data.properties, headers } };
+    }
+    if (idStamp === 'message-id' && !data.properties?.messageId) {
+        return { ...data, properties: { ...data.properties, messageId: id } };
+    }
+    return data;
+}
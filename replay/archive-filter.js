@@ -0,0 +1,74 @@
+/**
+ * @typedef {object} ArchiveCriteria
+ * @property {string} [fromId] - first id to replay (inclusive)
+ * @property {string} [toId] - last id to replay (inclusive)
+ * @property {string|Date} [since] - received at or after
+ * @property {string|Date} [until] - received at or before
+ * @property {string} [exchange]
+ * @property {string} [routingKey]
+ * @property {boolean} [includeReturned] - also replays the `returned-<id>` copies
+ */
+
+/**
+ * builds the predicates used to select archived messages. ids are checked
+ * first so records out of range are never read from the store
+ * @param {ArchiveCriteria} criteria
+ * @returns {{ matchesId: function(string): boolean, matches: function(object): boolean }}
+ */
+export function createArchiveFilter({ fromId, toId, since, until, exchange, routingKey, includeReturned = false } = {}) {
+    const sinceTime = since ? toTime(since, 'since') : undefined;
+    const untilTime = until ? toTime(until, 'until') : undefined;
+
+    return {
+        matchesId(id) {
+            if (!includeReturned && id.startsWith('returned-')) return false;
+
+            // returned copies are compared by their original id
+            const originalId = id.replace(/^returned-/, '');
+            if (fromId !== undefined && compareIds(originalId, fromId) < 0) return false;
+            if (toId !== undefined && compareIds(originalId, toId) > 0) return false;
+            return true;
+        },
+
+        matches(record) {
+            if (exchange !== undefined && record.exchange !== exchange) return false;
+            if (routingKey !== undefined && record.routingKey !== routingKey) return false;
+
+            if (sinceTime !== undefined || untilTime !== undefined) {
+                // messages archived before receivedAt existed fall back to the publish time
+                const received = Date.parse(record.receivedAt ?? record.properties?.timestamp);
+                if (Number.isNaN(received)) return false;
+                if (sinceTime !== undefined && received < sinceTime) return false;
+                if (untilTime !== undefined && received > untilTime) return false;
+            }
+            return true;
+        }
+    };
+}
+
+/**
+ * numeric ids (generated from timestamps) are compared as numbers, anything
+ * else as strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function compareIds(a, b) {
+    if (/^\d+$/.test(a) && /^\d+$/.test(b)) {
+        return a.length - b.length || (a < b ? -1 : a > b ? 1 : 0);
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * @param {string|Date} value
+ * @param {string} name
+ * @returns {number}
+ */
+function toTime(value, name) {
+    const time = value instanceof Date ? value.getTime() : Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new TypeError(`${name} must be a valid date`);
+    }
+    return time;
+}
@@ -0,0 +1,116 @@
+// external modules
+import { AMQPClient } from '@cloudamqp/amqp-client';
+import pino from 'pino';
+import {EventEmitter} from 'events';
+
+// internal modules
+import { BaseLogger, archiveOptions } from './logger/index.js';
+import { createArchiveFilter } from './replay/archive-filter.js';
+import { publishesMessage, stampId } from './publisher.js';
+import { resolveConfig } from './config/load-config.js';
+
+export const events = new EventEmitter({ captureRejections: true });
+
+/**
+ * re-publishes archived messages with their original exchange, routing key
+ * and properties, stamped with their archive id as the migration does. messages redacted in the archive lost data, they are only
+ * replayed with replayRedacted
+ * @async
+ * @param {object} options - replay options, see config/options.js
+ * @returns {{ matched: number, replayed: number, failed: number, redacted: number }} redacted messages not replayed
+ * @throws ConfigError if the options are invalid
+ */
+export async function replay(options) {
+    const config = resolveConfig('replay', options);
+    const logger = pino({ level: config.logLevel });
+
+    // encrypted archives are decrypted on read
+    const store = await BaseLogger.create(config.replayFrom, await archiveOptions(config, logger));
+
+    const filter = createArchiveFilter({
+        fromId: config.replayFromId,
+        toId: config.replayToId,
+        since: config.replaySince,
+        until: config.replayUntil,
+        exchange: config.replayExchange,
+        routingKey: config.replayRoutingKey,
+        includeReturned: config.replayIncludeReturned
+    });
+
+    const dryRun = config.replayDryRun;
+    const summary = { matched: 0, replayed: 0, failed: 0, redacted: 0 };
+
+    let conn;
+    let channel;
+    if (!dryRun) {
+        conn = await new AMQPClient(config.destinationUrl).connect();
+        channel = await conn.channel();
+        channel.onReturn = (msg) => {
+            const {exchange, routingKey, properties} = msg;
+            logger.warn({exchange, routingKey, properties}, `Replayed message ${properties.messageId ?? ''} returned`);
+            events.emit('returned', msg);
+        };
+    }
+
+    try {
+        const ids = await store.list();
+        logger.info(`Found ${ids.length} archived messages in ${config.replayFrom}`);
+
+        for (const id of ids) {
+            if (!filter.matchesId(id)) continue;
+
+            const record = await store.get(id);
+            if (!record || !filter.matches(record)) continue;
+            summary.matched++;
+
+            if (record.redacted && !config.replayRedacted) {
+                summary.redacted++;
+                logger.warn(`Message ${id} was redacted in the archive, not replayed without REPLAY_REDACTED`);
+                continue;
+            }
+
+            if (dryRun) {
+                const {exchange, routingKey, receivedAt} = record;
+                logger.info({exchange, routingKey, receivedAt}, `[dry run] would replay message ${id}`);
+                continue;
+            }
+
+            try {
+                // a returned copy stands for the original message
+                const message = stampId(toPublishable(record), id.replace(/^returned-/, ''), config);
+                const host = await publishesMessage(channel, message, config.destinationQueue);
+                summary.replayed++;
+                logger.info(`Replayed message ${id}`);
+                events.emit('replayed', host, id, record);
+            } catch(err) {
+                summary.failed++;
+                const {exchange, routingKey, properties} = record;
+                logger.error({err, exchange, routingKey, properties}, `Unable to replay message ${id}`);
+            }
+        }
+    } finally {
+        await store.close();
+        if (conn && !conn.closed) {
+            await conn.close();
+        }
+    }
+
+    logger.info(summary, 'Replay finished');
+    return summary;
+}
+
+/**
+ * JSON turns the timestamp property into a string, the client expects a Date
+ * @param {any} record
+ * @returns {any}
+ */
+function toPublishable(record) {
+    // the archive flag is not a message field
+    const { redacted, ...message } = record;
+
+    const { timestamp } = message.properties ?? {};
+    if (typeof timestamp === 'string') {
+        return { ...message, properties: { ...message.properties, timestamp: new Date(timestamp) } };
+    }
+    return message;
+}
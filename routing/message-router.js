@@ -0,0 +1,171 @@
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import assert from 'assert';
+import yaml from 'js-yaml';
+
+import { parsePath, valueAt } from '../json/json-path.js';
+
+// what happens to a message that matches no route
+export const UNMATCHED_ACTIONS = ['requeue', 'archive', 'forward', 'dead-letter'];
+
+const decoder = new TextDecoder();
+
+/**
+ * @typedef {object} Route
+ * @property {object} [match] - every condition must match, no condition matches every message
+ * @property {string|string[]} [match.routingKey] - topic style patterns (`*` one word, `#` zero or more words)
+ * @property {Record<string, any>} [match.headers] - expected header values (a list accepts any of its values)
+ * @property {string|string[]} [match.contentType]
+ * @property {Record<string, any>} [match.body] - expected values by JSON path (`$.customer.region`, `items[0].sku`)
+ * @property {string} [queue] - destination queue
+ * @property {string} [exchange] - destination exchange, used instead of the message exchange
+ * @property {string} [routingKey] - routing key on the destination exchange, defaults to the message routing key
+ */
+
+/**
+ * @typedef {object} RouteDecision
+ * @property {'publish'|'requeue'|'archive'|'dead-letter'} action
+ * @property {string} [queue]
+ * @property {string} [exchange]
+ * @property {string} [routingKey]
+ * @property {number} [route] - index of the matching route, undefined for unmatched messages
+ */
+
+/**
+ * picks the destination of every message from an ordered list of routes,
+ * the first match wins. messages matching no route get the `unmatched` disposition
+ * @class MessageRouter
+ */
+export default class MessageRouter {
+    #routes;
+
+    /**
+     * @param {object} options
+     * @param {Route[]} options.routes
+     * @param {string|object} options.unmatched - action name, or `{ action, queue, exchange, routingKey, delay }`
+     */
+    constructor({ routes, unmatched }) {
+        assert.ok(Array.isArray(routes) && routes.length > 0, 'routing must list at least one route');
+        assert.ok(unmatched, 'routing must set the unmatched disposition');
+
+        this.#routes = routes.map((route, index) => {
+            const { routingKey, headers = {}, contentType, body = {} } = route.match ?? {};
+            const patterns = listOf(routingKey).map((pattern) => pattern.split('.'));
+            const paths = Object.entries(body).map(([path, expected]) => ({ path: bodyPath(path, index), expected }));
+            assert.ok(!(route.queue && route.exchange), `route #${index} can not set both a queue and an exchange`);
+
+            return {
+                index,
+                destination: destinationOf(route),
+                matches: (data, parsed) => (patterns.length === 0 || patterns.some((words) => matchWords(words, data.routingKey.split('.'))))
+                    && Object.entries(headers).every(([name, expected]) => accepts(expected, data.properties?.headers?.[name]))
+                    && (contentType === undefined || accepts(contentType, data.properties?.contentType))
+                    && paths.every(({ path, expected }) => {
+                        const json = parsed();
+                        return json !== undefined && accepts(expected, valueAt(json, path));
+                    })
+            };
+        });
+
+        const { action, delay = 1000, ...destination } = typeof unmatched === 'string' ? { action: unmatched } : unmatched;
+        assert.ok(UNMATCHED_ACTIONS.includes(action), `unmatched action must be one of ${UNMATCHED_ACTIONS.join(', ')}`);
+        assert.ok(action !== 'forward' || destination.queue || destination.exchange, 'unmatched forward needs a queue or an exchange');
+        this.unmatched = action === 'forward'
+            ? { action: 'publish', ...destinationOf(destination) }
+            : { action, delay };
+    }
+
+    /**
+     * @param {any} data - formatted message
+     * @returns {RouteDecision}
+     */
+    route(data) {
+        // the body is parsed once, only if a route looks at it
+        let json;
+        const parsed = () => {
+            if (json === undefined) {
+                json = parseBody(data.body);
+            }
+            return json ?? undefined;
+        };
+
+        const route = this.#routes.find((item) => item.matches(data, parsed));
+        if (!route) {
+            return this.unmatched;
+        }
+        return { action: 'publish', ...route.destination, route: route.index };
+    }
+
+    /**
+     * reads routes from a JSON or YAML file (picked by extension)
+     * @async
+     * @param {string} path
+     * @returns {MessageRouter}
+     */
+    static async fromFile(path) {
+        const content = await readFile(path, { encoding: 'utf8' });
+        const ext = extname(path).toLowerCase();
+        const routing = ext === '.yaml' || ext === '.yml' ? yaml.load(content) : JSON.parse(content);
+        assert.ok(routing && typeof routing === 'object', `routing ${path} is empty`);
+        return new MessageRouter(routing);
+    }
+}
+
+/**
+ * topic style match, `*` is exactly one word and `#` zero or more words
+ * @param {string[]} pattern
+ * @param {string[]} words
+ * @returns {boolean}
+ */
+export function matchWords(pattern, words) {
+    if (pattern.length === 0) {
+        return words.length === 0;
+    }
+
+    const [head, ...rest] = pattern;
+    if (head === '#') {
+        return matchWords(rest, words) || (words.length > 0 && matchWords(pattern, words.slice(1)));
+    }
+    return words.length > 0 && (head === '*' || head === words[0]) && matchWords(rest, words.slice(1));
+}
+
+function destinationOf({ queue, exchange, routingKey }) {
+    const destination = {};
+    if (queue) destination.queue = queue;
+    if (exchange !== undefined) destination.exchange = exchange;
+    if (routingKey !== undefined) destination.routingKey = routingKey;
+    return destination;
+}
+
+function listOf(value) {
+    if (value === undefined) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * header values come back from the broker as strings, numbers or booleans,
+ * they are compared as strings
+ */
+function accepts(expected, value) {
+    if (value === undefined || value === null) {
+        return expected === null;
+    }
+    return listOf(expected).some((item) => String(item) === String(value));
+}
+
+function bodyPath(path, index) {
+    const keys = parsePath(path);
+    assert.ok(keys.length > 0, `route #${index} has an empty body path`);
+    return keys;
+}
+
+/**
+ * @returns {any|null} null if the body is not JSON
+ */
+function parseBody(body) {
+    try {
+        return JSON.parse(typeof body === 'string' ? body : decoder.decode(body));
+    } catch {
+        return null;
+    }
+}
@@ -1,124 +1,1233 @@
 // external modules
-import { AMQPClient } from '@cloudamqp/amqp-client';
 import pino from 'pino';
 import {EventEmitter} from 'events';
 import assert from 'assert';
+import { setTimeout as sleep } from 'timers/promises';
+import { writeFile } from 'fs/promises';
 
 // internal modules
-import FileLogger from './logger/file-logger.js';
-import RedisLogger from './logger/redis-logger.js';
-
-// env vars
-const { 
-    AMQP_SOURCE_URL, 
-    AMQP_SOURCE_CHANNEL, 
-    AMQP_SOURCE_QUEUE, 
-    AMQP_DESTINATION_URL, 
-    AMQP_DESTINATION_QUEUE, 
-    REDIS_URL,
-    ENABLE_FILE_LOGGER = 'true',
-    RETRY_ON_FAIL = 'true', 
-    FILE_LOGS_PATH = '/logs/events' ,
-    PRINT_RETURNED_BODY = 'false',
-    LOG_LEVEL = 'info'
-} = process.env;
-
-assert.ok(AMQP_SOURCE_URL, 'AMQP_SOURCE_URL is required');
-assert.ok(AMQP_SOURCE_QUEUE, 'AMQP_SOURCE_QUEUE is required');
-assert.ok(AMQP_DESTINATION_URL, 'AMQP_DESTINATION_URL is required');
-
-// loggers
-const logger = pino({ level: LOG_LEVEL });
-const redisLogger = new RedisLogger({ 
-    logger, 
-    redisUrl: REDIS_URL 
-});
-
-const fileLogger = new FileLogger({ 
-    logger, 
-    enabled: ENABLE_FILE_LOGGER === 'true', 
-    logsPath: FILE_LOGS_PATH 
-});
-
-// connection map (must be available to shutdown methods)
-const connMap = new Map();
-
-export const events = new EventEmitter({ captureRejections: true });
+import { BaseLogger, createArchive, archiveOptions, configuredBackends, retentionPolicy } from './logger/index.js';
+import MigrationPlan from './plan/migration-plan.js';
+import QueueProgress from './plan/queue-progress.js';
+import { summarizeDrain } from './plan/drain-summary.js';
+import ManagementApi from './topology/management-api.js';
+import { loadDefinitions, diffTopology, applyTopology } from './topology/topology.js';
+import DeadLetterPolicy from './dead-letter/dead-letter-policy.js';
+import ConfirmWindow from './pipeline/confirm-window.js';
+import Partitioner from './pipeline/partitioner.js';
+import RateLimiter, { sizeOf } from './pipeline/rate-limiter.js';
+import DeliveryLedger, { DUPLICATE_HEADER } from './pipeline/delivery-ledger.js';
+import { createAdapter } from './adapters/index.js';
+import { stampId } from './publisher.js';
+import FileDedupIndex from './dedup/file-dedup-index.js';
+import { createIdGenerator } from './id/id-generator.js';
+import RunCheckpoint, { configHash } from './checkpoint/run-checkpoint.js';
+import FileCheckpointStore from './checkpoint/file-checkpoint-store.js';
+import PublishedLog from './verify/published-log.js';
+import { checksumOf } from './verify/verification.js';
+import ReplicationLag from './mirror/replication-lag.js';
+import CutoverMonitor, { writeStatusFile } from './mirror/cutover-monitor.js';
+import LoopGuard from './bidirectional/loop-guard.js';
+import { loadTransform } from './transform/transform.js';
+import MessageRouter from './routing/message-router.js';
+import MigrationMetrics from './metrics/metrics.js';
+import { startMetricsServer } from './metrics/metrics-server.js';
+import { resolveConfig } from './config/load-config.js';
 
 /**
- * consumes from one broker and publishes to another using the same properties
+ * @typedef {object} Runner
+ * @property {string} runId - RUN_ID, or a new id per runner
+ * @property {EventEmitter} events - published, returned, progress, drained, etc
+ * @property {function(): Promise<TopologyChange[]|undefined>} run - migrates until it is shut down
+ * @property {function(): Promise<object>} drain - migrates until the source queues are empty
+ * @property {function(): object[]} getProgress - progress of every source queue
+ * @property {function(): object|undefined} getMirrorStatus - last status of the mirror mode
+ * @property {function(): Promise<void>} closeConnections
+ * @property {function(): Promise<void>} shutdown - closes the connections, the checkpoint, the dedup index and the archive
+ */
+
+/**
+ * builds a migration from its options. nothing is read from the environment,
+ * the command line reads it with loadConfig
  * @async
+ * @param {object} options - migrate options by key, see config/options.js
+ * @returns {Runner}
+ * @throws ConfigError if the options are invalid
  */
-export async function run() {
-    // queues
-    const amqpSource = new AMQPClient(AMQP_SOURCE_URL);
-    const amqpDestination = new AMQPClient(AMQP_DESTINATION_URL);
-
-    try {
-        // connecting to source queue
-        const sourceConn = await amqpSource.connect();
-        const sourceChannel = await sourceConn.channel(AMQP_SOURCE_CHANNEL ? parseInt(AMQP_SOURCE_CHANNEL, 10) : undefined);
-        const sourceQueue = await sourceChannel.queue(AMQP_SOURCE_QUEUE, { passive: true });
-        connMap.set('source', sourceConn);
-
-        // connecting to destination
-        const destConn = await amqpDestination.connect();
-        // setup a destination channel
-        let destChannel = await destConn.channel();
-        destChannel.onReturn = handleReturnedMessage;
-        connMap.set('dest', destConn);
-
-        // creating an exclusive consumer that requires acknowledge
-        const consumer = await sourceQueue.subscribe({exclusive: true, noAck: false}, async (msg) => {
+export async function createRunner(options) {
+    const config = resolveConfig('migrate', options);
+
+    // loggers
+    const logger = pino({ level: config.logLevel });
+
+    // a new run unless runId resumes an earlier one
+    const runId = config.runId ?? createIdGenerator()();
+
+    // archive backends, in order. redisUrl and enableFileLogger pick them when the list is not set
+    const archiveConfig = await archiveOptions({ ...config, runId }, logger);
+    const archive = await createArchive(configuredBackends(config), archiveConfig);
+
+    // file archive retention, applied while migrating
+    const retention = retentionPolicy(config);
+    let retentionTimer;
+
+    // ids of the messages without messageId
+    const generateId = createIdGenerator({ scheme: config.idScheme, nodeId: config.idNode });
+
+    // dedup mode: messages confirmed by the destination survive a crash
+    const dedupIndex = config.dedupStore === 'file'
+        ? new FileDedupIndex({ logger, path: config.dedupIndexPath })
+        : config.dedupStore === 'redis' ? archive.get('redis') ?? await BaseLogger.create('redis', archiveConfig) : undefined;
+
+    // run checkpoints: counters survive a restart with the same runId
+    const checkpointStore = config.checkpointStore === 'file'
+        ? new FileCheckpointStore({ path: config.checkpointPath })
+        : config.checkpointStore === 'redis' ? archive.get('redis') ?? await BaseLogger.create('redis', archiveConfig) : undefined;
+    let checkpoint;
+    let checkpointTimer;
+    // closed by a drain or a shutdown
+    let storesClosed = false;
+
+    // confirmed messages and their checksums, for the verify command
+    const publishedLog = config.publishedLogPath ? new PublishedLog({ path: config.publishedLogPath, logger }) : undefined;
+
+    // poison message policy, can be overridden per queue in the plan
+    const deadLetterDefaults = {
+        maxAttempts: config.maxPublishAttempts,
+        backoff: config.retryBackoff,
+        maxBackoff: config.retryBackoffMax,
+        exchange: config.deadLetterExchange,
+        routingKey: config.deadLetterRoutingKey,
+        queue: config.deadLetterQueue,
+        broker: config.deadLetterBroker
+    };
+
+    // connection map (must be available to shutdown methods)
+    const connMap = new Map();
+
+    // publish rate limits, per broker published to. they outlive the connections
+    const rateLimiters = new Map();
+
+    // progress per source queue
+    const progressMap = new Map();
+
+    // messages that may be redelivered after a reconnection, per source queue
+    const ledgerMap = new Map();
+    let progressTimer;
+
+    // ids generated for messages without messageId, per source queue, kept until
+    // the message leaves the source so its redeliveries are archived under one id
+    const generatedIdMap = new Map();
+
+    // replication lag per source queue
+    const lagMap = new Map();
+
+    // mirror mode: keeps forwarding and reports when the cutover can happen
+    const cutover = config.mirror ? new CutoverMonitor({
+        maxBacklog: config.cutoverMaxBacklog,
+        maxLag: config.cutoverMaxLag,
+        stableFor: config.cutoverStableFor
+    }) : undefined;
+    let mirrorStatus;
+    let mirrorTimer;
+
+    // loop prevention: origin and hop headers on every forwarded message, per direction
+    const forwardGuard = config.loopPrevention ? new LoopGuard({
+        from: config.sourceBrokerId,
+        to: config.destinationBrokerId,
+        maxHops: config.loopMaxHops
+    }) : undefined;
+    const reverseGuard = config.loopPrevention ? new LoopGuard({
+        from: config.destinationBrokerId,
+        to: config.sourceBrokerId,
+        maxHops: config.loopMaxHops
+    }) : undefined;
+
+    // prometheus metrics, served when metricsPort is set
+    const metrics = new MigrationMetrics();
+    let metricsServer;
+    let depthTimer;
+
+    // drain mode: queues being consumed, checked until they are empty
+    let drainMode = false;
+    let activeQueues = [];
+    let retryTimer;
+
+    // bidirectional mode: destination queues forwarded to the source
+    let reverseQueues = [];
+
+    const events = new EventEmitter({ captureRejections: true });
+
+    /**
+     * consumes from one broker and publishes to another using the same properties.
+     * every queue in the migration plan is drained at the same time over one
+     * connection per broker
+     * @async
+     * @returns {TopologyChange[]|undefined} topology changes on a topology dry run
+     */
+    async function run() {
+        // a refused checkpoint is not retried
+        if (checkpointStore && !checkpoint) {
+            await resumeCheckpoint();
+        }
+
+        try {
+            const plan = await loadPlan();
+
+            // only reports what would be declared, nothing is consumed
+            if (config.topologySource && config.topologyDryRun) {
+                return await syncTopology();
+            }
+
+            // connecting to destination, reopened if the connection drops
+            const destConn = createBroker('dest', config.destinationUrl);
+            connMap.set('dest', destConn);
+            await destConn.connect();
+
+            // destination exchanges, queues and bindings must exist before consuming
+            if (config.topologySource) {
+                await syncTopology(destConn);
+            }
+
+            // connecting to source
+            const sourceConn = createBroker('source', config.sourceUrl);
+            connMap.set('source', sourceConn);
+            await sourceConn.connect();
+            await subscribeQueues(sourceConn, destConn, plan);
+
+            // consumers are lost with the source connection and the broker
+            // requeues their unacked deliveries
+            sourceConn.on('disconnected', () => {
+                activeQueues.forEach((queue) => queue.reset());
+                activeQueues = [];
+            });
+            sourceConn.on('reconnected', () => {
+                subscribeQueues(sourceConn, destConn, plan).catch((err) => {
+                    logger.error(err, 'Unable to subscribe to the source queues again');
+                    sourceConn.reconnect(err);
+                });
+            });
+
+            if (config.bidirectional) {
+                assert.ok(plan.reverse.length > 0, 'bidirectional mode needs at least one reverse queue');
+                await subscribeReverse(destConn, sourceConn, plan);
+
+                destConn.on('disconnected', () => {
+                    reverseQueues.forEach((queue) => queue.reset());
+                    reverseQueues = [];
+                });
+                destConn.on('reconnected', () => {
+                    subscribeReverse(destConn, sourceConn, plan).catch((err) => {
+                        logger.error(err, 'Unable to subscribe to the reverse queues again');
+                        destConn.reconnect(err);
+                    });
+                });
+            }
+
+            startProgressReport();
+            startCheckpoints();
+            startMirror(sourceConn, plan);
+            startRetention();
+            await startMetrics(sourceConn, plan);
+        } catch(err) {
+            logger.error(err);
+
+            // close connections
+            await closeConnections();
+
+            if (config.retryOnFail) {
+                // retry in 2 seconds
+                logger.info(`Retrying in 2 seconds.`);
+                retryTimer = setTimeout(run, 2000);
+            } else {
+                throw err;
+            }
+        }
+    }
+
+    /**
+     * migrates until every source queue is empty and every message in flight is
+     * settled, then closes the connections and the stores. the report is written to drainReport
+     * when it is set
+     * @async
+     * @returns {object} drain report, see summarizeDrain
+     */
+    async function drain() {
+        drainMode = true;
+        const startedAt = new Date();
+
+        let status;
+        try {
+            const changes = await run();
+            if (changes) {
+                status = 'dry-run';
+            } else {
+                status = await waitForDrain() ? 'drained' : 'timeout';
+            }
+        } catch(err) {
+            logger.error(err, 'Drain failed');
+            status = 'failed';
+        }
+
+        await closeConnections();
+        await saveCheckpoint(status);
+        // the process may exit right after the drain
+        await closeStores();
+
+        // the counters of a resumed run started with its first start
+        const summary = {
+            runId,
+            ...summarizeDrain(getProgress(), { status, startedAt: checkpoint ? new Date(checkpoint.startedAt) : startedAt })
+        };
+        events.emit('drained', summary);
+        logger.info(summary.totals, `Drain ${summary.status} in ${summary.durationSeconds}s`);
+
+        if (config.drainReport) {
+            await writeFile(config.drainReport, JSON.stringify(summary, null, 2));
+        }
+        return summary;
+    }
+
+    /**
+     * polls the depth of the source queues. they are drained once they are empty
+     * and idle on two checks in a row, so messages on their way to the consumer
+     * are not missed
+     * @async
+     * @returns {boolean} false if drainTimeout elapsed first
+     */
+    async function waitForDrain() {
+        const interval = config.drainCheckInterval;
+        const deadline = config.drainTimeout !== undefined ? Date.now() + config.drainTimeout : Infinity;
+
+        let idleChecks = 0;
+        while (idleChecks < 2) {
+            if (Date.now() > deadline) {
+                return false;
+            }
+            await sleep(interval);
+
+            // reconnecting after a failure
+            const sourceConn = connMap.get('source');
+            if (!sourceConn || sourceConn.closed || activeQueues.length === 0) {
+                idleChecks = 0;
+                continue;
+            }
+
+            try {
+                let idle = true;
+                for (const queue of activeQueues) {
+                    const depth = await sourceConn.depth(queue.source);
+                    idle = idle && depth === 0 && queue.idle();
+                }
+                idleChecks = idle ? idleChecks + 1 : 0;
+            } catch(err) {
+                logger.warn(err, 'Unable to check the source queue depth');
+                idleChecks = 0;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * loads the checkpoint of runId and restores the counters of its queues.
+     * a changed configuration is logged, or refused with checkpointOnConfigChange=refuse
+     * @async
+     * @throws Error if the configuration changed and is refused
+     */
+    async function resumeCheckpoint() {
+        const plan = await loadPlan();
+        const hash = configHash({
+            source: withoutCredentials(config.sourceUrl),
+            destination: withoutCredentials(config.destinationUrl),
+            queues: plan.queues,
+            transformRules: config.transformRules,
+            transformHook: config.transformHook,
+            routingRules: config.routingRules,
+            idScheme: config.idScheme,
+            ...(config.bidirectional && { reverse: plan.reverse })
+        });
+
+        checkpoint = RunCheckpoint.resume({
+            runId,
+            configHash: hash,
+            saved: await checkpointStore.loadCheckpoint(runId),
+            onConfigChange: config.checkpointOnConfigChange,
+            logger
+        });
+
+        const names = [
+            ...plan.queues.map((queue) => queueName(queue)),
+            ...(config.bidirectional ? plan.reverse.map((queue) => queueName(queue, 'reverse')) : [])
+        ];
+        for (const name of names) {
+            const saved = checkpoint.progressOf(name);
+            if (saved && !progressMap.has(name)) {
+                progressMap.set(name, QueueProgress.fromJSON(saved));
+            }
+        }
+        logger.info(`${checkpoint.restarts > 0 ? 'Resuming' : 'Starting'} migration run ${runId}`);
+        await saveCheckpoint();
+    }
+
+    /**
+     * saves the checkpoint periodically
+     */
+    function startCheckpoints() {
+        if (!checkpoint) return;
+
+        clearInterval(checkpointTimer);
+        checkpointTimer = setInterval(() => saveCheckpoint(), config.checkpointInterval);
+        checkpointTimer.unref();
+    }
+
+    /**
+     * @async
+     * @param {string} [status] - how the run ended, unchanged by default
+     */
+    async function saveCheckpoint(status) {
+        if (!checkpoint) return;
+
+        checkpoint.update(getProgress(), status);
+        try {
+            await checkpointStore.saveCheckpoint(runId, checkpoint.toJSON());
+            events.emit('checkpoint', checkpoint.toJSON());
+        } catch(err) {
+            logger.error(err, `Unable to save the checkpoint of run ${runId}`);
+        }
+    }
+
+    /**
+     * credentials may change between restarts of the same run
+     * @param {string} url
+     * @returns {string}
+     */
+    function withoutCredentials(url) {
+        try {
+            const parsed = new URL(url);
+            parsed.username = '';
+            parsed.password = '';
+            return parsed.toString();
+        } catch {
+            return url;
+        }
+    }
+
+    /**
+     * progress snapshot for every source queue
+     * @returns {object[]}
+     */
+    function getProgress() {
+        return Array.from(progressMap.values(), (progress) => progress.toJSON());
+    }
+
+    /**
+     * @param {string} name - connMap key
+     * @param {string} url - broker, or folder of NDJSON files
+     * @returns {BrokerAdapter}
+     */
+    function createBroker(name, url) {
+        const broker = createAdapter(url, {
+            name,
+            backoff: config.reconnectBackoff,
+            maxBackoff: config.reconnectBackoffMax,
+            logger
+        });
+        broker.on('disconnected', () => connectionHealth());
+        broker.on('reconnected', () => {
+            metrics.reconnects.inc({ broker: name });
+            connectionHealth();
+        });
+        broker.on('blocked', (reason) => {
+            metrics.connectionBlocked.set({ broker: name }, 1);
+            events.emit('blocked', name, reason);
+        });
+        broker.on('unblocked', () => {
+            metrics.connectionBlocked.set({ broker: name }, 0);
+            events.emit('unblocked', name);
+        });
+        return broker;
+    }
+
+    /**
+     * subscribes to every queue of the plan
+     * @async
+     * @param {BrokerAdapter} sourceConn 
+     * @param {BrokerAdapter} destConn 
+     * @param {MigrationPlan} plan 
+     */
+    async function subscribeQueues(sourceConn, destConn, plan) {
+        // channels are opened one queue at a time so failures are reported in order
+        const queues = [];
+        for (const queue of plan.queues) {
+            queues.push(await migrateQueue(sourceConn, destConn, queue));
+        }
+        activeQueues = queues;
+    }
+
+    /**
+     * bidirectional mode: subscribes to every reverse queue of the plan on the
+     * destination broker, they are forwarded to the source broker
+     * @async
+     * @param {BrokerAdapter} destConn 
+     * @param {BrokerAdapter} sourceConn 
+     * @param {MigrationPlan} plan 
+     */
+    async function subscribeReverse(destConn, sourceConn, plan) {
+        const queues = [];
+        for (const queue of plan.reverse) {
+            queues.push(await migrateQueue(destConn, sourceConn, queue, 'reverse'));
+        }
+        reverseQueues = queues;
+    }
+
+    /**
+     * @param {object} queue - plan entry
+     * @param {'forward'|'reverse'} [direction]
+     * @returns {string} key of the queue in the progress, checkpoint and metrics
+     */
+    function queueName(queue, direction = 'forward') {
+        return direction === 'reverse' ? `reverse:${queue.source}` : queue.source;
+    }
+
+    /**
+     * @async
+     * @returns {MigrationPlan}
+     */
+    async function loadPlan() {
+        if (config.migrationPlan) {
+            return MigrationPlan.fromFile(config.migrationPlan);
+        }
+
+        return MigrationPlan.fromQueue({
+            source: config.sourceQueue,
+            destination: config.destinationQueue,
+            channel: config.sourceChannel
+        }, config.reverseQueue && {
+            source: config.reverseQueue,
+            destination: config.reverseDestinationQueue
+        });
+    }
+
+    /**
+     * declares the source topology on the destination. without a destination
+     * connection it only logs the diff (dry run)
+     * @async
+     * @param {BrokerAdapter} [destConn]
+     * @returns {TopologyChange[]}
+     */
+    async function syncTopology(destConn) {
+        const sourceVhost = vhostOf(config.sourceUrl);
+        const destVhost = vhostOf(config.destinationUrl);
+        const api = config.topologyDestinationApi ? new ManagementApi(config.topologyDestinationApi) : undefined;
+
+        const source = await loadDefinitions(config.topologySource, sourceVhost);
+        const destination = api ? await loadDefinitions(config.topologyDestinationApi, destVhost) : undefined;
+        const changes = diffTopology(source, destination);
+        events.emit('topology', changes);
+
+        if (!destConn) {
+            for (const { kind, action, name } of changes) {
+                logger.info(`[dry run] ${action} ${kind} ${name}`);
+            }
+            logger.info(`[dry run] ${changes.length} topology changes`);
+            return changes;
+        }
+
+        const channel = await destConn.channel();
+        try {
+            await applyTopology(channel, changes, { api, vhost: destVhost, logger });
+        } finally {
+            await channel.close();
+        }
+        return changes;
+    }
+
+    /**
+     * @param {string} url - amqp url
+     * @returns {string} vhost, same default as the amqp client
+     */
+    function vhostOf(url) {
+        return decodeURIComponent(new URL(url).pathname.slice(1)) || '/';
+    }
+
+    /**
+     * subscribes to one source queue and republishes on its own destination channel.
+     * called again for every source reconnection. reverse queues are consumed on
+     * the destination broker, the connections are swapped by the caller
+     * @async
+     * @param {BrokerAdapter} sourceConn - broker consumed
+     * @param {BrokerAdapter} destConn - broker published to
+     * @param {object} queue - plan entry
+     * @param {'forward'|'reverse'} [direction]
+     * @returns {{ source: string, direction: string, idle: function(): boolean, inFlight: function(): number, reset: function(): void }}
+     */
+    async function migrateQueue(sourceConn, destConn, queue, direction = 'forward') {
+        const name = queueName(queue, direction);
+        const guard = direction === 'reverse' ? reverseGuard : forwardGuard;
+
+        // several consumers, or one consumer feeding several partitions
+        const concurrency = queue.concurrency ?? config.concurrency;
+        assert.ok(Number.isInteger(concurrency) && concurrency >= 1, `concurrency of ${name} must be at least 1`);
+        const partitionBy = queue.partitionBy ?? config.partitionBy;
+        const partitioner = partitionBy ? new Partitioner({ by: partitionBy, partitions: concurrency }) : undefined;
+        const consumerCount = partitioner ? 1 : concurrency;
+        assert.ok(consumerCount === 1 || !queue.exclusive, `${name} can not have an exclusive consumer with a concurrency of ${consumerCount}`);
+        assert.ok(consumerCount === 1 || queue.channel === undefined, `${name} can not use channel ${queue.channel} for ${consumerCount} consumers`);
+
+        // fails if the queue does not exist
+        const messageCount = await sourceConn.depth(queue.source);
+
+        // the broker never delivers more than prefetch unacked messages, per consumer
+        const windowSize = queue.window ?? config.publishWindow;
+        const prefetch = queue.prefetch ?? config.prefetch ?? windowSize;
+
+        // keeps counters from a previous attempt of the same run
+        const progress = progressMap.get(name) ?? new QueueProgress(name);
+        progress.initialCount ??= messageCount;
+        progressMap.set(name, progress);
+
+        // outlives the source channel, redeliveries are checked against it
+        const ledger = ledgerMap.get(name) ?? new DeliveryLedger();
+        ledgerMap.set(name, ledger);
+
+        const generatedIds = generatedIdMap.get(name) ?? new Map();
+        generatedIdMap.set(name, generatedIds);
+
+        const lag = lagMap.get(name) ?? new ReplicationLag(name);
+        lagMap.set(name, lag);
+
+        // rules and hook set in the plan replace the global ones, even if only one of them is set
+        const transform = await loadTransform(queue.transform ?? { rulesFile: config.transformRules, hook: config.transformHook });
+
+        const deadLetterPolicy = new DeadLetterPolicy({ ...deadLetterDefaults, ...queue.deadLetter });
+        const deadLetterConn = deadLetterPolicy.broker === 'source' ? sourceConn : destConn;
+
+        // routes set in the plan replace the global ones
+        const router = await loadRouter(queue);
+        assert.ok(router?.unmatched.action !== 'dead-letter' || deadLetterPolicy.enabled,
+            `unmatched messages of ${name} are dead-lettered but there is no dead-letter exchange or queue`);
+        assert.ok(!drainMode || router?.unmatched.action !== 'requeue',
+            `unmatched messages of ${name} are requeued, the queue would never be drained`);
+
+        // setup a destination publisher, shared by the consumers. a failed publish
+        // (e.g. unknown exchange) closes it, so it is reopened for the next message
+        let destPublisher;
+        const destinationPublisher = async (destinationQueue) => {
+            // waits while the destination reconnects
+            if (!destPublisher || destPublisher.closed) {
+                destPublisher = await destConn.publisher({ onReturn: (msg) => handleReturnedMessage(msg, progress) });
+            }
+            await destPublisher.prepare(destinationQueue);
+            return destPublisher;
+        };
+        await destinationPublisher(queue.destination);
+
+        // a dead-letter exchange without route returns the message before its
+        // confirm, the publish then fails and the source message is requeued
+        let deadLetterPublisher;
+        const deadLetterDestination = async (deadLetterQueue) => {
+            if (!deadLetterPublisher || deadLetterPublisher.closed) {
+                const returned = new Set();
+                const publisher = await deadLetterConn.publisher({
+                    onReturn: (returnedMsg) => returned.add(deadLetterPolicy.keyOf(formatMessage(returnedMsg)))
+                });
+                deadLetterPublisher = {
+                    get closed() {
+                        return publisher.closed;
+                    },
+                    prepare: (queue) => publisher.prepare(queue),
+                    publish: async (data, queue) => {
+                        const host = await publisher.publish(data, queue);
+                        if (returned.delete(deadLetterPolicy.keyOf(data))) {
+                            throw new Error(`dead-letter message returned by the ${deadLetterPolicy.broker} broker`);
+                        }
+                        return host;
+                    }
+                };
+            }
+            await deadLetterPublisher.prepare(deadLetterQueue);
+            return deadLetterPublisher;
+        };
+
+        const labels = { queue: name };
+
+        /**
+         * takes a slot of the consumer window for the message, in delivery order
+         * @param {AMQPMessage} msg 
+         * @param {object} consumer 
+         * @returns {boolean} false if the message was delivered on a dropped channel
+         */
+        const admit = async (msg, consumer) => {
+            const { confirmWindow } = consumer;
+
+            // waits for a free slot, with a window of 1 the previous message is acked first
+            await confirmWindow.acquire();
+
+            // delivered on a dropped channel, it comes back after the reconnection
+            if (consumer.source?.closed) return false;
+            confirmWindow.track(msg.deliveryTag);
+            return true;
+        };
+
+        /**
+         * stores and publishes one admitted message. it returns once the message
+         * is sent, the confirm is handled asynchronously. in partition mode it
+         * returns once the message is settled, so the next message with the same
+         * key is published after it
+         * @param {AMQPMessage} msg 
+         * @param {object} consumer 
+         */
+        const forwardMessage = async (msg, consumer) => {
+            const { confirmWindow } = consumer;
 
             // format message
             const data = formatMessage(msg);
+            const key = deadLetterPolicy.keyOf(data);
+            let id = msg.properties.messageId ?? generatedIds.get(key);
+            let confirmed;
+
+            // redelivered after a reconnection: the message may already be on the destination
+            let previous = msg.redelivered ? ledger.take(key) : undefined;
+
+            // after a crash only the dedup index knows
+            if (msg.redelivered && previous !== 'published' && await isDelivered(key)) {
+                previous = 'published';
+            }
+
+            if (previous === 'published') {
+                // confirmed by the destination, only the source ack was lost
+                confirmWindow.confirm(msg.deliveryTag);
+                generatedIds.delete(key);
+                progress.increment('skipped');
+                events.emit('skipped', id ?? key, data);
+                logger.info(`Message ${id ?? key} is already on the destination, acking it`);
+                return;
+            }
+
+            // came back to the broker it was first published on, or forwarded too many times
+            const loop = guard?.check(data);
+            if (loop && !loop.forward) {
+                confirmWindow.confirm(msg.deliveryTag);
+                progress.increment('looped');
+                events.emit('looped', id ?? key, data, loop.reason);
+                const because = loop.reason === 'origin' ? `it comes from ${loop.origin}` : `it was forwarded ${loop.hops} times`;
+                logger.info(`Message ${id ?? key} from ${name} not forwarded, ${because}`);
+                return;
+            }
+
+            const decision = router ? router.route(data) : { action: 'publish' };
+            if (decision.action === 'requeue') {
+                // stays on the source and is not archived, it is evaluated again when redelivered
+                progress.increment('unmatched');
+                events.emit('unmatched', id, decision.action, data);
+                sleep(decision.delay)
+                    .then(() => msg.nack(true, false))
+                    .catch((err) => logger.error(err, `Unable to requeue message ${id}`))
+                    .finally(() => {
+                        metrics.nacked.inc(labels);
+                        confirmWindow.settle(msg.deliveryTag);
+                    });
+                return;
+            }
 
             try {
                 // stores in file, redis, etc
-                const id = await storeMessage(msg.properties.messageId, data);
-                logger.info('Received message ' + id);
+                id = await storeMessage(id, data);
+                if (!msg.properties.messageId) {
+                    generatedIds.set(key, id);
+                }
+                progress.lastId = id;
+                logger.info(`Received message ${id} from ${name}`);
+
+                if (decision.action !== 'publish') {
+                    await disposeUnmatched(msg, id, key, data, decision.action, confirmWindow);
+                    return;
+                }
+
+                // renames, header changes, etc. the archive keeps the original message
+                const outgoing = transform ? await transform(data, { queue: queue.source, id }) : data;
+                if (!outgoing) {
+                    // dropped by the transform hook, acked with the next batch
+                    await recordOutcome(id, name, 'dropped');
+                    confirmWindow.confirm(msg.deliveryTag);
+                    generatedIds.delete(key);
+                    progress.increment('dropped');
+                    events.emit('dropped', id, data);
+                    logger.info(`Message ${id} dropped by the transform`);
+                    return;
+                }
+
+                // a route to an exchange replaces the queue of the plan
+                const destinationQueue = decision.queue ?? (decision.exchange === undefined ? queue.destination : undefined);
+                let routed = decision.exchange === undefined ? outgoing : {
+                    ...outgoing,
+                    exchange: decision.exchange,
+                    routingKey: decision.routingKey ?? outgoing.routingKey
+                };
+
+                // the destination dropped before confirming it, it may be there already
+                if (previous === 'uncertain') {
+                    const headers = { ...routed.properties?.headers, [DUPLICATE_HEADER]: true };
+                    routed = { ...routed, properties: { ...routed.properties, headers } };
+                    events.emit('possible-duplicate', id, routed);
+                    logger.warn(`Message ${id} may already be on the destination, publishing it with ${DUPLICATE_HEADER}`);
+                }
+
+                // correlates the destination message with the archive
+                routed = stampId(routed, id, config);
+                if (guard) {
+                    routed = guard.stamp(routed);
+                }
+
+                // holds the consumer back, the source stops delivering once its prefetch messages are unacked
+                await throttle(destConn, routed);
 
                 //publishes to destination
-                await publishesMessage(destChannel, id, data);
+                const publisher = await destinationPublisher(destinationQueue);
+                const endTimer = metrics.publishLatency.startTimer(labels);
+                confirmed = publisher.publish(routed, destinationQueue)
+                    .then((host) => ({ host, outgoing: routed }))
+                    .finally(endTimer);
+            } catch(err) {
+                confirmed = Promise.reject(err);
+            }
+
+            const settled = confirmed.then(async ({ host, outgoing }) => {
+                metrics.published.inc(labels);
+                const lagMs = lag.record(data.properties?.timestamp);
+                if (lagMs !== undefined) {
+                    metrics.replicationLag.set(labels, lagMs / 1000);
+                }
+                await recordOutcome(id, name, 'published', outgoing);
 
-                // confirms message was received upstream
-                await msg.ack(false);
+                // recorded before the source ack, so a crash in between does not publish it twice
+                await markDelivered(key);
+
+                // acked upstream with the next batch
+                ledger.published(key);
+                confirmWindow.confirm(msg.deliveryTag, key);
+                generatedIds.delete(key);
+                deadLetterPolicy.forget(data);
+                progress.increment('published');
                 logger.info('Successfully sent message ' + id);
-            } catch(err) {
-                // negative acks the message if there is a problem publishing it
-                await msg.nack(true, false);
-                const errorMessage = `Unable to wirte message with ID ${id} to destination queue`;
+
+                // emitted once the message is confirmed, a throwing listener does not publish it again
+                events.emit('published', host, id, outgoing);
+            }, async (err) => {
+                progress.increment('failed');
+
+                // lost with the destination connection, the broker may have stored it
+                if (destConn.closed) {
+                    ledger.uncertain(key);
+                }
 
                 // do not print the body
                 const {channel, exchange, routingKey, properties} = data;
-                logger.error({channel, exchange, routingKey, properties}, errorMessage);
-            } 
-        });
+                logger.error({err, channel, exchange, routingKey, properties, queue: name}, `Unable to write message with ID ${id} to destination queue`);
 
-    } catch(err) {
-        logger.error(err);
+                const attempts = deadLetterPolicy.recordFailure(data);
+                if (deadLetterPolicy.shouldDeadLetter(attempts)) {
+                    const deadLetter = deadLetterPolicy.deadLetter(data, attempts, err);
+                    if (await deadLetterMessage(msg, id, deadLetter, deadLetterPolicy, deadLetterDestination)) {
+                        await recordOutcome(id, name, 'dead-lettered');
+                        deadLetterPolicy.forget(data);
+                        generatedIds.delete(key);
+                        progress.increment('deadLettered');
+                        metrics.acked.inc(labels);
+                    } else {
+                        metrics.nacked.inc(labels);
+                    }
+                } else {
+                    // backs off before the message is delivered again
+                    await sleep(deadLetterPolicy.delay(attempts));
+                    await msg.nack(true, false).catch((nackErr) => logger.error(nackErr, `Unable to nack message ${id}`));
+                    metrics.nacked.inc(labels);
+                }
+                confirmWindow.settle(msg.deliveryTag);
+            }).catch((err) => recover(msg, consumer, err));
 
-        // close connections
-        await closeConnections();
+            if (partitioner) {
+                await settled;
+            }
+        };
 
-        if (RETRY_ON_FAIL === 'true') {
-            // retry in 2 seconds
-            logger.info(`Retrying in 2 seconds.`);
-            setTimeout(run, 2000);
-        } else {
-            throw err;
+        /**
+         * requeues a message whose handling failed unexpectedly (e.g. a throwing
+         * listener) unless it is settled already, so the messages queued behind it
+         * on its consumer or partition keep going
+         * @async
+         * @param {AMQPMessage} msg 
+         * @param {object} consumer 
+         * @param {Error} err 
+         */
+        const recover = async (msg, { confirmWindow }, err) => {
+            logger.error(err, `Unable to handle message ${msg.properties.messageId ?? msg.deliveryTag} from ${name}`);
+            if (!confirmWindow.pending(msg.deliveryTag)) return;
+
+            await msg.nack(true, false).catch((nackErr) => logger.error(nackErr, `Unable to nack message ${msg.deliveryTag} from ${name}`));
+            metrics.nacked.inc(labels);
+            confirmWindow.settle(msg.deliveryTag);
+        };
+
+        /**
+         * acks (already archived) or dead-letters a message that matched no route
+         * @param {AMQPMessage} msg 
+         * @param {string} id 
+         * @param {string} key - message id or content hash
+         * @param {any} data 
+         * @param {'archive'|'dead-letter'} action 
+         * @param {ConfirmWindow} confirmWindow - of the consumer
+         */
+        const disposeUnmatched = async (msg, id, key, data, action, confirmWindow) => {
+            progress.increment('unmatched');
+            events.emit('unmatched', id, action, data);
+
+            if (action === 'archive') {
+                // acked with the next batch
+                await recordOutcome(id, name, 'archived');
+                confirmWindow.confirm(msg.deliveryTag);
+                generatedIds.delete(key);
+                logger.info(`Message ${id} matched no route, archived only`);
+                return;
+            }
+
+            const deadLetter = deadLetterPolicy.deadLetter(data, 0, 'no route matched the message');
+            // the consumer does not wait for the dead-letter confirm
+            deadLetterMessage(msg, id, deadLetter, deadLetterPolicy, deadLetterDestination).then(async (deadLettered) => {
+                if (deadLettered) {
+                    await recordOutcome(id, name, 'dead-lettered');
+                    generatedIds.delete(key);
+                    progress.increment('deadLettered');
+                    metrics.acked.inc(labels);
+                } else {
+                    metrics.nacked.inc(labels);
+                }
+                confirmWindow.settle(msg.deliveryTag);
+            }).catch((err) => {
+                // the message was acked or nacked on its own, its slot is freed
+                logger.error(err, `Unable to dead-letter unmatched message ${id}`);
+                metrics.nacked.inc(labels);
+                confirmWindow.settle(msg.deliveryTag);
+            });
+        };
+
+        /**
+         * subscribes with a consumer that requires acknowledge, exclusive unless
+         * there are several consumers. each one acks on its own channel
+         * @async
+         * @param {number} [channel] - source channel id
+         * @returns {object} consumer
+         */
+        const consume = async (channel) => {
+            // source acks are sent in batches once the destination confirmed the messages
+            const confirmWindow = new ConfirmWindow({
+                size: windowSize,
+                ack: (deliveryTag, multiple) => consumer.source.ack(deliveryTag, multiple),
+                onAck: (count, keys) => {
+                    metrics.acked.inc(labels, count);
+                    ledger.acked(keys);
+                },
+                onError: (err) => logger.error(err, `Unable to ack messages on ${name}`)
+            });
+
+            // messages are admitted one after the other, in delivery order, then
+            // published in that order or in the order of their partition
+            const consumer = { source: undefined, confirmWindow, queued: 0, sequence: Promise.resolve() };
+            const partitions = Array.from({ length: partitioner?.partitions ?? 0 }, () => Promise.resolve());
+
+            // never rejects, a failed message would stop every message behind it
+            const forward = (msg) => forwardMessage(msg, consumer).catch((err) => recover(msg, consumer, err));
+
+            const exclusive = queue.exclusive ?? consumerCount === 1;
+            consumer.source = await sourceConn.consume(queue.source, { channel, prefetch, exclusive }, (msg) => {
+                progress.increment('consumed');
+                metrics.consumed.inc(labels);
+                consumer.queued++;
+                consumer.sequence = consumer.sequence.then(async () => {
+                    const admitted = await admit(msg, consumer);
+                    consumer.queued--;
+                    if (!admitted) return;
+
+                    if (!partitioner) {
+                        await forward(msg);
+                        return;
+                    }
+
+                    // the next message may belong to another partition, it is not held back
+                    const index = partitioner.partitionOf(msg);
+                    partitions[index] = partitions[index].then(() => forward(msg));
+                });
+            });
+            return consumer;
+        };
+
+        const consumers = [await consume(queue.channel)];
+        for (let i = 1; i < consumerCount; i++) {
+            consumers.push(await consume());
         }
+
+        return {
+            source: queue.source,
+            direction,
+            // nothing waiting to be published, confirmed or acked
+            idle: () => consumers.every(({ queued, confirmWindow }) => queued === 0 && confirmWindow.inFlight === 0),
+            inFlight: () => consumers.reduce((sum, { queued, confirmWindow }) => sum + queued + confirmWindow.inFlight, 0),
+            reset: () => consumers.forEach(({ confirmWindow }) => confirmWindow.reset())
+        };
     }
-}
 
-/**
- * close connections from connMap
- */
-export async function closeConnections() {
-    for (let [key, conn] of connMap) {
-        // connection is not closed and there is a .close method
-        if (!conn.closed && conn.close) {
+    /**
+     * waits for the publish rate limits of the broker, then while it blocks
+     * the connection. publishes on a blocked connection fail right away
+     * @async
+     * @param {BrokerAdapter} conn - broker published to
+     * @param {any} data - message to publish
+     */
+    async function throttle(conn, data) {
+        if (!rateLimiters.has(conn.name)) {
+            const limiter = new RateLimiter({ messagesPerSecond: config.publishRateLimit, bytesPerSecond: config.publishByteRateLimit });
+            rateLimiters.set(conn.name, limiter.enabled ? limiter : undefined);
+        }
+
+        const waited = await rateLimiters.get(conn.name)?.acquire(sizeOf(data.body));
+        if (waited > 0) {
+            metrics.throttled.inc({ broker: conn.name }, waited / 1000);
+        }
+        await conn.unblocked();
+    }
+
+    /**
+     * @async
+     * @param {object} queue - plan entry
+     * @returns {MessageRouter|undefined} undefined if every message is published to the queue destination
+     */
+    async function loadRouter(queue) {
+        if (queue.routing) {
+            return new MessageRouter(queue.routing);
+        }
+        if (config.routingRules) {
+            return MessageRouter.fromFile(config.routingRules);
+        }
+    }
+
+    /**
+     * routes a message that failed too many times to the dead-letter exchange or
+     * queue and removes it from the source. the message is requeued if that fails too
+     * @async
+     * @param {AMQPMessage} msg - source message
+     * @param {string} id 
+     * @param {any} data - dead-letter copy of the message
+     * @param {DeadLetterPolicy} policy 
+     * @param {function(string): Promise<Publisher>} getPublisher 
+     * @returns {boolean} true if the message was dead-lettered
+     */
+    async function deadLetterMessage(msg, id, data, policy, getPublisher) {
+        try {
+            const publisher = await getPublisher(policy.queue);
+            await publisher.publish(data, policy.queue);
+            await msg.ack(false);
+            logger.warn({headers: data.properties.headers}, `Message ${id} dead-lettered on the ${policy.broker} broker`);
+            events.emit('dead-lettered', id, data);
+            return true;
+        } catch(err) {
+            logger.error(err, `Unable to dead-letter message ${id}`);
+            await msg.nack(true, false).catch((nackErr) => logger.error(nackErr, `Unable to nack message ${id}`));
+            return false;
+        }
+    }
+
+    /**
+     * logs and emits the progress of every queue periodically
+     */
+    function startProgressReport() {
+        clearInterval(progressTimer);
+        progressTimer = setInterval(() => {
+            const progress = getProgress();
+            for (const snapshot of progress) {
+                logger.info(snapshot, `Progress for queue ${snapshot.queue}`);
+            }
+            events.emit('progress', progress);
+        }, config.progressInterval);
+
+        // does not hold the process open
+        progressTimer.unref();
+    }
+
+    /**
+     * prunes the file archive periodically, when archivePruneInterval and a retention are set
+     */
+    function startRetention() {
+        const store = archive.get('file');
+        if (config.archivePruneInterval === undefined || !store || (retention.maxAge === undefined && retention.maxBytes === undefined)) {
+            return;
+        }
+
+        clearInterval(retentionTimer);
+        retentionTimer = setInterval(async () => {
+            try {
+                const report = await store.prune(retention);
+                if (report.removed > 0) {
+                    logger.info(report, 'Pruned the file archive');
+                }
+            } catch(err) {
+                logger.error(err, 'Unable to prune the file archive');
+            }
+        }, config.archivePruneInterval);
+        retentionTimer.unref();
+    }
+
+    /**
+     * mirror mode: samples the backlog and the lag of every queue, emits
+     * `cutover-ready` (and `cutover-not-ready` when it is lost) and writes the
+     * status to mirrorStatusFile
+     * @param {BrokerAdapter} sourceConn 
+     * @param {MigrationPlan} plan 
+     */
+    function startMirror(sourceConn, plan) {
+        if (!cutover) return;
+
+        clearInterval(mirrorTimer);
+        mirrorTimer = setInterval(async () => {
+            const queues = [];
+            let backlog = 0;
+            for (const { source } of plan.queues) {
+                let depth;
+                try {
+                    depth = await sourceConn.depth(source);
+                } catch(err) {
+                    logger.warn(err, `Unable to sample the depth of ${source}`);
+                }
+
+                const inFlight = activeQueues.find((queue) => queue.source === source)?.inFlight() ?? 0;
+                const { queue, ...lagWindow } = lagMap.get(source)?.window() ?? new ReplicationLag(source).window();
+                queues.push({ queue, depth, inFlight, lag: lagWindow });
+
+                // an unknown depth is never ready
+                backlog += depth === undefined ? Infinity : depth + inFlight;
+            }
+
+            const lag = Math.max(0, ...queues.map(({ lag }) => lag.max));
+            if (cutover.update({ backlog, lag })) {
+                const event = cutover.ready ? 'cutover-ready' : 'cutover-not-ready';
+                logger[cutover.ready ? 'info' : 'warn']({ backlog, lag }, cutover.ready
+                    ? `Cutover ready: backlog and lag under the thresholds for ${cutover.stableFor}ms`
+                    : 'Cutover not ready anymore');
+                metrics.cutoverReady.set(cutover.ready ? 1 : 0);
+                events.emit(event, { runId, backlog, lag, ...cutover.toJSON() });
+            }
+
+            mirrorStatus = {
+                runId,
+                state: 'mirroring',
+                ...cutover.toJSON(),
+                backlog: Number.isFinite(backlog) ? backlog : null,
+                lag,
+                queues,
+                updatedAt: new Date().toISOString()
+            };
+            events.emit('mirror-status', mirrorStatus);
+            await saveMirrorStatus(mirrorStatus);
+        }, config.mirrorCheckInterval);
+        mirrorTimer.unref();
+    }
+
+    /**
+     * @async
+     * @param {object} status
+     */
+    async function saveMirrorStatus(status) {
+        if (!cutover || !config.mirrorStatusFile) return;
+
+        try {
+            await writeStatusFile(config.mirrorStatusFile, status);
+        } catch(err) {
+            logger.error(err, `Unable to write the mirror status to ${config.mirrorStatusFile}`);
+        }
+    }
+
+    /**
+     * starts the metrics server (once) and samples the depth of the source queues
+     * @async
+     * @param {BrokerAdapter} sourceConn 
+     * @param {MigrationPlan} plan 
+     */
+    async function startMetrics(sourceConn, plan) {
+        if (config.metricsPort === undefined) return;
+
+        // keeps serving between retries, /healthz reports the outage
+        if (!metricsServer) {
+            metricsServer = await startMetricsServer({
+                port: config.metricsPort,
+                host: config.metricsHost,
+                metrics,
+                health: healthReport
+            });
+            logger.info(`Metrics available on port ${metricsServer.address().port}`);
+        }
+
+        clearInterval(depthTimer);
+        depthTimer = setInterval(async () => {
+            connectionHealth();
+            try {
+                for (const { source } of plan.queues) {
+                    metrics.queueDepth.set({ queue: source }, await sourceConn.depth(source));
+                }
+            } catch(err) {
+                logger.warn(err, 'Unable to sample the source queue depth');
+            }
+        }, config.queueDepthInterval);
+        depthTimer.unref();
+    }
+
+    /**
+     * @returns {{ healthy: boolean, connections: Record<string, string> }}
+     */
+    function connectionHealth() {
+        const connections = {};
+        for (const broker of ['source', 'dest']) {
+            const conn = connMap.get(broker);
+            const up = Boolean(conn && !conn.closed);
+            connections[broker] = up ? 'open' : 'closed';
+            metrics.connectionUp.set({ broker }, up ? 1 : 0);
+        }
+        return { healthy: Object.values(connections).every((state) => state === 'open'), connections };
+    }
+
+    /**
+     * broker connections and archive backends
+     * @async
+     * @returns {{ healthy: boolean, connections: Record<string, string>, archive: Record<string, object> }}
+     */
+    async function healthReport() {
+        const { healthy, connections } = connectionHealth();
+
+        const backends = {};
+        for (const [backend, store] of archive) {
+            backends[backend] = await store.health();
+        }
+
+        return {
+            healthy: healthy && Object.values(backends).every((backend) => backend.healthy),
+            connections,
+            archive: backends
+        };
+    }
+
+    /**
+     * close connections from connMap
+     */
+    async function closeConnections() {
+        clearInterval(progressTimer);
+        clearInterval(depthTimer);
+        clearInterval(retentionTimer);
+        clearInterval(checkpointTimer);
+        clearInterval(mirrorTimer);
+        clearTimeout(retryTimer);
+        activeQueues = [];
+        reverseQueues = [];
+
+        for (let [key, conn] of connMap) {
+            // also stops a reconnection in progress
             try {
                 await conn.close();
                 logger.warn(`Closing ${key} connection.`);
@@ -128,110 +1237,161 @@ export async function closeConnections() {
             }
         }
     }
-}
 
-/**
- * graceful shutdown (uses promises instead async/await)
- */
-export function startGracefulShutdown() {
-    closeConnections()
-        .then(() => {
-            logger.info('Process has been successfully stopped.');
-            process.exit(0);
-        })
-        .catch((err) => {
-            logger.error(err);
-            process.abort();
-        });
-}
+    /**
+     * closes the archive backends, then the dedup index and the checkpoint
+     * store unless they share an archive backend: pending segment writes and
+     * compressions complete
+     */
+    async function closeStores() {
+        storesClosed = true;
 
-/**
- * @async
- * @param {string|undefined} id 
- * @param {any} data 
- * @returns {string} message id or generated id
- */
-async function storeMessage(id, data) {
-    id = id ?? generateId();
+        const stores = new Map(Array.from(archive, ([backend, store]) => [store, `${backend} archive`]));
+        if (dedupIndex && !stores.has(dedupIndex)) stores.set(dedupIndex, 'dedup index');
+        if (checkpointStore && !stores.has(checkpointStore)) stores.set(checkpointStore, 'checkpoint store');
 
-    // tries to cache in redis if it is enabled
-    try {
-        await redisLogger.push(id, data);
-    } catch (redisErr) {
-        logger.error(redisErr, 'Failed to log the message to redis');
+        for (const [store, name] of stores) {
+            try {
+                await store.close();
+            } catch (err) {
+                logger.error(err, `Unable to close the ${name}`);
+            }
+        }
     }
 
-    // tries to cache in redis if it is enabled
-    try {
-        await fileLogger.push(id, data);
-    } catch (fileErr) {
-        logger.error(fileErr, 'Failed to log the message to a file');
+    /**
+     * graceful shutdown: the checkpoint is saved as stopped once nothing is
+     * consumed anymore, then pending archive writes complete. after a drain,
+     * the drain status is kept
+     * @async
+     */
+    async function shutdown() {
+        await closeConnections();
+        if (!storesClosed) {
+            await saveCheckpoint('stopped');
+            await saveMirrorStatus({ runId, ...mirrorStatus, state: 'stopped', ready: false, updatedAt: new Date().toISOString() });
+        }
+        await closeStores();
+        metricsServer?.close();
+        logger.info('Migration has been successfully stopped.');
     }
 
-    return id;
-}
+    /**
+     * @async
+     * @param {string|undefined} id 
+     * @param {any} data 
+     * @returns {string} message id or generated id
+     */
+    async function storeMessage(id, data) {
+        id = id ?? generateId();
 
-/**
- * @param {AMQPMessage} msg 
- * @returns {Record<string, string|number>}
- */
-function formatMessage(msg) {
-    return {
-        channel: msg.channel?.id,
-        exchange: msg.exchange,
-        routingKey: msg.routingKey,
-        properties: msg.properties,
-        body: msg.bodyToString()
+        // a failing backend does not stop the others
+        for (const [backend, store] of archive) {
+            try {
+                await store.push(id, data);
+            } catch (err) {
+                metrics.loggerFailures.inc({ backend });
+                logger.error(err, `Failed to archive the message to ${backend}`);
+            }
+        }
+
+        return id;
     }
-}
 
-/**
- * @async
- * @param {AMQPChannel} channel 
- * @param {any} data 
- */
-async function publishesMessage(channel, id, data) {
-    // tries to publish to the new queue and acks
-    // client already caches channels for us
-    await channel.confirmSelect();
-
-    if (AMQP_DESTINATION_QUEUE) {
-        // tries to deliver to a destination queue directly
-        const queue = await channel.queue(AMQP_DESTINATION_QUEUE);
-        await queue.publish(data.body, data.properties);
-    } else {
-        // delivers using an exchange and routingKey (mandatory)
-        await channel.basicPublish(data.exchange, data.routingKey, data.body, data.properties, true);
-    }
-
-    const host = `${channel.connection.host}:${channel.connection.port}`;
-    events.emit('published', host, id, data);
-}
+    /**
+     * dedup failures never block the migration, the message is published
+     * @async
+     * @param {string} key - message id or content hash
+     * @returns {boolean} true if the dedup index has the message
+     */
+    async function isDelivered(key) {
+        if (!dedupIndex) return false;
+
+        try {
+            return await dedupIndex.isDelivered(key);
+        } catch(err) {
+            metrics.loggerFailures.inc({ backend: 'dedup' });
+            logger.error(err, 'Unable to read the dedup index');
+            return false;
+        }
+    }
 
-async function handleReturnedMessage(msg) {
-    // format message
-    const data = formatMessage(msg);
+    /**
+     * @async
+     * @param {string} key - message id or content hash
+     */
+    async function markDelivered(key) {
+        if (!dedupIndex) return;
 
-    //format id
-    const id = msg.properties.messageId ?? generateId();
+        try {
+            await dedupIndex.markDelivered(key, config.dedupTtl);
+        } catch(err) {
+            metrics.loggerFailures.inc({ backend: 'dedup' });
+            logger.error(err, 'Unable to write to the dedup index');
+        }
+    }
 
-    // stores in file and/or redis
-    await storeMessage(`returned-${id}`, data);
-    events.emit('returned', msg);
+    /**
+     * appends how a message was settled to publishedLogPath, so the verify
+     * command only expects the published ones, with their published body
+     * @async
+     * @param {string} id
+     * @param {string} queue - source queue
+     * @param {'published'|'dropped'|'archived'|'dead-lettered'} disposition
+     * @param {any} [outgoing] - message as it was published
+     */
+    async function recordOutcome(id, queue, disposition, outgoing) {
+        if (!publishedLog) return;
 
-    const logMessage = `Message ${id} returned`;
-    if (PRINT_RETURNED_BODY === 'true') {
-        log.warn(data, logMessage);
-    } else {
-        const {channel, exchange, routingKey, properties} = data;
-        logger.warn({channel, exchange, routingKey, properties}, logMessage);
-    }            
-}
+        try {
+            const published = outgoing && { exchange: outgoing.exchange, routingKey: outgoing.routingKey, checksum: checksumOf(outgoing.body) };
+            await publishedLog.record({ id, queue, disposition, ...published });
+        } catch(err) {
+            metrics.loggerFailures.inc({ backend: 'published-log' });
+            logger.error(err, 'Unable to write to the published log');
+        }
+    }
 
-/**
- * id from timestamp. since there is network involved collision is not possible
- * @returns {string}
- */
-function generateId() {
-    return String(Date.now());
+    /**
+     * keeps the raw body so binary payloads reach the destination untouched.
+     * receivedAt is archived to filter replays by time, the checksum to verify
+     * the destination
+     * @param {AMQPMessage} msg 
+     * @returns {Record<string, string|number|Uint8Array>}
+     */
+    function formatMessage(msg) {
+        return {
+            channel: msg.channel?.id,
+            exchange: msg.exchange,
+            routingKey: msg.routingKey,
+            properties: msg.properties,
+            body: msg.body,
+            checksum: checksumOf(msg.body),
+            receivedAt: new Date().toISOString()
+        }
+    }
+
+    async function handleReturnedMessage(msg, progress) {
+        // format message
+        const data = formatMessage(msg);
+
+        // the id stamped on the message, so the returned copy matches its archive
+        const id = msg.properties.headers?.[config.idHeader] ?? msg.properties.messageId ?? generateId();
+
+        // stores in file and/or redis
+        await storeMessage(`returned-${id}`, data);
+        progress?.increment('returned');
+        metrics.returned.inc({ queue: progress?.queue });
+        events.emit('returned', msg);
+
+        const logMessage = `Message ${id} returned`;
+        if (config.printReturnedBody) {
+            logger.warn({ ...data, body: msg.bodyToString() }, logMessage);
+        } else {
+            const {channel, exchange, routingKey, properties} = data;
+            logger.warn({channel, exchange, routingKey, properties}, logMessage);
+        }            
+    }
+
+    return { runId, events, run, drain, getProgress, getMirrorStatus: () => mirrorStatus, closeConnections, shutdown };
 }
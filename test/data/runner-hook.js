@@ -0,0 +1,22 @@
+import { setTimeout as sleep } from 'timers/promises';
+
+// attempts per messageId (or body), for the whole test run
+const attempts = new Map();
+
+/**
+ * transform hook used by the runner unit tests: waits `x-delay` milliseconds,
+ * then fails the first `x-fail-times` attempts of a message
+ */
+export default async function transform(message) {
+    const headers = message.properties.headers ?? {};
+    if (headers['x-delay']) {
+        await sleep(headers['x-delay']);
+    }
+
+    const id = message.properties.messageId ?? Buffer.from(message.body).toString();
+    const attempt = (attempts.get(id) ?? 0) + 1;
+    attempts.set(id, attempt);
+    if (attempt <= (headers['x-fail-times'] ?? 0)) {
+        throw new Error(`attempt ${attempt} of ${id} failed`);
+    }
+}
@@ -0,0 +1,14 @@
+/**
+ * transform hook used by the unit tests: drops messages flagged as obsolete,
+ * replaces the body of messages with a rewrite header and tags the others
+ * with the source queue
+ */
+export default function transform(message, { queue }) {
+    if (message.properties.headers?.obsolete) {
+        return null;
+    }
+    if (message.properties.headers?.rewrite) {
+        message.body = Buffer.from(message.properties.headers.rewrite);
+    }
+    message.properties.headers = { ...message.properties.headers, 'x-source-queue': queue };
+}
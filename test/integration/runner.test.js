@@ -31,9 +31,12 @@ import { AMQPClient } from '@cloudamqp/amqp-client';
 import { createSandbox } from 'sinon';
 import {once} from 'events';
 import Redis from 'ioredis';
-import { readFile } from 'fs/promises';
+import { readFile, writeFile } from 'fs/promises';
 import { setTimeout as timeout } from 'timers/promises';
 
+import { createRunner } from '../../runner.js';
+import { loadConfig } from '../../config/load-config.js';
+
 
 let envs = {};
 process.env.LOG_LEVEL = 'error';
@@ -109,13 +112,13 @@ async function read(path) {
 }
 
 /**
- * use dynamic import to allow us to change env vars;
+ * builds a runner from env vars, the same way the command line does
  */
 async function load(env) {
     for(let key in env) {
         envs[key] = env[key];
     }
-    return import(`../../runner.js?update=${Date.now()}`);
+    return createRunner(await loadConfig('migrate', { env: envs }));
 }
 
 async function purgeTestQueue(url, name) {
@@ -334,7 +337,52 @@ describe('queue-migration', function () {
             await conn.close();
             const [channelHost, id, data] = await once(events, 'published');
             const file = await readFile(`${filePath}/msg-${id}.txt`, { encoding: 'utf8' });
-            assert.equal(file, '{"channel":1,"exchange":"","routingKey":"test-source","properties":{},"body":"{\\"test\\": true}"}');
+            const {receivedAt, ...archived} = JSON.parse(file);
+            assert.deepEqual(archived, {"channel":1,"exchange":"","routingKey":"test-source","properties":{},"body":"eyJ0ZXN0IjogdHJ1ZX0=","bodyEncoding":"base64"});
+            assert.isFalse(Number.isNaN(Date.parse(receivedAt)));
+            // the generated id correlates the published message with the archive
+            assert.equal(data.properties.headers['x-migration-id'], id);
+        } catch(err) {
+            assert.ifError(err);
+            assert.fail('Should not throw');
+        }
+        await closeConnections();
+    });
+
+    it('should migrate every queue in a plan', async () => {
+        const planPath = '/tmp/logs/plan.json';
+        await writeFile(planPath, JSON.stringify({
+            queues: [
+                { source: 'test-source', destination: 'test-dest' },
+                { source: 'fail-queue', destination: 'test-source' }
+            ]
+        }));
+
+        const {run, events, getProgress, closeConnections} = await load({
+            AMQP_SOURCE_URL: sourceBrokerURL,
+            AMQP_DESTINATION_URL: destBrokerURL,
+            MIGRATION_PLAN: planPath,
+            ENABLE_FILE_LOGGER: false,
+            RETRY_ON_FAIL: false
+        });
+
+        try {
+            await run();
+            let published = 0;
+            const bothPublished = new Promise((resolve) => events.on('published', () => ++published === 2 && resolve()));
+
+            const src = await getFromBroker(sourceBrokerURL, 'test-source');
+            await src.channel.basicPublish('', 'test-source', '{"test": 1}', {});
+            await src.channel.basicPublish('', 'fail-queue', '{"test": 2}', {});
+            await src.channel.close();
+            await src.conn.close();
+            await bothPublished;
+
+            const progress = getProgress();
+            assert.deepEqual(progress.map(({ queue, consumed }) => ({ queue, consumed })), [
+                { queue: 'test-source', consumed: 1 },
+                { queue: 'fail-queue', consumed: 1 }
+            ]);
         } catch(err) {
             assert.ifError(err);
             assert.fail('Should not throw');
@@ -402,6 +450,42 @@ describe('queue-migration', function () {
         await closeConnections();
     });
 
+    it('should do a full e2e with a binary body', async () => {
+        // gzip magic number followed by bytes that are not valid utf-8
+        const payload = new Uint8Array([0x1f, 0x8b, 0x08, 0x00, 0xff, 0xfe, 0xc3, 0x28, 0x00, 0x80]);
+
+        const {run, closeConnections} = await load({
+            AMQP_SOURCE_URL: sourceBrokerURL,
+            AMQP_SOURCE_QUEUE: 'test-source',
+            AMQP_DESTINATION_URL: destBrokerURL,
+            ENABLE_FILE_LOGGER: false,
+            RETRY_ON_FAIL: false
+        });
+
+        try {
+            await run();
+            const src = await getFromBroker(sourceBrokerURL, 'test-source');
+            await src.queue.publish(payload, { contentEncoding: 'gzip' });
+            await src.channel.close();
+            await src.conn.close();
+
+            const dest = await getFromBroker(destBrokerURL, 'test-source');
+            const consumer = await dest.queue.subscribe({ noAck: false }, async (msg) => {
+                assert.deepEqual(Array.from(msg.body), Array.from(payload));
+                await msg.cancelConsumer();
+            });
+
+            await consumer.wait();
+            await dest.channel.close();
+            await dest.conn.close();
+
+        } catch(err) {
+            assert.ifError(err);
+            assert.fail('Should not throw');
+        }
+        await closeConnections();
+    });
+
     it('should do a full e2e with multiple messages', async () => {
         const numMessages = 15;
         const testMessages = messageGenerator(numMessages);
@@ -0,0 +1,30 @@
+import { assert } from 'chai';
+
+import { createAdapter, isAmqpUrl, isSupportedUrl } from '../../../adapters/index.js';
+import AmqpAdapter from '../../../adapters/amqp-adapter.js';
+import NdjsonFileAdapter from '../../../adapters/ndjson-file-adapter.js';
+
+describe('adapters', () => {
+    const logger = { info() {}, warn() {}, error() {} };
+
+    it('should pick the adapter of the URL protocol', () => {
+        assert.instanceOf(createAdapter('amqp://rabbit', { name: 'source', logger }), AmqpAdapter);
+        assert.instanceOf(createAdapter('amqps://rabbit', { name: 'source', logger }), AmqpAdapter);
+
+        const adapter = createAdapter('file:///exports/orders', { name: 'dest', logger });
+        assert.instanceOf(adapter, NdjsonFileAdapter);
+        assert.equal(adapter.path, '/exports/orders');
+        assert.equal(adapter.name, 'dest');
+    });
+
+    it('should tell the supported URLs apart', () => {
+        assert.isTrue(isAmqpUrl('amqps://rabbit'));
+        assert.isFalse(isAmqpUrl('file:///exports'));
+        assert.isTrue(isSupportedUrl('file:///exports'));
+        assert.isFalse(isSupportedUrl('http://rabbit:15672'));
+    });
+
+    it('should refuse unsupported protocols', () => {
+        assert.throws(() => createAdapter('http://rabbit:15672', { name: 'source', logger }), TypeError, 'unsupported broker URL http://, supported: amqp:, amqps:, file:');
+    });
+});
@@ -0,0 +1,158 @@
+import { assert } from 'chai';
+import mock from 'mock-fs';
+import { readFile } from 'fs/promises';
+import { setTimeout as sleep } from 'timers/promises';
+import sinon from 'sinon';
+
+import NdjsonFileAdapter from '../../../adapters/ndjson-file-adapter.js';
+
+describe('ndjson-file-adapter', () => {
+    const logger = { info: sinon.fake(), warn: sinon.fake(), error: sinon.fake() };
+    const line = (routingKey, body) => JSON.stringify({ exchange: '', routingKey, properties: { messageId: routingKey }, body });
+
+    beforeEach(() => {
+        mock({
+            '/exports': {
+                'orders.ndjson': [line('a', 'one'), '', line('b', 'two'), line('c', 'three'), ''].join('\n')
+            }
+        });
+    });
+
+    afterEach(() => {
+        mock.restore();
+    });
+
+    /**
+     * @returns {Promise<object[]>} deliveries once count of them arrived
+     */
+    async function collect(adapter, queue, options, count) {
+        const deliveries = [];
+        const consumer = await adapter.consume(queue, options, (delivery) => deliveries.push(delivery));
+        while (deliveries.length < count) {
+            await sleep(1);
+        }
+        return { consumer, deliveries };
+    }
+
+    it('should export messages and import them back', async () => {
+        const exporter = new NdjsonFileAdapter({ name: 'dest', url: 'file:///backup', logger });
+        await exporter.connect();
+        const publisher = await exporter.publisher();
+        const timestamp = new Date('2024-05-01T10:00:00Z');
+
+        assert.equal(await publisher.publish({ exchange: '', routingKey: 'orders', properties: { timestamp }, body: new Uint8Array([0, 255]) }, 'orders'), '/backup/orders.ndjson');
+        await publisher.publish({ exchange: 'events', routingKey: 'created', properties: {}, body: new Uint8Array([1]) });
+        await exporter.close();
+
+        const importer = new NdjsonFileAdapter({ name: 'source', url: 'file:///backup', logger });
+        await importer.connect();
+        assert.equal(await importer.depth('orders'), 1);
+        assert.equal(await importer.depth('events'), 1);
+
+        const { deliveries } = await collect(importer, 'orders', {}, 1);
+        assert.deepEqual(Array.from(deliveries[0].body), [0, 255]);
+        assert.deepEqual(deliveries[0].properties.timestamp, timestamp);
+        assert.isFalse(deliveries[0].redelivered);
+        await importer.close();
+    });
+
+    it('should not deliver more than prefetch unacked lines', async () => {
+        const adapter = new NdjsonFileAdapter({ name: 'source', url: 'file:///exports', logger });
+        await adapter.connect();
+
+        const { consumer, deliveries } = await collect(adapter, 'orders', { prefetch: 2 }, 2);
+        await sleep(5);
+        assert.deepEqual(deliveries.map(({ routingKey }) => routingKey), ['a', 'b']);
+        assert.equal(await adapter.depth('orders'), 1);
+
+        await consumer.ack(deliveries[1].deliveryTag, true);
+        while (deliveries.length < 3) {
+            await sleep(1);
+        }
+        assert.equal(deliveries[2].routingKey, 'c');
+        assert.equal(Buffer.from(deliveries[2].body).toString(), 'three');
+        await adapter.close();
+    });
+
+    it('should save the acked lines and resume after them', async () => {
+        const adapter = new NdjsonFileAdapter({ name: 'source', url: 'file:///exports', logger });
+        await adapter.connect();
+
+        const { deliveries } = await collect(adapter, 'orders', {}, 3);
+        // not contiguous, only the first line is saved
+        await deliveries[0].ack();
+        await deliveries[2].ack();
+        await adapter.close();
+        assert.equal(JSON.parse(await readFile('/exports/orders.ndjson.offset', 'utf8')).acked, 1);
+
+        const resumed = new NdjsonFileAdapter({ name: 'source', url: 'file:///exports', logger });
+        await resumed.connect();
+        assert.equal(await resumed.depth('orders'), 2);
+
+        const { deliveries: redelivered } = await collect(resumed, 'orders', {}, 2);
+        assert.deepEqual(redelivered.map(({ routingKey }) => routingKey), ['b', 'c']);
+        await resumed.close();
+    });
+
+    it('should deliver requeued lines again and drop the others', async () => {
+        const adapter = new NdjsonFileAdapter({ name: 'source', url: 'file:///exports', logger });
+        await adapter.connect();
+
+        const { deliveries } = await collect(adapter, 'orders', { prefetch: 1 }, 1);
+        await deliveries[0].nack(true);
+        while (deliveries.length < 2) {
+            await sleep(1);
+        }
+        assert.equal(deliveries[1].routingKey, 'a');
+        assert.isTrue(deliveries[1].redelivered);
+
+        await deliveries[1].nack(false);
+        while (deliveries.length < 3) {
+            await sleep(1);
+        }
+        assert.equal(deliveries[2].routingKey, 'b');
+        await adapter.close();
+        assert.equal(JSON.parse(await readFile('/exports/orders.ndjson.offset', 'utf8')).acked, 1);
+    });
+
+    it('should allow a single consumer per queue', async () => {
+        const adapter = new NdjsonFileAdapter({ name: 'source', url: 'file:///exports', logger });
+        await adapter.connect();
+
+        await adapter.consume('orders', {}, () => {});
+        try {
+            await adapter.consume('orders', {}, () => {});
+            assert.fail('a second consumer was created');
+        } catch(err) {
+            assert.equal(err.message, 'file queue orders can only have one consumer');
+        }
+        await adapter.close();
+    });
+
+    it('should fail for a queue without file', async () => {
+        const adapter = new NdjsonFileAdapter({ name: 'source', url: 'file:///exports', logger });
+        await adapter.connect();
+
+        try {
+            await adapter.depth('payments');
+            assert.fail('the depth of a missing queue was returned');
+        } catch(err) {
+            assert.include(err.message, 'queue payments has no file /exports/payments.ndjson');
+        }
+    });
+
+    it('should refuse publishes once closed', async () => {
+        const adapter = new NdjsonFileAdapter({ name: 'dest', url: 'file:///exports', logger });
+        await adapter.connect();
+        const publisher = await adapter.publisher();
+        await adapter.close();
+
+        assert.isTrue(publisher.closed);
+        try {
+            await publisher.publish({ exchange: '', routingKey: 'orders', properties: {}, body: null }, 'orders');
+            assert.fail('a message was published');
+        } catch(err) {
+            assert.equal(err.message, 'dest files are closed');
+        }
+    });
+});
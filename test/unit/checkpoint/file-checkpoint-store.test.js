@@ -0,0 +1,37 @@
+import { assert } from 'chai';
+import mock from 'mock-fs';
+import { readdir } from 'fs/promises';
+
+import FileCheckpointStore from '../../../checkpoint/file-checkpoint-store.js';
+
+describe('file-checkpoint-store', () => {
+
+    beforeEach(() => {
+        mock({ '/logs/events': {} });
+    });
+
+    afterEach(() => {
+        mock.restore();
+    });
+
+    it('should save and load the checkpoint of a run', async () => {
+        const store = new FileCheckpointStore({ path: '/logs/events' });
+        assert.isUndefined(await store.loadCheckpoint('run-1'));
+
+        await store.saveCheckpoint('run-1', { runId: 'run-1', queues: [{ queue: 'orders', consumed: 3 }] });
+        await store.saveCheckpoint('run-1', { runId: 'run-1', queues: [{ queue: 'orders', consumed: 4 }] });
+
+        assert.deepEqual(await store.loadCheckpoint('run-1'), { runId: 'run-1', queues: [{ queue: 'orders', consumed: 4 }] });
+        assert.deepEqual(await readdir('/logs/events'), ['checkpoint-run-1.json']);
+    });
+
+    it('should fail when the folder is missing', async () => {
+        const store = new FileCheckpointStore({ path: '/missing' });
+        try {
+            await store.saveCheckpoint('run-1', {});
+            assert.fail('should have thrown');
+        } catch(err) {
+            assert.equal(err.code, 'ENOENT');
+        }
+    });
+});
@@ -0,0 +1,63 @@
+import { assert } from 'chai';
+
+import RunCheckpoint, { configHash } from '../../../checkpoint/run-checkpoint.js';
+import QueueProgress from '../../../plan/queue-progress.js';
+
+describe('run-checkpoint', () => {
+    const silent = { warn() {} };
+
+    it('should hash the configuration independently of the key order', () => {
+        const hash = configHash({ source: 'amqp://a', queues: [{ source: 'q', destination: 'd' }] });
+        assert.match(hash, /^[0-9a-f]{64}$/);
+        assert.equal(configHash({ queues: [{ destination: 'd', source: 'q' }], source: 'amqp://a' }), hash);
+        assert.notEqual(configHash({ source: 'amqp://a', queues: [{ source: 'q', destination: 'e' }] }), hash);
+        // unset options do not change the hash
+        assert.equal(configHash({ source: 'amqp://a', queues: [{ source: 'q', destination: 'd' }], hook: undefined }), hash);
+    });
+
+    it('should start a new run without a saved record', () => {
+        const checkpoint = RunCheckpoint.resume({ runId: 'run-1', configHash: 'abc' });
+        assert.include(checkpoint.toJSON(), { runId: 'run-1', configHash: 'abc', status: 'running', restarts: 0 });
+        assert.deepEqual(checkpoint.queues, []);
+    });
+
+    it('should resume the counters of a saved run', () => {
+        const progress = new QueueProgress('orders');
+        progress.increment('consumed');
+        progress.increment('published');
+        progress.lastId = '01HF7YAT00KX3D2M8VQ6B9N4TR';
+
+        const first = RunCheckpoint.resume({ runId: 'run-1', configHash: 'abc' });
+        first.update([progress.toJSON()], 'stopped');
+        assert.isString(first.finishedAt);
+
+        const saved = JSON.parse(JSON.stringify(first));
+        const second = RunCheckpoint.resume({ runId: 'run-1', configHash: 'abc', saved });
+        assert.include(second, { status: 'running', restarts: 1, startedAt: first.startedAt });
+        assert.isUndefined(second.finishedAt);
+
+        const restored = QueueProgress.fromJSON(second.progressOf('orders'));
+        assert.include(restored, { queue: 'orders', consumed: 1, published: 1, lastId: '01HF7YAT00KX3D2M8VQ6B9N4TR' });
+        assert.instanceOf(restored.startedAt, Date);
+        assert.isUndefined(second.progressOf('payments'));
+    });
+
+    it('should keep queues missing from an update', () => {
+        const checkpoint = new RunCheckpoint({ runId: 'run-1', configHash: 'abc', queues: [{ queue: 'a', consumed: 2 }, { queue: 'b', consumed: 1 }] });
+        checkpoint.update([{ queue: 'b', consumed: 5 }]);
+        assert.deepEqual(checkpoint.queues, [{ queue: 'a', consumed: 2 }, { queue: 'b', consumed: 5 }]);
+        assert.equal(checkpoint.status, 'running');
+    });
+
+    it('should warn about or refuse a changed configuration', () => {
+        const saved = new RunCheckpoint({ runId: 'run-1', configHash: 'a'.repeat(64) }).toJSON();
+
+        const warnings = [];
+        const resumed = RunCheckpoint.resume({ runId: 'run-1', configHash: 'b'.repeat(64), saved, logger: { warn: (message) => warnings.push(message) } });
+        assert.equal(resumed.configHash, 'b'.repeat(64));
+        assert.match(warnings[0], /run run-1 was started with another configuration \(aaaaaaaaaaaa, now bbbbbbbbbbbb\)/);
+
+        assert.throws(() => RunCheckpoint.resume({ runId: 'run-1', configHash: 'b'.repeat(64), saved, onConfigChange: 'refuse', logger: silent }),
+            /another configuration .*, use a new RUN_ID/);
+    });
+});
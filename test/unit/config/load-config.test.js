@@ -0,0 +1,145 @@
+import { assert } from 'chai';
+import mock from 'mock-fs';
+
+import { resolveConfig, loadConfig, formatHelp, ConfigError } from '../../../config/load-config.js';
+
+describe('load-config', () => {
+    const required = { sourceUrl: 'amqp://source', destinationUrl: 'amqp://dest', sourceQueue: 'orders' };
+
+    afterEach(() => {
+        mock.restore();
+    });
+
+    describe('resolveConfig', () => {
+
+        it('should fill the defaults and convert the values', () => {
+            const config = resolveConfig('migrate', { ...required, publishWindow: '10', topologyDryRun: 'yes', archiveRedactHeaders: 'a, b' });
+
+            assert.equal(config.publishWindow, 10);
+            assert.isTrue(config.topologyDryRun);
+            assert.deepEqual(config.archiveRedactHeaders, ['a', 'b']);
+            assert.equal(config.maxPublishAttempts, 5);
+            assert.isTrue(config.retryOnFail);
+            assert.equal(config.dedupIndexPath, '/logs/events/dedup-index.ndjson');
+            assert.isUndefined(config.prefetch);
+        });
+
+        it('should keep typed values', () => {
+            const config = resolveConfig('migrate', { ...required, publishWindow: 10, retryOnFail: false, fileLogsPath: '/data' });
+            assert.equal(config.publishWindow, 10);
+            assert.isFalse(config.retryOnFail);
+            assert.equal(config.checkpointPath, '/data');
+        });
+
+        it('should report every invalid option at once', () => {
+            try {
+                resolveConfig('migrate', { sourceUrl: 'not a url', publishWindow: '-1', idStamp: 'body', retryOnFail: 'maybe', typo: 1 });
+                assert.fail('should have thrown');
+            } catch(err) {
+                assert.instanceOf(err, ConfigError);
+                assert.deepEqual(err.errors, [
+                    'unknown option typo',
+                    'AMQP_SOURCE_URL (--source-url) must be a URL, got not a url',
+                    'AMQP_DESTINATION_URL (--destination-url) is required',
+                    'PUBLISH_WINDOW (--publish-window) must be a whole number, got -1',
+                    'ID_STAMP (--id-stamp) must be one of header, message-id, none, got body',
+                    'RETRY_ON_FAIL (--retry-on-fail) must be true or false, got maybe'
+                ]);
+                assert.match(err.message, /^invalid migrate configuration:\n {2}- unknown option typo\n/);
+            }
+        });
+
+        it('should check the options together', () => {
+            assert.throws(() => resolveConfig('migrate', { ...required, sourceQueue: undefined }), ConfigError, 'AMQP_SOURCE_QUEUE or MIGRATION_PLAN is required');
+            assert.throws(() => resolveConfig('migrate', { ...required, dedupStore: 'redis' }), ConfigError, 'REDIS_URL is required to dedup with redis');
+            assert.throws(() => resolveConfig('migrate', { ...required, bidirectional: true }), ConfigError, 'AMQP_REVERSE_QUEUE or MIGRATION_PLAN is required in bidirectional mode');
+            assert.throws(() => resolveConfig('migrate', { ...required, loopPrevention: true, destinationUrl: 'amqp://other@source:5672' }), ConfigError, 'SOURCE_BROKER_ID and DESTINATION_BROKER_ID must differ to prevent loops');
+            assert.throws(() => resolveConfig('migrate', { ...required, concurrency: 4, sourceChannel: 2 }), ConfigError, 'AMQP_SOURCE_CHANNEL can not be set with several consumers');
+            assert.throws(() => resolveConfig('migrate', { ...required, partitionBy: 'body' }), ConfigError, 'PARTITION_BY (--partition-by) must match');
+            assert.throws(() => resolveConfig('migrate', { ...required, destinationUrl: 'http://dest' }), ConfigError, 'AMQP_SOURCE_URL and AMQP_DESTINATION_URL must be amqp://, amqps:// or file:// URLs');
+            assert.throws(() => resolveConfig('migrate', { ...required, destinationUrl: 'file:///exports', topologySource: 'definitions.json' }), ConfigError, 'TOPOLOGY_SOURCE needs an AMQP destination');
+            assert.throws(() => resolveConfig('migrate', { ...required, sourceUrl: 'file:///exports', concurrency: 4 }), ConfigError, 'a file source has one consumer per queue, CONCURRENCY needs PARTITION_BY');
+            assert.throws(() => resolveConfig('verify', { verifyMode: 'log' }), ConfigError, 'PUBLISHED_LOG is required to verify the published log');
+            assert.throws(() => resolveConfig('replay', { destinationUrl: 'amqp://dest', redisKeyPrefix: '{run}:' }), ConfigError, 'RUN_ID is required by the {run} of REDIS_KEY_PREFIX');
+        });
+
+        it('should enable loop prevention in bidirectional mode', () => {
+            const config = resolveConfig('migrate', { ...required, bidirectional: 'true', reverseQueue: 'orders-v2' });
+
+            assert.isTrue(config.loopPrevention);
+            assert.equal(config.sourceBrokerId, 'source:5672/');
+            assert.equal(config.destinationBrokerId, 'dest:5672/');
+            assert.isFalse(resolveConfig('migrate', required).loopPrevention);
+        });
+
+        it('should accept folders of NDJSON files', () => {
+            const config = resolveConfig('migrate', { ...required, sourceUrl: 'file:///exports/orders', bidirectional: true, reverseQueue: 'orders-v2' });
+
+            assert.equal(config.sourceUrl, 'file:///exports/orders');
+            assert.equal(config.sourceBrokerId, 'file:/exports/orders');
+        });
+
+        it('should refuse unknown commands', () => {
+            assert.throws(() => resolveConfig('mirror', {}), ConfigError, 'unknown command mirror');
+        });
+    });
+
+    describe('loadConfig', () => {
+
+        it('should override the config file with the environment and the flags', async () => {
+            mock({
+                '/etc/migrate.yaml': [
+                    'sourceUrl: amqp://file-source',
+                    'destinationUrl: amqp://file-dest',
+                    'sourceQueue: from-file',
+                    'publishWindow: 50',
+                    'replayFrom: sqlite'
+                ].join('\n')
+            });
+
+            const config = await loadConfig('migrate', {
+                argv: ['--publish-window', '20', '--no-retry-on-fail', '--drain'],
+                env: { AMQP_MIGRATE_CONFIG: '/etc/migrate.yaml', AMQP_SOURCE_QUEUE: 'from-env', PUBLISH_WINDOW: '30', UNRELATED: 'x' }
+            });
+
+            assert.equal(config.sourceUrl, 'amqp://file-source');
+            assert.equal(config.sourceQueue, 'from-env');
+            assert.equal(config.publishWindow, 20);
+            assert.isFalse(config.retryOnFail);
+            assert.isTrue(config.drain);
+        });
+
+        it('should refuse unknown options in the config file', async () => {
+            mock({ '/etc/migrate.json': JSON.stringify({ sourceURL: 'amqp://source' }) });
+            try {
+                await loadConfig('migrate', { argv: ['--config', '/etc/migrate.json'] });
+                assert.fail('should have thrown');
+            } catch(err) {
+                assert.deepEqual(err.errors, ['unknown option sourceURL in the config file /etc/migrate.json']);
+            }
+        });
+
+        it('should refuse unknown flags', async () => {
+            try {
+                await loadConfig('replay', { argv: ['--destination-url', 'amqp://dest', '--queue', 'orders'] });
+                assert.fail('should have thrown');
+            } catch(err) {
+                assert.instanceOf(err, ConfigError);
+                assert.match(err.errors[0], /--queue/);
+            }
+        });
+
+        it('should pass the arguments of inspect as ids', async () => {
+            const config = await loadConfig('inspect', { argv: ['a', '--from', 'sqlite', 'b'] });
+            assert.deepEqual(config.ids, ['a', 'b']);
+            assert.equal(config.inspectFrom, 'sqlite');
+        });
+    });
+
+    it('should describe the options of a command', () => {
+        const help = formatHelp('prune');
+        assert.match(help, /^Usage: amqp-migrate prune \[options\]/);
+        assert.match(help, /--dry-run +Only reports the messages that would be removed \(default false\) \[PRUNE_DRY_RUN\]/);
+        assert.match(formatHelp(), /inspect +Prints archived messages/);
+    });
+});
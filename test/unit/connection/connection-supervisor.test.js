@@ -0,0 +1,183 @@
+import { assert } from 'chai';
+import { once } from 'events';
+import pino from 'pino';
+import { AMQPChannel, AMQPError } from '@cloudamqp/amqp-client';
+
+import ConnectionSupervisor from '../../../connection/connection-supervisor.js';
+
+const logger = pino({ level: 'silent' });
+
+/**
+ * minimal connection: a dropped socket calls onerror, channels are closed by the supervisor
+ */
+function fakeConnection() {
+    const channel = { closed: false, setClosed(err) { this.closed = true; this.error = err; } };
+    return {
+        closed: false,
+        channels: [channel],
+        onerror: () => {},
+        async channel() { return channel; },
+        async close() { this.closed = true; },
+        closeSocket() { this.closed = true; },
+        drop(err) {
+            this.closed = true;
+            this.onerror(err);
+        }
+    };
+}
+
+describe('connection-supervisor', () => {
+    let connections;
+    let failures;
+    let supervisor;
+
+    beforeEach(() => {
+        connections = [];
+        failures = 0;
+        supervisor = new ConnectionSupervisor({
+            name: 'source',
+            url: 'amqp://localhost',
+            backoff: 1,
+            maxBackoff: 4,
+            blockedCheckInterval: 1,
+            logger,
+            connect: async () => {
+                if (failures > 0) {
+                    failures--;
+                    throw new Error('ECONNREFUSED');
+                }
+                const conn = fakeConnection();
+                connections.push(conn);
+                return conn;
+            }
+        });
+    });
+
+    afterEach(async () => {
+        await supervisor.close();
+    });
+
+    it('should reconnect after the connection drops', async () => {
+        await supervisor.start();
+        const [first] = connections;
+        assert.isFalse(supervisor.closed);
+
+        failures = 2;
+        const disconnected = once(supervisor, 'disconnected');
+        first.drop(new Error('Socket closed'));
+        const [cause] = await disconnected;
+        assert.equal(cause.message, 'Socket closed');
+        assert.isTrue(supervisor.closed);
+
+        const [conn] = await once(supervisor, 'reconnected');
+        assert.strictEqual(conn, connections[1]);
+        assert.strictEqual(supervisor.connection, conn);
+        assert.equal(failures, 0);
+    });
+
+    it('should close the channels of a dropped connection', async () => {
+        await supervisor.start();
+        const [first] = connections;
+        first.drop(new Error('Heartbeat timeout'));
+
+        const [channel] = first.channels;
+        assert.isTrue(channel.closed);
+        assert.equal(channel.error.message, 'Heartbeat timeout');
+        await once(supervisor, 'reconnected');
+    });
+
+    it('should wait for the reconnection when ready', async () => {
+        await supervisor.start();
+        connections[0].drop(new Error('Socket closed'));
+
+        const conn = await supervisor.ready();
+        assert.strictEqual(conn, connections[1]);
+    });
+
+    it('should drop a live connection to start over', async () => {
+        await supervisor.start();
+        supervisor.reconnect();
+        assert.isTrue(connections[0].closed);
+        await once(supervisor, 'reconnected');
+        assert.lengthOf(connections, 2);
+    });
+
+    it('should ignore errors of a replaced connection', async () => {
+        await supervisor.start();
+        const [first] = connections;
+        first.drop(new Error('Socket closed'));
+        await once(supervisor, 'reconnected');
+
+        first.onerror(new Error('late error'));
+        assert.isFalse(supervisor.closed);
+        assert.lengthOf(connections, 2);
+    });
+
+    it('should keep the connection when the broker closes a channel', async () => {
+        await supervisor.start();
+        const [conn] = connections;
+        conn.channel = async (id) => new AMQPChannel(conn, id ?? 1);
+        supervisor.on('disconnected', () => assert.fail('the connection was dropped'));
+
+        const channel = await supervisor.channel();
+        channel.setClosed(new AMQPError('NOT_FOUND - no exchange \'unknown\' in vhost \'/\'', conn));
+
+        assert.isTrue(channel.closed);
+        assert.isFalse(supervisor.closed);
+        assert.isFalse(conn.closed);
+        assert.lengthOf(connections, 1);
+    });
+
+    it('should stop reconnecting when closed', async () => {
+        await supervisor.start();
+        failures = Infinity;
+        connections[0].drop(new Error('Socket closed'));
+
+        const ready = supervisor.ready();
+        await supervisor.close();
+        try {
+            await ready;
+            assert.fail('Should throw async');
+        } catch(err) {
+            assert.equal(err.message, 'source connection is closed');
+        }
+    });
+
+    it('should report when the broker blocks the connection', async () => {
+        await supervisor.start();
+        const [conn] = connections;
+
+        conn.blocked = 'low on memory';
+        const [reason] = await once(supervisor, 'blocked');
+        assert.equal(reason, 'low on memory');
+        assert.equal(supervisor.blocked, 'low on memory');
+
+        let unblocked = false;
+        const waiting = supervisor.unblocked().then(() => { unblocked = true; });
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        assert.isFalse(unblocked);
+
+        delete conn.blocked;
+        await once(supervisor, 'unblocked');
+        await waiting;
+        assert.isUndefined(supervisor.blocked);
+    });
+
+    it('should not wait for a blocked connection once closed', async () => {
+        await supervisor.start();
+        connections[0].blocked = 'low on disk';
+
+        const waiting = supervisor.unblocked();
+        await supervisor.close();
+        await waiting;
+        assert.isUndefined(await supervisor.unblocked());
+    });
+
+    it('should back off exponentially with jitter', () => {
+        for (const [attempts, max] of [[1, 1], [2, 2], [3, 4], [4, 4], [10, 4]]) {
+            const delay = supervisor.delay(attempts);
+            assert.isAtLeast(delay, max / 2);
+            assert.isAtMost(delay, max);
+        }
+    });
+});
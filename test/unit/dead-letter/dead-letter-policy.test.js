@@ -0,0 +1,70 @@
+import { assert } from 'chai';
+
+import DeadLetterPolicy, { ATTEMPTS_HEADER, REASON_HEADER } from '../../../dead-letter/dead-letter-policy.js';
+
+describe('dead-letter-policy', () => {
+    const message = () => ({
+        exchange: 'test-exchange',
+        routingKey: 'orders',
+        properties: { messageId: 'abc', headers: { trace: '1' } },
+        body: new Uint8Array([1, 2, 3])
+    });
+
+    it('should count attempts per message id', () => {
+        const policy = new DeadLetterPolicy({ exchange: 'dlx', maxAttempts: 3 });
+        assert.equal(policy.recordFailure(message()), 1);
+        assert.equal(policy.recordFailure(message()), 2);
+        assert.isFalse(policy.shouldDeadLetter(2));
+        assert.equal(policy.recordFailure(message()), 3);
+        assert.isTrue(policy.shouldDeadLetter(3));
+
+        policy.forget(message());
+        assert.equal(policy.recordFailure(message()), 1);
+    });
+
+    it('should count attempts by content for messages without id', () => {
+        const policy = new DeadLetterPolicy({});
+        const data = { ...message(), properties: {} };
+        assert.equal(policy.recordFailure(data), 1);
+        assert.equal(policy.recordFailure({ ...data, body: new Uint8Array([1, 2, 3]) }), 2);
+        assert.equal(policy.recordFailure({ ...data, body: new Uint8Array([3, 2, 1]) }), 1);
+    });
+
+    it('should continue counting from the attempts header', () => {
+        const policy = new DeadLetterPolicy({});
+        const data = message();
+        data.properties.headers[ATTEMPTS_HEADER] = 4;
+        assert.equal(policy.recordFailure(data), 5);
+    });
+
+    it('should never dead-letter without an exchange or queue', () => {
+        const policy = new DeadLetterPolicy({ maxAttempts: 1 });
+        assert.isFalse(policy.enabled);
+        assert.isFalse(policy.shouldDeadLetter(10));
+    });
+
+    it('should back off exponentially up to the maximum', () => {
+        const policy = new DeadLetterPolicy({ backoff: 100, maxBackoff: 1000 });
+        assert.equal(policy.delay(1), 100);
+        assert.equal(policy.delay(2), 200);
+        assert.equal(policy.delay(4), 800);
+        assert.equal(policy.delay(5), 1000);
+    });
+
+    it('should record the failure in the dead-letter headers', () => {
+        const policy = new DeadLetterPolicy({ exchange: 'dlx' });
+        const data = policy.deadLetter(message(), 5, new Error('NOT_FOUND - no exchange'));
+
+        assert.equal(data.exchange, 'dlx');
+        assert.equal(data.routingKey, 'orders');
+        assert.equal(data.properties.messageId, 'abc');
+        assert.equal(data.properties.headers.trace, '1');
+        assert.equal(data.properties.headers[ATTEMPTS_HEADER], 5);
+        assert.equal(data.properties.headers[REASON_HEADER], 'NOT_FOUND - no exchange');
+        assert.equal(data.properties.headers['x-migration-original-exchange'], 'test-exchange');
+    });
+
+    it('should refuse an unknown broker', () => {
+        assert.throws(() => new DeadLetterPolicy({ broker: 'other' }), 'dead-letter broker must be source or destination');
+    });
+});
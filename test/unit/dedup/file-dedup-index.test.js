@@ -0,0 +1,63 @@
+import { assert } from 'chai';
+import mock from 'mock-fs';
+import { readFile } from 'fs/promises';
+import sinon from 'sinon';
+
+import FileDedupIndex from '../../../dedup/file-dedup-index.js';
+
+describe('file-dedup-index', () => {
+    const now = Date.now();
+    const logger = { warn: sinon.fake() };
+
+    beforeEach(() => {
+        mock({
+            '/logs': {
+                'dedup-index.ndjson': [
+                    JSON.stringify({ key: 'expired', expiresAt: now - 1000 }),
+                    JSON.stringify({ key: 'kept', expiresAt: now + 60000 }),
+                    '{"key":"cut'
+                ].join('\n')
+            },
+            '/empty': {}
+        });
+    });
+
+    afterEach(() => {
+        mock.restore();
+    });
+
+    it('should load and compact the index', async () => {
+        const index = new FileDedupIndex({ path: '/logs/dedup-index.ndjson', logger });
+
+        assert.isTrue(await index.isDelivered('kept'));
+        assert.isFalse(await index.isDelivered('expired'));
+        assert.isTrue(logger.warn.calledOnce);
+
+        const content = await readFile('/logs/dedup-index.ndjson', 'utf8');
+        assert.deepEqual(content.trim().split('\n').map((line) => JSON.parse(line).key), ['kept']);
+    });
+
+    it('should record delivered messages', async () => {
+        const index = new FileDedupIndex({ path: '/empty/dedup-index.ndjson', logger });
+        assert.isFalse(await index.isDelivered('a'));
+
+        await index.markDelivered('a', 60000);
+        assert.isTrue(await index.isDelivered('a'));
+
+        // survives a restart
+        const restarted = new FileDedupIndex({ path: '/empty/dedup-index.ndjson', logger });
+        assert.isTrue(await restarted.isDelivered('a'));
+    });
+
+    it('should forget expired messages', async () => {
+        const clock = sinon.useFakeTimers({ now, toFake: ['Date'] });
+        try {
+            const index = new FileDedupIndex({ path: '/empty/dedup-index.ndjson', logger });
+            await index.markDelivered('a', 1000);
+            clock.tick(1001);
+            assert.isFalse(await index.isDelivered('a'));
+        } finally {
+            clock.restore();
+        }
+    });
+});
@@ -0,0 +1,44 @@
+import { assert } from 'chai';
+
+import { createIdGenerator } from '../../../id/id-generator.js';
+
+describe('id-generator', () => {
+    const fixedClock = (...times) => () => times.length > 1 ? times.shift() : times[0];
+
+    it('should generate unique and sorted ulids within the same millisecond', () => {
+        const generateId = createIdGenerator({ scheme: 'ulid', now: fixedClock(1700000000000) });
+        const ids = Array.from({ length: 1000 }, () => generateId());
+
+        assert.equal(new Set(ids).size, ids.length);
+        assert.deepEqual([...ids].sort(), ids);
+        ids.forEach((id) => assert.match(id, /^[0-9A-HJKMNP-TV-Z]{26}$/));
+    });
+
+    it('should sort ulids by time', () => {
+        const generateId = createIdGenerator({ now: fixedClock(1700000000000, 1700000000001, 1800000000000) });
+        const ids = [generateId(), generateId(), generateId()];
+
+        assert.deepEqual([...ids].sort(), ids);
+        // the time is the first 10 characters
+        assert.equal(ids[0].slice(0, 10), '01HF7YAT00');
+    });
+
+    it('should number the ids of the same millisecond with the sequence scheme', () => {
+        const generateId = createIdGenerator({ scheme: 'sequence', nodeId: 'node/1', now: fixedClock(1700000000000, 1700000000000, 1700000000001) });
+
+        assert.equal(generateId(), '1700000000000-000000-node_1');
+        assert.equal(generateId(), '1700000000000-000001-node_1');
+        assert.equal(generateId(), '1700000000001-000000-node_1');
+    });
+
+    it('should keep sorting when the clock goes backwards', () => {
+        const generateId = createIdGenerator({ scheme: 'sequence', nodeId: 'a', now: fixedClock(1700000000001, 1700000000000) });
+
+        assert.equal(generateId(), '1700000000001-000000-a');
+        assert.equal(generateId(), '1700000000001-000001-a');
+    });
+
+    it('should refuse an unknown scheme', () => {
+        assert.throws(() => createIdGenerator({ scheme: 'timestamp' }), 'id scheme must be one of ulid, sequence');
+    });
+});
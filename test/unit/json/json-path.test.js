@@ -0,0 +1,29 @@
+import { assert } from 'chai';
+
+import { parsePath, valueAt, replaceAt } from '../../../json/json-path.js';
+
+describe('json-path', () => {
+    it('should parse keys and array indexes', () => {
+        assert.deepEqual(parsePath('$.items[0].sku'), ['items', '0', 'sku']);
+        assert.deepEqual(parsePath('cards[1].number'), ['cards', '1', 'number']);
+        assert.deepEqual(parsePath('$'), []);
+    });
+
+    it('should read a value', () => {
+        const json = { customer: { region: 'eu', tags: ['a', 'b'] }, empty: null };
+        assert.equal(valueAt(json, ['customer', 'region']), 'eu');
+        assert.equal(valueAt(json, ['customer', 'tags', '1']), 'b');
+        assert.isNull(valueAt(json, ['empty']));
+        assert.isUndefined(valueAt(json, ['empty', 'x']));
+        assert.isUndefined(valueAt(json, ['customer', 'region', 'length']));
+        assert.isUndefined(valueAt(json, ['toString']));
+    });
+
+    it('should replace an existing value only', () => {
+        const json = { cards: [{ number: '4111' }], name: 'x' };
+        assert.isTrue(replaceAt(json, ['cards', '0', 'number'], '***'));
+        assert.isFalse(replaceAt(json, ['cards', '1', 'number'], '***'));
+        assert.isFalse(replaceAt(json, ['email'], '***'));
+        assert.deepEqual(json, { cards: [{ number: '***' }], name: 'x' });
+    });
+});
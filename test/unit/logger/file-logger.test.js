@@ -1,7 +1,11 @@
 import { assert } from 'chai';
 import mock from 'mock-fs';
+import { readFile } from 'fs/promises';
+import { randomBytes } from 'crypto';
 
 import FileLogger from '../../../logger/file-logger.js';
+import MessageCipher from '../../../logger/message-cipher.js';
+import MessageRedactor, { REDACTED } from '../../../logger/message-redactor.js';
 
 describe('redis-logger', () => {
 
@@ -21,9 +25,191 @@ describe('redis-logger', () => {
         assert.deepEqual(result, value);
     });
 
+    it('should push and get a binary body', async () => {
+        const logger = new FileLogger({});
+        const body = new Uint8Array([0x1f, 0x8b, 0xff, 0xfe, 0x00, 0xc3, 0x28]);
+        await logger.push('binary', { routingKey: 'test', body });
+        const result = await logger.get('binary');
+        assert.equal(result.routingKey, 'test');
+        assert.instanceOf(result.body, Uint8Array);
+        assert.deepEqual(Array.from(result.body), Array.from(body));
+        assert.notProperty(result, 'bodyEncoding');
+    });
+
     it('should not store anything if connection fails', async() => {
         const logger = new FileLogger({});
         const result = await logger.get('mock');
         assert.deepEqual(result, {test: true});
     });
-});
\ No newline at end of file
+
+    it('should list the stored message ids', async () => {
+        const logger = new FileLogger({});
+        const ids = await logger.list();
+        assert.deepEqual(ids, ['binary', 'mock', 'test']);
+    });
+
+    it('should delete a stored message', async () => {
+        const logger = new FileLogger({});
+        assert.isTrue(await logger.delete('binary'));
+        assert.isFalse(await logger.delete('binary'));
+        assert.deepEqual(await logger.list(), ['mock', 'test']);
+    });
+
+    it('should report the logs folder health', async () => {
+        assert.deepEqual(await new FileLogger({}).health(), { healthy: true });
+
+        const missing = await new FileLogger({ logsPath: '/missing' }).health();
+        assert.isFalse(missing.healthy);
+        assert.match(missing.error, /ENOENT/);
+    });
+});
+describe('file-logger segment mode', () => {
+
+    beforeEach(() => {
+        mock({ '/logs/events/msg-legacy.txt': '{"legacy": true}' });
+    });
+
+    afterEach(() => {
+        mock.restore();
+    });
+
+    it('should push to segments and get a binary body', async () => {
+        const logger = new FileLogger({ mode: 'segment' });
+        const body = new Uint8Array([0x1f, 0x8b, 0xff]);
+        await logger.push('binary', { routingKey: 'test', body });
+        await logger.push('json', { ok: true });
+
+        const result = await logger.get('binary');
+        assert.deepEqual(Array.from(result.body), Array.from(body));
+        assert.deepEqual(await logger.get('json'), { ok: true });
+        assert.deepEqual(await logger.get('legacy'), { legacy: true });
+        await logger.close();
+    });
+
+    it('should write large messages to their own file', async () => {
+        const logger = new FileLogger({ mode: 'segment', segment: { largeMessageBytes: 20 } });
+        await logger.push('large', { body: 'x'.repeat(50) });
+        await logger.push('small', { ok: true });
+
+        assert.deepEqual(await logger.get('large'), { body: 'x'.repeat(50) });
+        assert.deepEqual(await logger.list(), ['large', 'legacy', 'small']);
+        await logger.close();
+    });
+
+    it('should delete indexed messages', async () => {
+        const logger = new FileLogger({ mode: 'segment' });
+        await logger.push('small', { ok: true });
+        assert.isTrue(await logger.delete('small'));
+        assert.isFalse(await logger.delete('small'));
+        assert.deepEqual(await logger.list(), ['legacy']);
+        await logger.close();
+    });
+
+    it('should refuse an unknown mode', () => {
+        assert.throws(() => new FileLogger({ mode: 'zip' }), /file logger mode must be one of message, segment/);
+    });
+});
+
+describe('file-logger encryption', () => {
+    const cipher = new MessageCipher({ keys: { k1: randomBytes(32).toString('base64') }, active: 'k1' });
+    const silent = { warn() {}, error() {} };
+
+    beforeEach(() => {
+        mock({ '/logs/events': {} });
+    });
+
+    afterEach(() => {
+        mock.restore();
+    });
+
+    it('should store encrypted and redacted messages and decrypt them on get', async () => {
+        const redactor = new MessageRedactor({ headers: ['authorization'] });
+        const logger = new FileLogger({ cipher, redactor, logger: silent });
+        const body = new Uint8Array([0x01, 0xff]);
+        await logger.push('secret', { properties: { headers: { authorization: 'token' } }, body });
+
+        const stored = await readFile('/logs/events/msg-secret.txt', 'utf8');
+        assert.equal(JSON.parse(stored).keyId, 'k1');
+        assert.notInclude(stored, 'authorization');
+
+        const result = await logger.get('secret');
+        assert.equal(result.properties.headers.authorization, REDACTED);
+        assert.isTrue(result.redacted);
+        assert.deepEqual(Array.from(result.body), [0x01, 0xff]);
+    });
+
+    it('should only flag the messages that were redacted', async () => {
+        const logger = new FileLogger({ redactor: new MessageRedactor({ headers: ['authorization'] }), logger: silent });
+        await logger.push('plain', { properties: { headers: { 'x-trace': '1' } }, body: 'x' });
+        assert.notProperty(await logger.get('plain'), 'redacted');
+    });
+
+    it('should decrypt segments', async () => {
+        const logger = new FileLogger({ mode: 'segment', cipher, logger: silent });
+        await logger.push('secret', { body: 'card 4111' });
+        assert.deepEqual(await logger.get('secret'), { body: 'card 4111' });
+        await logger.close();
+    });
+
+    it('should not read encrypted messages without the key', async () => {
+        await new FileLogger({ cipher, logger: silent }).push('secret', { body: 'x' });
+        const errors = [];
+        const logger = new FileLogger({ logger: { warn() {}, error: (message) => errors.push(message) } });
+        assert.isUndefined(await logger.get('secret'));
+        assert.match(errors[0], /encrypted with key k1, an encryption key is required/);
+    });
+});
+
+describe('file-logger retention', () => {
+    const now = Date.parse('2024-01-10T00:00:00Z');
+    const day = 86400000;
+
+    beforeEach(() => {
+        mock({
+            '/logs/events': {
+                'msg-old.txt': mock.file({ content: 'x'.repeat(100), mtime: new Date(now - 5 * day) }),
+                'msg-mid.txt': mock.file({ content: 'x'.repeat(100), mtime: new Date(now - 2 * day) }),
+                'msg-new.txt': mock.file({ content: 'x'.repeat(100), mtime: new Date(now) }),
+                'dedup-index.ndjson': mock.file({ content: '', mtime: new Date(now - 9 * day) })
+            }
+        });
+    });
+
+    afterEach(() => {
+        mock.restore();
+    });
+
+    it('should prune messages older than the max age', async () => {
+        const logger = new FileLogger({});
+        assert.deepEqual(await logger.prune({ maxAge: 3 * day, dryRun: true, now }), { matched: 1, removed: 0, bytes: 100 });
+        assert.deepEqual(await logger.list(), ['mid', 'new', 'old']);
+
+        assert.deepEqual(await logger.prune({ maxAge: 3 * day, now }), { matched: 1, removed: 1, bytes: 100 });
+        assert.deepEqual(await logger.list(), ['mid', 'new']);
+    });
+
+    it('should prune the oldest messages until the archive fits', async () => {
+        const logger = new FileLogger({});
+        assert.deepEqual(await logger.prune({ maxBytes: 150, now }), { matched: 2, removed: 2, bytes: 200 });
+        assert.deepEqual(await logger.list(), ['new']);
+    });
+
+    it('should prune closed segments but not the current one', async () => {
+        const logger = new FileLogger({ mode: 'segment', segment: { maxMessages: 2 } });
+        for (const id of ['a', 'b', 'c']) {
+            await logger.push(id, { ok: id });
+        }
+
+        const report = await logger.prune({ maxBytes: 0, now: Date.now() });
+        assert.equal(report.removed, 5);
+        assert.deepEqual(await logger.list(), ['c']);
+        assert.deepEqual(await logger.get('c'), { ok: 'c' });
+        await logger.close();
+
+        // the index was rewritten without the dropped segment
+        const reloaded = new FileLogger({ mode: 'segment' });
+        assert.deepEqual(await reloaded.list(), ['c']);
+        assert.deepEqual(await reloaded.get('c'), { ok: 'c' });
+        await reloaded.close();
+    });
+});
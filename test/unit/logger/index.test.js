@@ -0,0 +1,102 @@
+import { assert } from 'chai';
+
+import { BaseLogger, createArchive, archiveOptions, configuredBackends, retentionPolicy } from '../../../logger/index.js';
+import FileLogger from '../../../logger/file-logger.js';
+import SqliteLogger from '../../../logger/sqlite-logger.js';
+import { resolveConfig } from '../../../config/load-config.js';
+
+describe('archive backends', () => {
+    const options = { logger: console, logsPath: '/logs/events', sqlitePath: ':memory:' };
+
+    it('should register the built-in backends', () => {
+        assert.includeMembers(BaseLogger.backends(), ['redis', 'file', 'sqlite']);
+    });
+
+    it('should build the listed backends in order', async () => {
+        const archive = await createArchive(['sqlite', 'file'], options);
+        assert.deepEqual(Array.from(archive.keys()), ['sqlite', 'file']);
+        assert.instanceOf(archive.get('sqlite'), SqliteLogger);
+        assert.instanceOf(archive.get('file'), FileLogger);
+    });
+
+    it('should build custom backends', async () => {
+        class MemoryLogger extends BaseLogger {
+            messages = new Map();
+            async push(id, message) { this.messages.set(id, message); }
+            async get(id) { return this.messages.get(id); }
+        }
+        BaseLogger.register('memory', ({ logger }) => new MemoryLogger({ logger, enabled: true }));
+
+        const archive = await createArchive(['memory'], options);
+        await archive.get('memory').push('a', { ok: true });
+        assert.deepEqual(await archive.get('memory').get('a'), { ok: true });
+        assert.deepEqual(await archive.get('memory').health(), { healthy: true });
+    });
+
+    it('should refuse unknown or repeated backends', async () => {
+        for (const [names, message] of [[['s3'], /^unknown archive backend s3, registered backends: /], [['file', 'file'], /^archive backend file is listed more than once$/]]) {
+            try {
+                await createArchive(names, options);
+                assert.fail('Should throw async');
+            } catch(err) {
+                assert.match(err.message, message);
+            }
+        }
+    });
+
+    it('should prune by age with the default implementation', async () => {
+        class MemoryLogger extends BaseLogger {
+            messages = new Map([['old', { receivedAt: '2024-01-01T00:00:00Z' }], ['new', { receivedAt: '2024-01-03T00:00:00Z' }]]);
+            async get(id) { return this.messages.get(id); }
+            async list() { return Array.from(this.messages.keys()); }
+            async delete(id) { return this.messages.delete(id); }
+        }
+        const logger = new MemoryLogger({ enabled: true });
+        const now = Date.parse('2024-01-03T12:00:00Z');
+
+        assert.deepEqual(await logger.prune({ maxAge: 86400000, dryRun: true, now }), { matched: 1, removed: 0, bytes: 0 });
+        assert.deepEqual(await logger.prune({ maxAge: 86400000, now }), { matched: 1, removed: 1, bytes: 0 });
+        assert.deepEqual(await logger.list(), ['new']);
+    });
+
+    describe('configuration', () => {
+
+        it('should pick the backends from the options', () => {
+            assert.deepEqual(configuredBackends(resolveConfig('inspect', { archiveBackends: 'sqlite,redis' })), ['sqlite', 'redis']);
+            assert.deepEqual(configuredBackends(resolveConfig('inspect', { redisUrl: 'redis://localhost' })), ['redis', 'file']);
+            assert.deepEqual(configuredBackends(resolveConfig('inspect', { enableFileLogger: 'false' })), []);
+        });
+
+        it('should build the archive options', async () => {
+            const options = await archiveOptions(resolveConfig('inspect', {
+                redisKeyPrefix: 'amqp-migration:{run}:',
+                runId: 'orders-2024',
+                redisTtl: '3600000',
+                fileLoggerMode: 'segment',
+                archiveRedactHeaders: 'authorization'
+            }), console);
+
+            assert.equal(options.redisKeyPrefix, 'amqp-migration:orders-2024:');
+            assert.equal(options.redisTtl, 3600000);
+            assert.equal(options.fileMode, 'segment');
+            assert.equal(options.segment.maxMessages, 100000);
+            assert.isUndefined(options.cipher);
+            assert.isTrue(options.redactor.isEnabled);
+        });
+
+        it('should need a run id for a prefix with {run}', async () => {
+            const config = { ...resolveConfig('migrate', { sourceUrl: 'amqp://source', destinationUrl: 'amqp://dest', sourceQueue: 'q' }), redisKeyPrefix: 'amqp-migration:{run}:' };
+            try {
+                await archiveOptions(config, console);
+                assert.fail('should have thrown');
+            } catch(err) {
+                assert.match(err.message, /RUN_ID is required/);
+            }
+        });
+
+        it('should read the retention policy', () => {
+            assert.deepEqual(retentionPolicy(resolveConfig('inspect', {})), { maxAge: undefined, maxBytes: undefined });
+            assert.deepEqual(retentionPolicy(resolveConfig('prune', { archiveMaxAge: '1000' })), { maxAge: 1000, maxBytes: undefined });
+        });
+    });
+});
@@ -0,0 +1,95 @@
+import { assert } from 'chai';
+import mock from 'mock-fs';
+import { randomBytes } from 'crypto';
+
+import MessageCipher, { loadCipher } from '../../../logger/message-cipher.js';
+
+const key1 = randomBytes(32).toString('base64');
+const key2 = randomBytes(32).toString('base64');
+
+describe('message-cipher', () => {
+
+    it('should encrypt and decrypt a message', () => {
+        const cipher = new MessageCipher({ keys: { k1: key1 }, active: 'k1' });
+        const envelope = cipher.encrypt('{"body":"secret"}');
+
+        assert.isTrue(MessageCipher.isEnvelope(envelope));
+        assert.equal(envelope.encryption, 'aes-256-gcm');
+        assert.equal(envelope.keyId, 'k1');
+        assert.notInclude(JSON.stringify(envelope), 'secret');
+        assert.equal(cipher.decrypt(envelope), '{"body":"secret"}');
+    });
+
+    it('should use a new data key for every message', () => {
+        const cipher = new MessageCipher({ keys: { k1: key1 }, active: 'k1' });
+        const first = cipher.encrypt('same');
+        const second = cipher.encrypt('same');
+        assert.notEqual(first.key, second.key);
+        assert.notEqual(first.data, second.data);
+    });
+
+    it('should decrypt messages encrypted with a rotated key', () => {
+        const before = new MessageCipher({ keys: { k1: key1 }, active: 'k1' });
+        const envelope = before.encrypt('old');
+
+        const after = new MessageCipher({ keys: { k1: key1, k2: key2 }, active: 'k2' });
+        assert.equal(after.decrypt(envelope), 'old');
+        assert.equal(after.encrypt('new').keyId, 'k2');
+
+        const withoutOldKey = new MessageCipher({ keys: { k2: key2 }, active: 'k2' });
+        assert.throws(() => withoutOldKey.decrypt(envelope), /unknown encryption key k1/);
+    });
+
+    it('should refuse an altered envelope', () => {
+        const cipher = new MessageCipher({ keys: { k1: key1 }, active: 'k1' });
+        const envelope = cipher.encrypt('{"amount":10}');
+        const data = Buffer.from(envelope.data, 'base64');
+        data[0] ^= 1;
+        assert.throws(() => cipher.decrypt({ ...envelope, data: data.toString('base64') }));
+        // the key id is authenticated with the data key
+        assert.throws(() => new MessageCipher({ keys: { k1: key1, k2: key1 }, active: 'k1' }).decrypt({ ...envelope, keyId: 'k2' }));
+    });
+
+    it('should validate the keys', () => {
+        assert.throws(() => new MessageCipher({ keys: {}, active: 'k1' }), /at least one key/);
+        assert.throws(() => new MessageCipher({ keys: { k1: key1 }, active: 'k2' }), /active encryption key k2/);
+        assert.throws(() => new MessageCipher({ keys: { k1: 'c2hvcnQ=' }, active: 'k1' }), /encryption key k1 must be 32 bytes/);
+    });
+
+    describe('loadCipher', () => {
+
+        before(() => {
+            mock({
+                '/keys/archive.json': JSON.stringify({ active: 'k2', keys: { k1: key1, k2: key2 } }),
+                '/keys/archive.yaml': `active: k1\nkeys:\n  k1: ${key1}\n`
+            });
+        });
+
+        after(() => {
+            mock.restore();
+        });
+
+        it('should load a key file', async () => {
+            assert.equal((await loadCipher({ keyFile: '/keys/archive.json' })).active, 'k2');
+            assert.equal((await loadCipher({ keyFile: '/keys/archive.yaml' })).active, 'k1');
+        });
+
+        it('should use a single key and its id', async () => {
+            assert.equal((await loadCipher({ key: key1 })).active, 'default');
+            assert.equal((await loadCipher({ key: key1, keyId: '2024-06' })).active, '2024-06');
+        });
+
+        it('should return nothing without a key', async () => {
+            assert.isUndefined(await loadCipher({}));
+        });
+
+        it('should refuse a key and a key file', async () => {
+            try {
+                await loadCipher({ key: key1, keyFile: '/keys/archive.json' });
+                assert.fail('should have thrown');
+            } catch(err) {
+                assert.match(err.message, /not both/);
+            }
+        });
+    });
+});
@@ -0,0 +1,45 @@
+import { assert } from 'chai';
+
+import MessageRedactor, { REDACTED } from '../../../logger/message-redactor.js';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+describe('message-redactor', () => {
+
+    it('should redact headers, case insensitive', () => {
+        const redactor = new MessageRedactor({ headers: ['Authorization'] });
+        const message = { properties: { headers: { authorization: 'Bearer abc', 'x-trace': '1' } }, body: 'x' };
+        const redacted = redactor.redact(message);
+
+        assert.deepEqual(redacted.properties.headers, { authorization: REDACTED, 'x-trace': '1' });
+        // the published message is not changed
+        assert.equal(message.properties.headers.authorization, 'Bearer abc');
+    });
+
+    it('should redact JSON body fields', () => {
+        const redactor = new MessageRedactor({ fields: ['$.customer.email', 'cards[0].number', '$.missing'] });
+        const body = encoder.encode(JSON.stringify({ customer: { email: 'a@b.c', id: 1 }, cards: [{ number: '4111' }] }));
+        const redacted = redactor.redact({ body });
+
+        assert.instanceOf(redacted.body, Uint8Array);
+        assert.deepEqual(JSON.parse(decoder.decode(redacted.body)), {
+            customer: { email: REDACTED, id: 1 },
+            cards: [{ number: REDACTED }]
+        });
+    });
+
+    it('should keep bodies that are not JSON or have no redacted field', () => {
+        const redactor = new MessageRedactor({ fields: ['$.email'] });
+        const binary = new Uint8Array([0x1f, 0x8b, 0xff]);
+        const message = { body: binary };
+        assert.strictEqual(redactor.redact(message), message);
+        assert.strictEqual(redactor.redact({ body: '{"name":"x"}' }).body, '{"name":"x"}');
+    });
+
+    it('should only be enabled with headers or fields', () => {
+        assert.isFalse(new MessageRedactor({}).isEnabled);
+        assert.isTrue(new MessageRedactor({ headers: ['x-token'] }).isEnabled);
+        assert.throws(() => new MessageRedactor({ fields: ['$.'] }), /empty path/);
+    });
+});
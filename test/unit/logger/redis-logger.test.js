@@ -6,15 +6,33 @@ import RedisLogger from '../../../logger/redis-logger.js';
 describe('redis-logger', () => {
     let connectionSuccess;
     let map = new Map();
+    let options = new Map();
     
     function getMockRedis() {
         return {
-            async set(key, value) {
+            async set(key, value, ...args) {
                 map.set(String(key), String(value));
+                options.set(String(key), args);
             },
     
             async get(key) {
                 return map.get(String(key));
+            },
+
+            async exists(key) {
+                return map.has(String(key)) ? 1 : 0;
+            },
+
+            async del(key) {
+                return map.delete(String(key)) ? 1 : 0;
+            },
+
+            status: 'ready',
+
+            async scan(cursor) {
+                // two pages, with a repeated key
+                const keys = Array.from(map.keys());
+                return cursor === '0' ? ['1', keys] : ['0', keys.slice(0, 1)];
             }
         };
     }
@@ -38,6 +56,16 @@ describe('redis-logger', () => {
         assert.deepEqual(result, value);
     });
 
+    it('should push and get a binary body', async () => {
+        const logger = new RedisLogger({ redisUrl: 'fake://test' });
+        const body = new Uint8Array([0x1f, 0x8b, 0xff, 0xfe, 0x00, 0xc3, 0x28]);
+        await logger.push('binary', { routingKey: 'test', body });
+        assert.include(map.get('message:binary'), '"bodyEncoding":"base64"');
+        const result = await logger.get('binary');
+        assert.instanceOf(result.body, Uint8Array);
+        assert.deepEqual(Array.from(result.body), Array.from(body));
+    });
+
     it('should not store anything if connection fails', async() => {
         connectionSuccess = false;
         const logger = new RedisLogger({ redisUrl: 'fake://test' });
@@ -45,4 +73,72 @@ describe('redis-logger', () => {
         const result = await logger.get('test');
         assert.isUndefined(result);
     });
+
+    it('should list the stored message ids', async () => {
+        const logger = new RedisLogger({ redisUrl: 'fake://test' });
+        await logger.push('a', { ok: true });
+        const ids = await logger.list();
+        assert.deepEqual(ids, ['a', 'binary', 'test']);
+    });
+
+    it('should record delivered messages apart from the archive', async () => {
+        const logger = new RedisLogger({ redisUrl: 'fake://test' });
+
+        assert.isFalse(await logger.isDelivered('a'));
+        await logger.markDelivered('a', 60000);
+        assert.isTrue(await logger.isDelivered('a'));
+
+        assert.deepEqual(options.get('delivered:a'), ['PX', 60000]);
+        assert.deepEqual(await logger.list(), ['a', 'binary', 'test']);
+    });
+
+    it('should list a message whose id looks like a dedup or checkpoint key', async () => {
+        const logger = new RedisLogger({ redisUrl: 'fake://test', keyPrefix: 'amqp-migration:run-3:' });
+        await logger.push('delivered:1', { ok: true });
+        await logger.push('checkpoint:1', { ok: true });
+        await logger.markDelivered('1', 60000);
+
+        assert.deepEqual((await logger.list()).sort(), ['checkpoint:1', 'delivered:1']);
+    });
+
+    it('should delete a stored message', async () => {
+        const logger = new RedisLogger({ redisUrl: 'fake://test' });
+        await logger.push('deleted', { ok: true });
+        assert.isTrue(await logger.delete('deleted'));
+        assert.isFalse(await logger.delete('deleted'));
+    });
+
+    it('should namespace the keys and expire them', async () => {
+        const logger = new RedisLogger({ redisUrl: 'fake://test', keyPrefix: 'amqp-migration:run-1:', ttl: 3600000 });
+        await logger.push('x', { ok: true });
+        await logger.markDelivered('x', 60000);
+
+        assert.isTrue(map.has('amqp-migration:run-1:message:x'));
+        assert.deepEqual(options.get('amqp-migration:run-1:message:x'), ['PX', 3600000]);
+        assert.isTrue(map.has('amqp-migration:run-1:delivered:x'));
+        assert.deepEqual(await logger.get('x'), { ok: true });
+        // keys of other runs and applications are not listed
+        assert.deepEqual(await logger.list(), ['x']);
+
+        assert.isTrue(await logger.delete('x'));
+        assert.isFalse(map.has('amqp-migration:run-1:message:x'));
+    });
+
+    it('should save checkpoints apart from the archive', async () => {
+        const logger = new RedisLogger({ redisUrl: 'fake://test', keyPrefix: 'amqp-migration:run-2:' });
+        assert.isUndefined(await logger.loadCheckpoint('run-2'));
+
+        await logger.saveCheckpoint('run-2', { runId: 'run-2', restarts: 1 });
+        assert.deepEqual(await logger.loadCheckpoint('run-2'), { runId: 'run-2', restarts: 1 });
+        assert.deepEqual(options.get('amqp-migration:run-2:checkpoint:run-2'), []);
+        assert.deepEqual(await logger.list(), []);
+    });
+
+    it('should report the connection health', async () => {
+        const logger = new RedisLogger({ redisUrl: 'fake://test' });
+        assert.deepEqual(await logger.health(), { healthy: true });
+
+        connectionSuccess = false;
+        assert.deepEqual(await logger.health(), { healthy: false, error: 'disabled' });
+    });
 });
\ No newline at end of file
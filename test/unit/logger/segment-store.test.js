@@ -0,0 +1,128 @@
+import { assert } from 'chai';
+import mock from 'mock-fs';
+import { readFile, readdir, appendFile } from 'fs/promises';
+import { gunzipSync } from 'zlib';
+
+import SegmentStore, { INDEX_FILE } from '../../../logger/segment-store.js';
+
+const silent = { warn() {}, error() {} };
+
+describe('segment-store', () => {
+
+    beforeEach(() => {
+        mock({ '/logs/events': {} });
+    });
+
+    afterEach(() => {
+        mock.restore();
+    });
+
+    it('should append messages and read them through the index', async () => {
+        const store = new SegmentStore({ path: '/logs/events', logger: silent });
+        await store.append('a', '{"n":1}');
+        await store.append('b', '{"n":2}');
+
+        assert.deepEqual(store.ids(), ['a', 'b']);
+        assert.deepEqual(await store.read(store.locate('b')), { n: 2 });
+
+        const segment = await readFile('/logs/events/segment-000001.ndjson', 'utf8');
+        assert.equal(segment, '{"id":"a","message":{"n":1}}\n{"id":"b","message":{"n":2}}\n');
+        await store.close();
+    });
+
+    it('should keep offsets right with concurrent appends', async () => {
+        const store = new SegmentStore({ path: '/logs/events', logger: silent });
+        await Promise.all(['a', 'b', 'c', 'd'].map((id, n) => store.append(id, JSON.stringify({ n }))));
+
+        for (const [n, id] of ['a', 'b', 'c', 'd'].entries()) {
+            assert.deepEqual(await store.read(store.locate(id)), { n });
+        }
+        await store.close();
+    });
+
+    it('should rotate by message count and by size', async () => {
+        const byCount = new SegmentStore({ path: '/logs/events', maxMessages: 2, logger: silent });
+        for (const id of ['a', 'b', 'c']) {
+            await byCount.append(id, '{}');
+        }
+        assert.equal(byCount.locate('b').segment, 'segment-000001.ndjson');
+        assert.equal(byCount.locate('c').segment, 'segment-000002.ndjson');
+        await byCount.close();
+
+        // the last segment is reopened and already holds more than 10 bytes
+        const bySize = new SegmentStore({ path: '/logs/events', maxBytes: 10, logger: silent });
+        await bySize.append('d', '{}');
+        await bySize.append('e', '{}');
+        assert.equal(bySize.locate('d').segment, 'segment-000003.ndjson');
+        assert.equal(bySize.locate('e').segment, 'segment-000004.ndjson');
+        await bySize.close();
+    });
+
+    it('should gzip closed segments and still read them', async () => {
+        const store = new SegmentStore({ path: '/logs/events', maxMessages: 1, gzip: true, logger: silent });
+        await store.append('a', '{"n":1}');
+        await store.append('b', '{"n":2}');
+        await store.close();
+
+        const files = await readdir('/logs/events');
+        assert.includeMembers(files, ['segment-000001.ndjson.gz', 'segment-000002.ndjson']);
+        assert.notInclude(files, 'segment-000001.ndjson');
+
+        const compressed = gunzipSync(await readFile('/logs/events/segment-000001.ndjson.gz'));
+        assert.equal(compressed.toString(), '{"id":"a","message":{"n":1}}\n');
+        assert.deepEqual(await store.read(store.locate('a')), { n: 1 });
+    });
+
+    it('should reload the index and continue the last segment', async () => {
+        const first = new SegmentStore({ path: '/logs/events', logger: silent });
+        await first.append('a', '{"n":1}');
+        await first.close();
+
+        const second = new SegmentStore({ path: '/logs/events', logger: silent });
+        await second.init();
+        assert.deepEqual(second.ids(), ['a']);
+        await second.append('b', '{"n":2}');
+        assert.equal(second.locate('b').segment, 'segment-000001.ndjson');
+        assert.deepEqual(await second.read(second.locate('a')), { n: 1 });
+        await second.close();
+    });
+
+    it('should index lines written after the last index entry and cut a partial line', async () => {
+        const first = new SegmentStore({ path: '/logs/events', logger: silent });
+        await first.append('a', '{"n":1}');
+        await first.close();
+        // crash between the segment and the index writes, then in the middle of a line
+        await appendFile('/logs/events/segment-000001.ndjson', '{"id":"b","message":{"n":2}}\n{"id":"c","mess');
+
+        const second = new SegmentStore({ path: '/logs/events', logger: silent });
+        await second.init();
+        assert.deepEqual(second.ids(), ['a', 'b']);
+        assert.deepEqual(await second.read(second.locate('b')), { n: 2 });
+
+        await second.append('d', '{"n":4}');
+        assert.deepEqual(await second.read(second.locate('d')), { n: 4 });
+        await second.close();
+    });
+
+    it('should forget removed messages', async () => {
+        const store = new SegmentStore({ path: '/logs/events', logger: silent });
+        await store.append('a', '{}');
+        assert.isTrue(await store.remove('a'));
+        assert.isFalse(await store.remove('a'));
+        await store.close();
+
+        const index = await readFile(`/logs/events/${INDEX_FILE}`, 'utf8');
+        assert.match(index, /"deleted":true/);
+
+        const reloaded = new SegmentStore({ path: '/logs/events', logger: silent });
+        await reloaded.init();
+        assert.deepEqual(reloaded.ids(), []);
+    });
+
+    it('should not create a segment when only reading', async () => {
+        const store = new SegmentStore({ path: '/logs/events', logger: silent });
+        await store.init();
+        await store.close();
+        assert.deepEqual(await readdir('/logs/events'), []);
+    });
+});
@@ -0,0 +1,70 @@
+import { assert } from 'chai';
+
+import SqliteLogger from '../../../logger/sqlite-logger.js';
+
+describe('sqlite-logger', () => {
+    let logger;
+
+    beforeEach(() => {
+        logger = new SqliteLogger({ path: ':memory:' });
+    });
+
+    afterEach(async () => {
+        await logger.close();
+    });
+
+    it('should push and get a message', async () => {
+        const value = { exchange: 'orders', routingKey: 'created', properties: {}, receivedAt: '2024-01-01T00:00:00.000Z' };
+        await logger.push('test', value);
+        assert.deepEqual(await logger.get('test'), value);
+        assert.isUndefined(await logger.get('missing'));
+    });
+
+    it('should push and get a binary body', async () => {
+        const body = new Uint8Array([0x1f, 0x8b, 0xff, 0xfe, 0x00, 0xc3, 0x28]);
+        await logger.push('binary', { routingKey: 'test', body });
+        const result = await logger.get('binary');
+        assert.instanceOf(result.body, Uint8Array);
+        assert.deepEqual(Array.from(result.body), Array.from(body));
+    });
+
+    it('should replace a message pushed twice', async () => {
+        await logger.push('test', { routingKey: 'first' });
+        await logger.push('test', { routingKey: 'second' });
+        assert.deepEqual(await logger.list(), ['test']);
+        assert.equal((await logger.get('test')).routingKey, 'second');
+    });
+
+    it('should list and delete messages', async () => {
+        for (const id of ['b', 'a', 'c']) {
+            await logger.push(id, { routingKey: id });
+        }
+        assert.deepEqual(await logger.list(), ['a', 'b', 'c']);
+
+        assert.isTrue(await logger.delete('b'));
+        assert.isFalse(await logger.delete('b'));
+        assert.deepEqual(await logger.list(), ['a', 'c']);
+    });
+
+    it('should report its health', async () => {
+        assert.deepEqual(await logger.health(), { healthy: true });
+
+        const unwritable = new SqliteLogger({ path: '/missing/folder/archive.sqlite' });
+        const health = await unwritable.health();
+        assert.isFalse(health.healthy);
+        assert.isString(health.error);
+    });
+
+    it('should prune the messages received before the max age', async () => {
+        await logger.push('old', { receivedAt: '2024-01-01T00:00:00.000Z' });
+        await logger.push('new', { receivedAt: '2024-01-03T00:00:00.000Z' });
+        const now = Date.parse('2024-01-03T12:00:00.000Z');
+
+        const dryRun = await logger.prune({ maxAge: 86400000, dryRun: true, now });
+        assert.include(dryRun, { matched: 1, removed: 0 });
+        assert.isAbove(dryRun.bytes, 0);
+
+        assert.include(await logger.prune({ maxAge: 86400000, now }), { matched: 1, removed: 1 });
+        assert.deepEqual(await logger.list(), ['new']);
+    });
+});
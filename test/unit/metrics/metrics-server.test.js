@@ -0,0 +1,69 @@
+import { assert } from 'chai';
+import http from 'http';
+
+import MigrationMetrics from '../../../metrics/metrics.js';
+import { startMetricsServer } from '../../../metrics/metrics-server.js';
+
+function get(port, path) {
+    return new Promise((resolve, reject) => {
+        http.get({ port, path, host: '127.0.0.1' }, (res) => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => body += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+        }).on('error', reject);
+    });
+}
+
+describe('metrics-server', () => {
+    let server;
+    let port;
+    let healthy;
+    const metrics = new MigrationMetrics({ defaultMetrics: false });
+
+    before(async () => {
+        server = await startMetricsServer({
+            port: 0,
+            host: '127.0.0.1',
+            metrics,
+            health: () => ({ healthy, connections: { source: healthy ? 'open' : 'closed', dest: 'open' } })
+        });
+        port = server.address().port;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    it('should expose the migration metrics', async () => {
+        metrics.consumed.inc({ queue: 'test-source' }, 3);
+        metrics.loggerFailures.inc({ backend: 'redis' });
+        metrics.queueDepth.set({ queue: 'test-source' }, 42);
+        metrics.publishLatency.observe({ queue: 'test-source' }, 0.02);
+
+        const { status, headers, body } = await get(port, '/metrics');
+        assert.equal(status, 200);
+        assert.include(headers['content-type'], 'text/plain');
+        assert.include(body, 'amqp_migration_messages_consumed_total{queue="test-source"} 3');
+        assert.include(body, 'amqp_migration_logger_write_failures_total{backend="redis"} 1');
+        assert.include(body, 'amqp_migration_source_queue_depth{queue="test-source"} 42');
+        assert.include(body, 'amqp_migration_publish_duration_seconds_count{queue="test-source"} 1');
+    });
+
+    it('should report the connections on /healthz', async () => {
+        healthy = true;
+        const up = await get(port, '/healthz');
+        assert.equal(up.status, 200);
+        assert.deepEqual(JSON.parse(up.body), { healthy: true, connections: { source: 'open', dest: 'open' } });
+
+        healthy = false;
+        const down = await get(port, '/healthz');
+        assert.equal(down.status, 503);
+        assert.equal(JSON.parse(down.body).connections.source, 'closed');
+    });
+
+    it('should answer 404 on unknown paths', async () => {
+        const { status } = await get(port, '/unknown');
+        assert.equal(status, 404);
+    });
+});
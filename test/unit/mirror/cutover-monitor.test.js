@@ -0,0 +1,55 @@
+import { assert } from 'chai';
+import mock from 'mock-fs';
+import { readFile } from 'fs/promises';
+
+import CutoverMonitor, { writeStatusFile } from '../../../mirror/cutover-monitor.js';
+
+describe('cutover-monitor', () => {
+
+    it('should be ready once the backlog stayed under the threshold', () => {
+        const monitor = new CutoverMonitor({ maxBacklog: 10, stableFor: 1000 });
+
+        assert.isFalse(monitor.update({ backlog: 50, lag: 0, now: 0 }));
+        assert.isFalse(monitor.update({ backlog: 5, lag: 0, now: 100 }));
+        assert.isFalse(monitor.ready);
+        assert.equal(monitor.belowSince, new Date(100).toISOString());
+
+        assert.isTrue(monitor.update({ backlog: 8, lag: 0, now: 1100 }));
+        assert.isTrue(monitor.ready);
+        assert.equal(monitor.readySince, new Date(1100).toISOString());
+        assert.isFalse(monitor.update({ backlog: 0, lag: 0, now: 2000 }));
+    });
+
+    it('should lose the readiness as soon as the backlog grows', () => {
+        const monitor = new CutoverMonitor({ maxBacklog: 0, stableFor: 0 });
+
+        assert.isTrue(monitor.update({ backlog: 0, lag: 0, now: 0 }));
+        assert.isTrue(monitor.update({ backlog: 1, lag: 0, now: 10 }));
+        assert.isFalse(monitor.ready);
+        assert.isUndefined(monitor.readySince);
+        assert.isUndefined(monitor.belowSince);
+    });
+
+    it('should check the lag when it has a threshold', () => {
+        const monitor = new CutoverMonitor({ maxBacklog: 100, maxLag: 2000, stableFor: 0 });
+
+        assert.isFalse(monitor.update({ backlog: 0, lag: 5000, now: 0 }));
+        assert.isTrue(monitor.update({ backlog: 0, lag: 1500, now: 10 }));
+
+        // the depth of a queue could not be sampled
+        assert.isTrue(monitor.update({ backlog: Infinity, lag: 0, now: 20 }));
+        assert.isFalse(monitor.ready);
+        assert.deepEqual(monitor.toJSON().thresholds, { maxBacklog: 100, maxLag: 2000, stableFor: 0 });
+    });
+
+    it('should replace the status file', async () => {
+        mock({ '/status': {} });
+        try {
+            await writeStatusFile('/status/mirror.json', { ready: false });
+            await writeStatusFile('/status/mirror.json', { ready: true });
+            assert.deepEqual(JSON.parse(await readFile('/status/mirror.json', 'utf8')), { ready: true });
+        } finally {
+            mock.restore();
+        }
+    });
+});
@@ -0,0 +1,33 @@
+import { assert } from 'chai';
+
+import ReplicationLag from '../../../mirror/replication-lag.js';
+
+describe('replication-lag', () => {
+    const now = Date.parse('2024-01-01T00:00:10Z');
+
+    it('should measure the lag from the message timestamp', () => {
+        const lag = new ReplicationLag('orders');
+
+        assert.equal(lag.record(new Date('2024-01-01T00:00:07Z'), now), 3000);
+        assert.equal(lag.record('2024-01-01T00:00:09Z', now), 1000);
+        assert.equal(lag.record(now + 500, now), 0);
+
+        assert.deepEqual(lag.window(), { queue: 'orders', last: 0, max: 3000, average: 1333, samples: 3, unmeasured: 0 });
+    });
+
+    it('should reset the window but keep the last lag', () => {
+        const lag = new ReplicationLag('orders');
+        lag.record(now - 2000, now);
+        lag.window();
+
+        assert.deepEqual(lag.window(), { queue: 'orders', last: 2000, max: 0, average: 0, samples: 0, unmeasured: 0 });
+    });
+
+    it('should count messages without timestamp', () => {
+        const lag = new ReplicationLag('orders');
+
+        assert.isUndefined(lag.record(undefined, now));
+        assert.isUndefined(lag.record('not a date', now));
+        assert.equal(lag.window().unmeasured, 2);
+    });
+});
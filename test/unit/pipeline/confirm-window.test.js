@@ -0,0 +1,129 @@
+import { assert } from 'chai';
+import { setImmediate as tick } from 'timers/promises';
+
+import ConfirmWindow from '../../../pipeline/confirm-window.js';
+
+describe('confirm-window', () => {
+    let acks;
+    let acked;
+
+    function createWindow(size) {
+        acks = [];
+        acked = 0;
+        return new ConfirmWindow({
+            size,
+            ack: async (deliveryTag, multiple) => { acks.push([deliveryTag, multiple]); },
+            onAck: (count) => acked += count
+        });
+    }
+
+    it('should ack confirmed messages in a single batch', async () => {
+        const window = createWindow(10);
+        [1, 2, 3].forEach((tag) => window.track(tag));
+        window.confirm(3);
+        window.confirm(1);
+        window.confirm(2);
+        await tick();
+
+        assert.deepEqual(acks, [[3, true]]);
+        assert.equal(acked, 3);
+        assert.equal(window.inFlight, 0);
+    });
+
+    it('should not ack past a pending message', async () => {
+        const window = createWindow(10);
+        [1, 2, 3].forEach((tag) => window.track(tag));
+        window.confirm(1);
+        window.confirm(3);
+        await tick();
+
+        assert.deepEqual(acks, [[1, true]]);
+        assert.equal(window.inFlight, 2);
+
+        window.confirm(2);
+        await tick();
+        assert.deepEqual(acks, [[1, true], [3, true]]);
+    });
+
+    it('should skip messages settled on their own', async () => {
+        const window = createWindow(10);
+        [1, 2, 3].forEach((tag) => window.track(tag));
+        window.settle(1);
+        window.confirm(2);
+        window.settle(3);
+        await tick();
+
+        assert.deepEqual(acks, [[2, true]]);
+        assert.equal(acked, 1);
+        assert.equal(window.inFlight, 0);
+    });
+
+    it('should not ack when every message was settled on its own', async () => {
+        const window = createWindow(10);
+        window.track(1);
+        window.settle(1);
+        await tick();
+        assert.isEmpty(acks);
+        assert.equal(window.inFlight, 0);
+    });
+
+    it('should tell the pending messages apart', () => {
+        const window = createWindow(10);
+        [1, 2, 3].forEach((tag) => window.track(tag));
+        window.confirm(1);
+        window.settle(2);
+
+        assert.isFalse(window.pending(1));
+        assert.isFalse(window.pending(2));
+        assert.isTrue(window.pending(3));
+        assert.isFalse(window.pending(4));
+    });
+
+    it('should hold new messages while the window is full', async () => {
+        const window = createWindow(2);
+        let acquired = 0;
+
+        for (const tag of [1, 2]) {
+            await window.acquire();
+            window.track(tag);
+        }
+        window.acquire().then(() => acquired++);
+        await tick();
+        assert.equal(acquired, 0);
+
+        window.confirm(1);
+        await tick();
+        await tick();
+        assert.equal(acquired, 1);
+    });
+
+    it('should pass the keys of the acked messages', async () => {
+        let ackedKeys;
+        const window = new ConfirmWindow({
+            size: 10,
+            ack: async () => {},
+            onAck: (count, keys) => ackedKeys = keys
+        });
+        [1, 2, 3].forEach((tag) => window.track(tag));
+        window.confirm(1, 'a');
+        window.confirm(2);
+        window.confirm(3, 'c');
+        await tick();
+
+        assert.deepEqual(ackedKeys, ['a', 'c']);
+    });
+
+    it('should report ack failures', async () => {
+        const errors = [];
+        const window = new ConfirmWindow({
+            size: 1,
+            ack: async () => { throw new Error('Channel is closed'); },
+            onError: (err) => errors.push(err.message)
+        });
+        window.track(1);
+        window.confirm(1);
+        await tick();
+        assert.deepEqual(errors, ['Channel is closed']);
+        assert.equal(window.inFlight, 0);
+    });
+});
@@ -0,0 +1,45 @@
+import { assert } from 'chai';
+
+import DeliveryLedger from '../../../pipeline/delivery-ledger.js';
+
+describe('delivery-ledger', () => {
+    it('should forget acked messages', () => {
+        const ledger = new DeliveryLedger();
+        ledger.published('a');
+        ledger.published('b');
+        ledger.acked(['a', 'b']);
+
+        assert.equal(ledger.size, 0);
+        assert.isUndefined(ledger.take('a'));
+    });
+
+    it('should report published messages that were not acked', () => {
+        const ledger = new DeliveryLedger();
+        ledger.published('a');
+
+        assert.equal(ledger.take('a'), 'published');
+        assert.isUndefined(ledger.take('a'));
+    });
+
+    it('should count identical messages', () => {
+        const ledger = new DeliveryLedger();
+        ledger.published('same');
+        ledger.published('same');
+        ledger.acked(['same']);
+
+        assert.equal(ledger.take('same'), 'published');
+        // the second copy was acked, it must be published if it comes back
+        assert.isUndefined(ledger.take('same'));
+    });
+
+    it('should report messages with an unknown outcome', () => {
+        const ledger = new DeliveryLedger();
+        ledger.uncertain('a');
+        ledger.published('b');
+        assert.equal(ledger.size, 2);
+
+        assert.equal(ledger.take('a'), 'uncertain');
+        assert.equal(ledger.take('b'), 'published');
+        assert.equal(ledger.size, 0);
+    });
+});
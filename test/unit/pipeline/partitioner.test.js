@@ -0,0 +1,40 @@
+import { assert } from 'chai';
+
+import Partitioner from '../../../pipeline/partitioner.js';
+
+describe('partitioner', () => {
+    const message = (routingKey, headers) => ({ exchange: 'orders', routingKey, properties: { headers } });
+
+    it('should partition by routing key', () => {
+        const partitioner = new Partitioner({ by: 'routing-key', partitions: 4 });
+
+        assert.equal(partitioner.keyOf(message('eu.orders')), 'eu.orders');
+        assert.equal(partitioner.partitionOf(message('eu.orders')), partitioner.partitionOf(message('eu.orders', { tenant: 'acme' })));
+    });
+
+    it('should partition by header', () => {
+        const partitioner = new Partitioner({ by: 'header:x-customer-id', partitions: 4 });
+
+        assert.equal(partitioner.keyOf(message('a', { 'x-customer-id': 42 })), '42');
+        assert.equal(partitioner.keyOf(message('a', {})), '');
+        assert.equal(partitioner.keyOf({ routingKey: 'a', properties: {} }), '');
+        assert.equal(partitioner.partitionOf(message('a', { 'x-customer-id': 42 })), partitioner.partitionOf(message('b', { 'x-customer-id': '42' })));
+    });
+
+    it('should spread the keys over every partition', () => {
+        const partitioner = new Partitioner({ by: 'routing-key', partitions: 4 });
+        const used = new Set();
+        for (let i = 0; i < 100; i++) {
+            const partition = partitioner.partitionOf(message(`customer-${i}`));
+            assert.isAtLeast(partition, 0);
+            assert.isBelow(partition, 4);
+            used.add(partition);
+        }
+        assert.equal(used.size, 4);
+    });
+
+    it('should refuse an unknown key', () => {
+        assert.throws(() => new Partitioner({ by: 'body', partitions: 2 }), 'messages can be partitioned by routing-key or header:<name>, got body');
+        assert.throws(() => new Partitioner({ by: 'routing-key', partitions: 0 }), 'there must be at least one partition');
+    });
+});
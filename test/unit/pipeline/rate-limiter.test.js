@@ -0,0 +1,30 @@
+import { assert } from 'chai';
+
+import RateLimiter, { sizeOf } from '../../../pipeline/rate-limiter.js';
+
+describe('rate-limiter', () => {
+    const now = () => 0;
+
+    it('should wait for the slowest limit', () => {
+        const limiter = new RateLimiter({ messagesPerSecond: 100, bytesPerSecond: 1000, now });
+
+        assert.equal(limiter.reserve(1000), 0);
+        // 1 message over the 100 tokens would wait 10ms, 500 bytes in debt 500ms
+        assert.equal(limiter.reserve(500), 500);
+    });
+
+    it('should only limit what is set', () => {
+        const messages = new RateLimiter({ messagesPerSecond: 1, now });
+        assert.equal(messages.reserve(1e9), 0);
+        assert.equal(messages.reserve(0), 1000);
+
+        assert.isFalse(new RateLimiter({}).enabled);
+        assert.equal(new RateLimiter({}).reserve(1e9), 0);
+    });
+
+    it('should measure the bodies in bytes', () => {
+        assert.equal(sizeOf('héllo'), 6);
+        assert.equal(sizeOf(new Uint8Array(4)), 4);
+        assert.equal(sizeOf(null), 0);
+    });
+});
@@ -0,0 +1,46 @@
+import { assert } from 'chai';
+
+import TokenBucket from '../../../pipeline/token-bucket.js';
+
+describe('token-bucket', () => {
+    let now;
+    const clock = () => now;
+
+    beforeEach(() => {
+        now = 0;
+    });
+
+    it('should allow a burst of one second of rate', () => {
+        const bucket = new TokenBucket({ rate: 10, now: clock });
+
+        for (let i = 0; i < 10; i++) {
+            assert.equal(bucket.reserve(), 0);
+        }
+        assert.equal(bucket.reserve(), 100);
+    });
+
+    it('should make every caller in debt wait for its own share', () => {
+        const bucket = new TokenBucket({ rate: 10, burst: 1, now: clock });
+
+        assert.equal(bucket.reserve(), 0);
+        assert.equal(bucket.reserve(), 100);
+        assert.equal(bucket.reserve(), 200);
+    });
+
+    it('should refill at the rate, up to the burst', () => {
+        const bucket = new TokenBucket({ rate: 1000, burst: 500, now: clock });
+        assert.equal(bucket.reserve(500), 0);
+
+        now = 250;
+        assert.equal(bucket.reserve(250), 0);
+        assert.equal(bucket.reserve(100), 100);
+
+        now = 10000;
+        assert.equal(bucket.reserve(500), 0);
+        assert.equal(bucket.reserve(1), 1);
+    });
+
+    it('should refuse a rate of 0', () => {
+        assert.throws(() => new TokenBucket({ rate: 0 }), 'token bucket rate must be positive');
+    });
+});
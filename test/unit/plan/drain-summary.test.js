@@ -0,0 +1,49 @@
+import { assert } from 'chai';
+
+import { summarizeDrain } from '../../../plan/drain-summary.js';
+
+describe('drain-summary', () => {
+    const startedAt = new Date('2024-01-01T00:00:00.000Z');
+    const finishedAt = new Date('2024-01-01T00:00:10.000Z');
+    const queue = (source, counters) => ({
+        queue: source, initialCount: 0, consumed: 0, published: 0, failed: 0,
+        returned: 0, deadLettered: 0, dropped: 0, unmatched: 0, skipped: 0, looped: 0, ...counters
+    });
+
+    it('should add up the counters of every queue', () => {
+        const queues = [
+            queue('orders', { initialCount: 60, consumed: 62, published: 60, failed: 2 }),
+            queue('invoices', { initialCount: 40, consumed: 40, published: 35, dropped: 5 })
+        ];
+        const summary = summarizeDrain(queues, { status: 'drained', startedAt, finishedAt });
+
+        assert.deepEqual(summary, {
+            status: 'drained',
+            startedAt: '2024-01-01T00:00:00.000Z',
+            finishedAt: '2024-01-01T00:00:10.000Z',
+            durationSeconds: 10,
+            throughput: 9.5,
+            totals: { consumed: 102, published: 95, returned: 0, failed: 2, deadLettered: 0, dropped: 5, unmatched: 0, skipped: 0, looped: 0 },
+            queues
+        });
+    });
+
+    it('should report returned or dead-lettered messages as incomplete', () => {
+        const returned = summarizeDrain([queue('orders', { returned: 1 })], { status: 'drained', startedAt, finishedAt });
+        assert.equal(returned.status, 'incomplete');
+
+        const deadLettered = summarizeDrain([queue('orders', { deadLettered: 1 })], { status: 'drained', startedAt, finishedAt });
+        assert.equal(deadLettered.status, 'incomplete');
+    });
+
+    it('should keep failed statuses', () => {
+        const summary = summarizeDrain([queue('orders', { returned: 1 })], { status: 'timeout', startedAt, finishedAt });
+        assert.equal(summary.status, 'timeout');
+    });
+
+    it('should not divide by a zero duration', () => {
+        const summary = summarizeDrain([], { status: 'failed', startedAt, finishedAt: startedAt });
+        assert.equal(summary.throughput, 0);
+        assert.equal(summary.totals.published, 0);
+    });
+});
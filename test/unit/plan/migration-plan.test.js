@@ -0,0 +1,92 @@
+import { assert } from 'chai';
+import mock from 'mock-fs';
+
+import MigrationPlan from '../../../plan/migration-plan.js';
+
+describe('migration-plan', () => {
+
+    before(() => {
+        mock({
+            '/plans/plan.json': JSON.stringify({
+                defaults: { exclusive: false },
+                queues: [
+                    { source: 'orders', destination: 'orders-v2' },
+                    { source: 'invoices', exclusive: true },
+                    'payments'
+                ]
+            }),
+            '/plans/plan.yaml': [
+                'queues:',
+                '  - source: orders',
+                '    destination: orders-v2',
+                '    channel: 3',
+                '  - source: invoices'
+            ].join('\n'),
+            '/plans/empty.json': '{"queues": []}'
+        });
+    });
+
+    after(() => {
+        mock.restore();
+    });
+
+    it('should load a JSON plan and apply the defaults', async () => {
+        const plan = await MigrationPlan.fromFile('/plans/plan.json');
+        assert.deepEqual(plan.queues, [
+            { source: 'orders', destination: 'orders-v2', exclusive: false },
+            { source: 'invoices', exclusive: true },
+            { source: 'payments', exclusive: false }
+        ]);
+    });
+
+    it('should load a YAML plan', async () => {
+        const plan = await MigrationPlan.fromFile('/plans/plan.yaml');
+        assert.deepEqual(plan.queues, [
+            { source: 'orders', destination: 'orders-v2', channel: 3 },
+            { source: 'invoices' }
+        ]);
+    });
+
+    it('should refuse a plan without queues', async () => {
+        try {
+            await MigrationPlan.fromFile('/plans/empty.json');
+            assert.fail('Should throw async');
+        } catch(err) {
+            assert.equal(err.message, 'plan must list at least one queue');
+        }
+    });
+
+    it('should refuse a source queue listed twice', () => {
+        assert.throws(
+            () => new MigrationPlan({ queues: ['orders', { source: 'orders' }] }),
+            'source queue orders is listed more than once'
+        );
+    });
+
+    it('should apply the defaults to the reverse queues', () => {
+        const plan = new MigrationPlan({
+            defaults: { exclusive: false },
+            queues: ['orders'],
+            reverse: ['orders-v2', { source: 'refunds', destination: 'refunds-legacy' }]
+        });
+        assert.deepEqual(plan.reverse, [
+            { source: 'orders-v2', exclusive: false },
+            { source: 'refunds', destination: 'refunds-legacy', exclusive: false }
+        ]);
+        assert.deepEqual(MigrationPlan.fromQueue({ source: 'orders' }).reverse, []);
+    });
+
+    it('should refuse a reverse queue listed twice', () => {
+        assert.throws(
+            () => new MigrationPlan({ queues: ['orders'], reverse: ['refunds', 'refunds'] }),
+            'source queue refunds is listed more than once'
+        );
+    });
+
+    it('should refuse a queue without source', () => {
+        assert.throws(
+            () => MigrationPlan.fromQueue({ destination: 'orders' }),
+            'plan queue #0 must have a source'
+        );
+    });
+});
@@ -0,0 +1,21 @@
+import { assert } from 'chai';
+
+import { stampId } from '../../publisher.js';
+
+describe('publisher', () => {
+    const data = { exchange: 'orders', routingKey: 'eu', properties: { headers: { 'x-trace': '1' } }, body: 'x' };
+
+    it('should stamp the archive id in the id header', () => {
+        const stamped = stampId(data, 'id-1', { idStamp: 'header', idHeader: 'x-migration-id' });
+        assert.deepEqual(stamped.properties.headers, { 'x-trace': '1', 'x-migration-id': 'id-1' });
+        assert.notProperty(data.properties.headers, 'x-migration-id');
+    });
+
+    it('should stamp the message id only if the message has none', () => {
+        assert.equal(stampId(data, 'id-1', { idStamp: 'message-id' }).properties.messageId, 'id-1');
+
+        const withId = { ...data, properties: { messageId: 'own' } };
+        assert.equal(stampId(withId, 'id-1', { idStamp: 'message-id' }).properties.messageId, 'own');
+        assert.strictEqual(stampId(data, 'id-1', { idStamp: 'none' }), data);
+    });
+});
@@ -0,0 +1,59 @@
+import { assert } from 'chai';
+
+import { createArchiveFilter, compareIds } from '../../../replay/archive-filter.js';
+
+describe('archive-filter', () => {
+    const record = {
+        exchange: 'test-exchange',
+        routingKey: 'orders.created',
+        properties: {},
+        receivedAt: '2022-04-20T10:00:00.000Z'
+    };
+
+    it('should compare numeric ids as numbers', () => {
+        assert.isBelow(compareIds('999', '1000'), 0);
+        assert.isAbove(compareIds('1650448800001', '1650448800000'), 0);
+        assert.equal(compareIds('abc', 'abc'), 0);
+        assert.isBelow(compareIds('abc', 'abd'), 0);
+    });
+
+    it('should match everything but returned copies by default', () => {
+        const filter = createArchiveFilter();
+        assert.isTrue(filter.matchesId('1650448800000'));
+        assert.isFalse(filter.matchesId('returned-1650448800000'));
+        assert.isTrue(filter.matches(record));
+    });
+
+    it('should filter by id range', () => {
+        const filter = createArchiveFilter({ fromId: '100', toId: '200', includeReturned: true });
+        assert.isFalse(filter.matchesId('99'));
+        assert.isTrue(filter.matchesId('100'));
+        assert.isTrue(filter.matchesId('returned-150'));
+        assert.isTrue(filter.matchesId('200'));
+        assert.isFalse(filter.matchesId('1000'));
+    });
+
+    it('should filter by exchange and routing key', () => {
+        assert.isTrue(createArchiveFilter({ exchange: 'test-exchange' }).matches(record));
+        assert.isFalse(createArchiveFilter({ exchange: 'fail-exchange' }).matches(record));
+        assert.isTrue(createArchiveFilter({ routingKey: 'orders.created' }).matches(record));
+        assert.isFalse(createArchiveFilter({ routingKey: 'orders.deleted' }).matches(record));
+    });
+
+    it('should filter by received time', () => {
+        assert.isTrue(createArchiveFilter({ since: '2022-04-20T00:00:00Z' }).matches(record));
+        assert.isFalse(createArchiveFilter({ since: '2022-04-21T00:00:00Z' }).matches(record));
+        assert.isTrue(createArchiveFilter({ until: new Date('2022-04-21T00:00:00Z') }).matches(record));
+        assert.isFalse(createArchiveFilter({ until: '2022-04-20T09:00:00Z' }).matches(record));
+    });
+
+    it('should fall back to the timestamp property', () => {
+        const legacy = { properties: { timestamp: '2022-04-20T10:00:00.000Z' } };
+        assert.isTrue(createArchiveFilter({ since: '2022-04-20T00:00:00Z' }).matches(legacy));
+        assert.isFalse(createArchiveFilter({ since: '2022-04-20T00:00:00Z' }).matches({ properties: {} }));
+    });
+
+    it('should refuse invalid dates', () => {
+        assert.throws(() => createArchiveFilter({ since: 'yesterday' }), 'since must be a valid date');
+    });
+});
@@ -0,0 +1,34 @@
+import { assert } from 'chai';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { replay } from '../../replayer.js';
+import FileLogger from '../../logger/file-logger.js';
+import MessageRedactor from '../../logger/message-redactor.js';
+
+describe('replayer', () => {
+    let folder;
+
+    beforeEach(async () => {
+        folder = await mkdtemp(join(tmpdir(), 'replayer-'));
+
+        const archive = new FileLogger({ logsPath: folder, redactor: new MessageRedactor({ headers: ['authorization'] }), logger: { warn() {}, error() {} } });
+        await archive.push('plain-1', { exchange: '', routingKey: 'orders', properties: { headers: {} }, body: 'one' });
+        await archive.push('redacted-1', { exchange: '', routingKey: 'orders', properties: { headers: { authorization: 'token' } }, body: 'two' });
+    });
+
+    afterEach(async () => {
+        await rm(folder, { recursive: true, force: true });
+    });
+
+    const options = (extra = {}) => ({ destinationUrl: 'amqp://localhost', fileLogsPath: folder, replayDryRun: true, logLevel: 'silent', ...extra });
+
+    it('should not replay the messages redacted in the archive', async () => {
+        assert.deepEqual(await replay(options()), { matched: 2, replayed: 0, failed: 0, redacted: 1 });
+    });
+
+    it('should replay the redacted messages with replayRedacted', async () => {
+        assert.deepEqual(await replay(options({ replayRedacted: true })), { matched: 2, replayed: 0, failed: 0, redacted: 0 });
+    });
+});
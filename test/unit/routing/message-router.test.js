@@ -0,0 +1,101 @@
+import { assert } from 'chai';
+import mock from 'mock-fs';
+
+import MessageRouter, { matchWords } from '../../../routing/message-router.js';
+
+const encoder = new TextEncoder();
+
+describe('message-router', () => {
+    const message = ({ routingKey = 'orders.created.eu', headers, contentType = 'application/json', body = {} } = {}) => ({
+        exchange: 'orders',
+        routingKey,
+        properties: { headers, contentType },
+        body: encoder.encode(JSON.stringify(body))
+    });
+
+    it('should match topic style routing key patterns', () => {
+        const match = (pattern, routingKey) => matchWords(pattern.split('.'), routingKey.split('.'));
+
+        assert.isTrue(match('orders.*.eu', 'orders.created.eu'));
+        assert.isFalse(match('orders.*', 'orders.created.eu'));
+        assert.isTrue(match('orders.#', 'orders.created.eu'));
+        assert.isTrue(match('orders.#', 'orders'));
+        assert.isTrue(match('#.eu', 'orders.created.eu'));
+        assert.isTrue(match('#', ''));
+        assert.isFalse(match('invoices.#', 'orders.created'));
+    });
+
+    it('should pick the first matching route', () => {
+        const router = new MessageRouter({
+            routes: [
+                { match: { routingKey: 'orders.*.us' }, queue: 'orders-us' },
+                { match: { routingKey: ['orders.*.eu', 'orders.*.uk'] }, exchange: 'orders-v2', routingKey: 'eu' },
+                { match: { routingKey: 'orders.#' } }
+            ],
+            unmatched: 'requeue'
+        });
+
+        assert.deepEqual(router.route(message()), { action: 'publish', exchange: 'orders-v2', routingKey: 'eu', route: 1 });
+        assert.deepEqual(router.route(message({ routingKey: 'orders.created.us' })), { action: 'publish', queue: 'orders-us', route: 0 });
+        assert.deepEqual(router.route(message({ routingKey: 'orders.created' })), { action: 'publish', route: 2 });
+        assert.deepEqual(router.route(message({ routingKey: 'invoices.created' })), { action: 'requeue', delay: 1000 });
+    });
+
+    it('should match headers and content type', () => {
+        const router = new MessageRouter({
+            routes: [{ match: { headers: { tenant: ['acme', 'globex'], version: 2 }, contentType: 'application/json' }, queue: 'tenants' }],
+            unmatched: 'archive'
+        });
+
+        assert.equal(router.route(message({ headers: { tenant: 'acme', version: 2 } })).queue, 'tenants');
+        assert.equal(router.route(message({ headers: { tenant: 'globex', version: '2' } })).queue, 'tenants');
+        assert.equal(router.route(message({ headers: { tenant: 'initech', version: 2 } })).action, 'archive');
+        assert.equal(router.route(message({ headers: { tenant: 'acme' } })).action, 'archive');
+        assert.equal(router.route(message({ headers: { tenant: 'acme', version: 2 }, contentType: 'text/plain' })).action, 'archive');
+    });
+
+    it('should match JSON paths in the body', () => {
+        const router = new MessageRouter({
+            routes: [{ match: { body: { '$.customer.region': 'eu', 'items[0].sku': 'A1' } }, queue: 'eu' }],
+            unmatched: { action: 'forward', exchange: 'legacy' }
+        });
+
+        assert.equal(router.route(message({ body: { customer: { region: 'eu' }, items: [{ sku: 'A1' }] } })).queue, 'eu');
+        assert.deepEqual(router.route(message({ body: { customer: { region: 'us' }, items: [{ sku: 'A1' }] } })), { action: 'publish', exchange: 'legacy' });
+        assert.equal(router.route(message({ body: { customer: 'eu' } })).action, 'publish');
+        assert.deepEqual(router.route({ ...message(), body: encoder.encode('not json') }), { action: 'publish', exchange: 'legacy' });
+    });
+
+    it('should refuse invalid routing', () => {
+        assert.throws(() => new MessageRouter({ routes: [] , unmatched: 'archive' }), 'routing must list at least one route');
+        assert.throws(() => new MessageRouter({ routes: [{}] }), 'routing must set the unmatched disposition');
+        assert.throws(() => new MessageRouter({ routes: [{}], unmatched: 'drop' }), /^unmatched action must be one of/);
+        assert.throws(() => new MessageRouter({ routes: [{}], unmatched: 'forward' }), 'unmatched forward needs a queue or an exchange');
+        assert.throws(() => new MessageRouter({ routes: [{ queue: 'a', exchange: 'b' }], unmatched: 'archive' }), 'route #0 can not set both a queue and an exchange');
+    });
+
+    describe('fromFile', () => {
+        before(() => {
+            mock({
+                '/routing/routes.yaml': [
+                    'routes:',
+                    '  - match:',
+                    '      routingKey: orders.#',
+                    '    queue: orders-v2',
+                    'unmatched:',
+                    '  action: dead-letter'
+                ].join('\n')
+            });
+        });
+
+        after(() => {
+            mock.restore();
+        });
+
+        it('should load YAML routes', async () => {
+            const router = await MessageRouter.fromFile('/routing/routes.yaml');
+            assert.equal(router.route(message()).queue, 'orders-v2');
+            assert.equal(router.route(message({ routingKey: 'invoices' })).action, 'dead-letter');
+        });
+    });
+});
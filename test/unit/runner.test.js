@@ -0,0 +1,300 @@
+import { assert } from 'chai';
+import { mkdtemp, mkdir, readFile, readdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import sinon from 'sinon';
+
+import { createRunner } from '../../runner.js';
+import NdjsonFileAdapter from '../../adapters/ndjson-file-adapter.js';
+import FileLogger from '../../logger/file-logger.js';
+import FileDedupIndex from '../../dedup/file-dedup-index.js';
+import FileCheckpointStore from '../../checkpoint/file-checkpoint-store.js';
+import { verify } from '../../verifier.js';
+
+const hook = fileURLToPath(new URL('../data/runner-hook.js', import.meta.url));
+const dropHook = fileURLToPath(new URL('../data/transform-hook.js', import.meta.url));
+
+describe('runner', () => {
+    let folder;
+
+    beforeEach(async () => {
+        folder = await mkdtemp(join(tmpdir(), 'runner-'));
+        await mkdir(join(folder, 'source'));
+        await mkdir(join(folder, 'archive'));
+    });
+
+    afterEach(async () => {
+        sinon.restore();
+        await rm(folder, { recursive: true, force: true });
+    });
+
+    /**
+     * @param {object} message
+     * @returns {string} NDJSON line of the source file
+     */
+    function line({ routingKey = 'orders', messageId, headers, body = 'hello' }) {
+        return JSON.stringify({ exchange: '', routingKey, properties: { messageId, headers }, body });
+    }
+
+    /**
+     * @param {string} name - file of the folder
+     * @param {string} [subfolder]
+     * @returns {Promise<object[]>} messages of an NDJSON file, with their body as text
+     */
+    async function readMessages(name, subfolder = 'destination') {
+        const content = await readFile(join(folder, subfolder, name), 'utf8');
+        return content.trim().split('\n').map((text) => {
+            const message = JSON.parse(text);
+            return { ...message, body: Buffer.from(message.body, 'base64').toString() };
+        });
+    }
+
+    /**
+     * drains source/orders.ndjson to destination/orders-copy.ndjson
+     * @param {object[]} messages - source lines
+     * @param {object} [options] - runner options
+     * @param {function(Runner): void} [setup] - called before the drain starts
+     * @returns {Promise<{ summary: object, runner: Runner }>}
+     */
+    async function drain(messages, options = {}, setup = () => {}) {
+        await writeFile(join(folder, 'source', 'orders.ndjson'), messages.map(line).join('\n') + '\n');
+
+        const runner = await createRunner({
+            sourceUrl: pathToFileURL(join(folder, 'source')).href,
+            destinationUrl: pathToFileURL(join(folder, 'destination')).href,
+            sourceQueue: 'orders',
+            destinationQueue: 'orders-copy',
+            fileLogsPath: join(folder, 'archive'),
+            drainCheckInterval: 10,
+            retryBackoff: 1,
+            retryBackoffMax: 1,
+            retryOnFail: false,
+            logLevel: 'silent',
+            ...options
+        });
+        setup(runner);
+        const summary = await runner.drain();
+        await runner.shutdown();
+        return { summary, runner };
+    }
+
+    it('should copy the messages and archive them', async () => {
+        const { summary } = await drain([{ messageId: 'copy-1', body: 'one' }, { messageId: 'copy-2', body: 'two' }]);
+
+        assert.equal(summary.status, 'drained');
+        assert.include(summary.totals, { consumed: 2, published: 2 });
+        const copied = await readMessages('orders-copy.ndjson');
+        assert.deepEqual(copied.map(({ body }) => body), ['one', 'two']);
+        assert.equal(copied[0].properties.headers['x-migration-id'], 'copy-1');
+        assert.sameMembers(await readdir(join(folder, 'archive')), ['msg-copy-1.txt', 'msg-copy-2.txt']);
+    });
+
+    it('should retry a failed message until it is published', async () => {
+        const { summary } = await drain([{ messageId: 'retry-1', headers: { 'x-fail-times': 2 } }], { transformHook: hook });
+
+        assert.equal(summary.status, 'drained');
+        assert.include(summary.totals, { failed: 2, published: 1, deadLettered: 0 });
+        assert.lengthOf(await readMessages('orders-copy.ndjson'), 1);
+    });
+
+    it('should archive a message without id once across its retries', async () => {
+        const { summary } = await drain([{ body: 'no-id-retry', headers: { 'x-fail-times': 2 } }], { transformHook: hook });
+
+        assert.include(summary.totals, { failed: 2, published: 1 });
+        const archived = await readdir(join(folder, 'archive'));
+        assert.lengthOf(archived, 1);
+
+        const [copied] = await readMessages('orders-copy.ndjson');
+        assert.equal(archived[0], `msg-${copied.properties.headers['x-migration-id']}.txt`);
+    });
+
+    it('should dead-letter a message that keeps failing', async () => {
+        const { summary } = await drain([
+            { messageId: 'dead-1', headers: { 'x-fail-times': 99 } },
+            { messageId: 'dead-2' }
+        ], { transformHook: hook, maxPublishAttempts: 2, deadLetterQueue: 'dead' });
+
+        assert.equal(summary.status, 'incomplete');
+        assert.include(summary.totals, { failed: 2, published: 1, deadLettered: 1 });
+
+        const [deadLetter] = await readMessages('dead.ndjson', 'source');
+        assert.equal(deadLetter.properties.messageId, 'dead-1');
+        assert.equal(deadLetter.properties.headers['x-migration-attempts'], 2);
+        assert.deepEqual((await readMessages('orders-copy.ndjson')).map(({ properties }) => properties.messageId), ['dead-2']);
+    });
+
+    it('should requeue a message whose dead-letter was returned', async () => {
+        // the dead-letter exchange has no route the first time
+        const { publisher } = NdjsonFileAdapter.prototype;
+        let returns = 0;
+        sinon.stub(NdjsonFileAdapter.prototype, 'publisher').callsFake(async function(options) {
+            const target = await publisher.call(this, options);
+            return {
+                ...target,
+                publish: async (data, queue) => {
+                    if (data.exchange === 'dead-ex' && returns++ === 0) {
+                        options?.onReturn?.({ exchange: data.exchange, routingKey: data.routingKey, properties: data.properties, body: data.body });
+                        return;
+                    }
+                    return target.publish(data, queue);
+                }
+            };
+        });
+
+        const { summary } = await drain([{ messageId: 'return-1', headers: { 'x-fail-times': 99 } }],
+            { transformHook: hook, maxPublishAttempts: 2, deadLetterExchange: 'dead-ex' });
+
+        assert.equal(returns, 2);
+        assert.include(summary.totals, { failed: 3, deadLettered: 1 });
+        const deadLetters = await readMessages('dead-ex.ndjson', 'source');
+        assert.deepEqual(deadLetters.map(({ properties }) => properties.messageId), ['return-1']);
+    });
+
+    it('should archive a returned message under the id it was published with', async () => {
+        // the destination returns every message
+        const { publisher } = NdjsonFileAdapter.prototype;
+        sinon.stub(NdjsonFileAdapter.prototype, 'publisher').callsFake(async function(options) {
+            const target = await publisher.call(this, options);
+            return {
+                ...target,
+                publish: async (data, queue) => {
+                    options?.onReturn?.({ exchange: data.exchange, routingKey: data.routingKey, properties: data.properties, body: data.body });
+                    return target.publish(data, queue);
+                }
+            };
+        });
+
+        const { summary } = await drain([{ body: 'returned-without-id' }]);
+
+        assert.equal(summary.status, 'incomplete');
+        const archived = (await readdir(join(folder, 'archive'))).sort();
+        assert.lengthOf(archived, 2);
+        assert.equal(archived[1], `msg-returned-${archived[0].slice('msg-'.length)}`);
+    });
+
+    it('should settle an unmatched message whose dead-letter publish failed', async () => {
+        const routingRules = join(folder, 'routes.json');
+        await writeFile(routingRules, JSON.stringify({ routes: [{ match: { routingKey: 'orders' } }], unmatched: 'dead-letter' }));
+
+        // the dead-letter queue rejects the first publish
+        const { publisher } = NdjsonFileAdapter.prototype;
+        let rejected = 0;
+        sinon.stub(NdjsonFileAdapter.prototype, 'publisher').callsFake(async function(options) {
+            const target = await publisher.call(this, options);
+            return {
+                ...target,
+                publish: async (data, queue) => {
+                    if (queue === 'dead' && rejected++ === 0) {
+                        throw new Error('dead-letter publish failed');
+                    }
+                    return target.publish(data, queue);
+                }
+            };
+        });
+
+        const { summary } = await drain([{ messageId: 'unrouted-1', routingKey: 'invoices' }, { messageId: 'routed-1' }],
+            { routingRules, deadLetterQueue: 'dead', drainTimeout: 2000 });
+
+        assert.equal(summary.status, 'incomplete');
+        assert.include(summary.totals, { published: 1, deadLettered: 1 });
+        assert.deepEqual((await readMessages('dead.ndjson', 'source')).map(({ properties }) => properties.messageId), ['unrouted-1']);
+        assert.equal(JSON.parse(await readFile(join(folder, 'source', 'orders.ndjson.offset'), 'utf8')).acked, 2);
+    });
+
+    it('should close the archive, the dedup index and the checkpoint store at the end of a drain', async () => {
+        const closes = [FileLogger, FileDedupIndex, FileCheckpointStore].map(({ prototype }) => sinon.spy(prototype, 'close'));
+        let closedOnDrain;
+
+        await drain([{ messageId: 'close-1' }], { dedupStore: 'file', checkpointStore: 'file', runId: 'close' }, (runner) => {
+            runner.events.on('drained', () => {
+                closedOnDrain = closes.map((close) => close.called);
+            });
+        });
+
+        assert.deepEqual(closedOnDrain, [true, true, true]);
+        const checkpoint = (await readdir(join(folder, 'archive'))).find((name) => name.includes('close') && !name.startsWith('msg-'));
+        assert.include(await readFile(join(folder, 'archive', checkpoint), 'utf8'), '"drained"');
+    });
+
+    it('should ack the messages dropped by the transform', async () => {
+        const { summary } = await drain([
+            { messageId: 'drop-1', headers: { obsolete: true } },
+            { messageId: 'drop-2' }
+        ], { transformHook: dropHook });
+
+        assert.equal(summary.status, 'drained');
+        assert.include(summary.totals, { dropped: 1, published: 1 });
+        assert.deepEqual((await readMessages('orders-copy.ndjson')).map(({ properties }) => properties.messageId), ['drop-2']);
+        assert.equal(JSON.parse(await readFile(join(folder, 'source', 'orders.ndjson.offset'), 'utf8')).acked, 2);
+    });
+
+    it('should verify the published messages only, with their published body', async () => {
+        const publishedLogPath = join(folder, 'published.ndjson');
+        await drain([
+            { messageId: 'log-1', headers: { obsolete: true } },
+            { messageId: 'log-2', headers: { rewrite: 'rewritten' } },
+            { messageId: 'log-3' }
+        ], { transformHook: dropHook, publishedLogPath });
+
+        const report = await verify({ verifyMode: 'log', publishedLogPath, fileLogsPath: join(folder, 'archive'), logLevel: 'silent' });
+        assert.equal(report.status, 'verified');
+        assert.equal(report.verified, 2);
+        assert.deepEqual(report.notPublished, ['log-1']);
+        assert.deepEqual(report.missing, []);
+    });
+
+    it('should replace the global transform with the transform of the plan', async () => {
+        const migrationPlan = join(folder, 'plan.json');
+        await writeFile(migrationPlan, JSON.stringify({
+            queues: [{ source: 'orders', destination: 'orders-copy', transform: { rules: { headers: { set: { 'x-plan': 'orders' } } } } }]
+        }));
+
+        const { summary } = await drain([{ messageId: 'plan-1', headers: { obsolete: true } }], { transformHook: dropHook, migrationPlan });
+
+        assert.include(summary.totals, { dropped: 0, published: 1 });
+        const [copied] = await readMessages('orders-copy.ndjson');
+        assert.equal(copied.properties.headers['x-plan'], 'orders');
+        assert.notProperty(copied.properties.headers, 'x-source-queue');
+    });
+
+    it('should keep the order of a partition without holding back the others', async () => {
+        // eu and apac land in different partitions
+        const { summary } = await drain([
+            { messageId: 'eu-1', routingKey: 'eu', headers: { 'x-delay': 50 } },
+            { messageId: 'apac-1', routingKey: 'apac' },
+            { messageId: 'eu-2', routingKey: 'eu' },
+            { messageId: 'apac-2', routingKey: 'apac' },
+            { messageId: 'eu-3', routingKey: 'eu', headers: { 'x-delay': 10 } }
+        ], { transformHook: hook, concurrency: 2, partitionBy: 'routing-key' });
+
+        assert.equal(summary.status, 'drained');
+        const order = (await readMessages('orders-copy.ndjson')).map(({ properties }) => properties.messageId);
+        assert.deepEqual(order.filter((id) => id.startsWith('eu')), ['eu-1', 'eu-2', 'eu-3']);
+        assert.deepEqual(order.filter((id) => id.startsWith('apac')), ['apac-1', 'apac-2']);
+        assert.isBelow(order.indexOf('apac-2'), order.indexOf('eu-1'));
+    });
+
+    it('should keep forwarding a partition after a message failed unexpectedly', async () => {
+        let failed = false;
+        const { summary } = await drain([
+            { messageId: 'fail-1', routingKey: 'eu' },
+            { messageId: 'fail-2', routingKey: 'eu' },
+            { messageId: 'fail-3', routingKey: 'apac' },
+            { messageId: 'fail-4', routingKey: 'eu' }
+        ], { concurrency: 2, partitionBy: 'routing-key', drainTimeout: 2000 }, (runner) => {
+            runner.events.on('published', (host, id) => {
+                if (id === 'fail-1' && !failed) {
+                    failed = true;
+                    throw new Error('listener failed');
+                }
+            });
+        });
+
+        assert.isTrue(failed);
+        assert.equal(summary.status, 'drained');
+        const order = (await readMessages('orders-copy.ndjson')).map(({ properties }) => properties.messageId);
+        assert.deepEqual(order.filter((id) => id !== 'fail-3'), ['fail-1', 'fail-2', 'fail-4']);
+        assert.equal(JSON.parse(await readFile(join(folder, 'source', 'orders.ndjson.offset'), 'utf8')).acked, 4);
+    });
+});
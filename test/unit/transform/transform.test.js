@@ -0,0 +1,86 @@
+import { assert } from 'chai';
+import { fileURLToPath } from 'url';
+
+import { compileRules, loadTransform } from '../../../transform/transform.js';
+
+const hook = fileURLToPath(new URL('../../data/transform-hook.js', import.meta.url));
+
+describe('transform', () => {
+    const message = () => ({
+        exchange: 'old-exchange',
+        routingKey: 'orders.created',
+        properties: { messageId: '1', expiration: '1000', headers: { trace: 'abc', 'x-internal': true } },
+        body: new Uint8Array([1])
+    });
+
+    it('should rename exchanges and routing keys', () => {
+        const transform = compileRules({
+            exchanges: { 'old-exchange': 'new-exchange' },
+            routingKeys: { 'orders.deleted': 'v2.orders.deleted' },
+            routingKeyPatterns: [{ match: '^orders\\.(.*)$', replace: 'v2.orders.$1' }]
+        });
+
+        const result = transform(message());
+        assert.equal(result.exchange, 'new-exchange');
+        assert.equal(result.routingKey, 'v2.orders.created');
+        assert.equal(transform({ ...message(), routingKey: 'orders.deleted' }).routingKey, 'v2.orders.deleted');
+        assert.equal(transform({ ...message(), exchange: 'other' }).exchange, 'other');
+    });
+
+    it('should set and unset headers and override properties', () => {
+        const original = message();
+        const transform = compileRules({
+            headers: { set: { 'x-migrated-from': 'old-broker' }, unset: ['x-internal'] },
+            properties: { expiration: '60000', messageId: null, deliveryMode: 2 }
+        });
+
+        const result = transform(original);
+        assert.deepEqual(result.properties, {
+            expiration: '60000',
+            deliveryMode: 2,
+            headers: { trace: 'abc', 'x-migrated-from': 'old-broker' }
+        });
+
+        // the original message is not changed
+        assert.equal(original.properties.messageId, '1');
+        assert.isTrue(original.properties.headers['x-internal']);
+    });
+
+    it('should not create headers if no header rule is set', () => {
+        const transform = compileRules({ exchanges: { a: 'b' } });
+        const result = transform({ exchange: 'a', routingKey: '', properties: {} });
+        assert.notProperty(result.properties, 'headers');
+    });
+
+    it('should return nothing without rules or hook', async () => {
+        assert.isUndefined(await loadTransform({}));
+    });
+
+    it('should run the rules and then the hook', async () => {
+        const transform = await loadTransform({
+            rules: { headers: { set: { 'x-migrated-from': 'old-broker' } } },
+            hook
+        });
+
+        const original = message();
+        const result = await transform(original, { queue: 'test-source' });
+        assert.equal(result.properties.headers['x-migrated-from'], 'old-broker');
+        assert.equal(result.properties.headers['x-source-queue'], 'test-source');
+        assert.notProperty(original.properties.headers, 'x-source-queue');
+    });
+
+    it('should drop messages when the hook returns null', async () => {
+        const transform = await loadTransform({ hook });
+        const obsolete = { ...message(), properties: { headers: { obsolete: true } } };
+        assert.isNull(await transform(obsolete, { queue: 'test-source' }));
+    });
+
+    it('should refuse a hook without default export', async () => {
+        try {
+            await loadTransform({ hook: fileURLToPath(new URL('../../../publisher.js', import.meta.url)) });
+            assert.fail('Should throw async');
+        } catch(err) {
+            assert.match(err.message, /must export a default function$/);
+        }
+    });
+});
@@ -0,0 +1,62 @@
+import { assert } from 'chai';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import sinon from 'sinon';
+import { AMQPClient } from '@cloudamqp/amqp-client';
+
+import { verify } from '../../verifier.js';
+import FileLogger from '../../logger/file-logger.js';
+import { checksumOf } from '../../verify/verification.js';
+
+describe('verifier', () => {
+    let folder;
+    let queue;
+    let requeued;
+
+    beforeEach(async () => {
+        folder = await mkdtemp(join(tmpdir(), 'verifier-'));
+        const archive = new FileLogger({ logsPath: folder });
+        for (const id of ['a', 'b', 'c']) {
+            await archive.push(id, { body: id, checksum: checksumOf(id) });
+        }
+
+        // destination queue read with basic.get
+        queue = ['a', 'b', 'c'].map((id, index) => ({ deliveryTag: index + 1, properties: { headers: { 'x-migration-id': id } }, body: id }));
+        requeued = [];
+        const channel = {
+            queueDeclare: async () => ({ messageCount: queue.length }),
+            basicGet: async () => queue.shift() ?? null,
+            basicNack: async (...args) => requeued.push(args),
+            close: async () => {}
+        };
+        sinon.stub(AMQPClient.prototype, 'connect').callsFake(async function() {
+            this.closed = false;
+            this.channel = async () => channel;
+            this.close = async () => { this.closed = true; };
+            return this;
+        });
+    });
+
+    afterEach(async () => {
+        sinon.restore();
+        await rm(folder, { recursive: true, force: true });
+    });
+
+    const options = (extra = {}) => ({ destinationUrl: 'amqp://localhost', verifyQueue: 'orders', fileLogsPath: folder, logLevel: 'silent', ...extra });
+
+    it('should verify the messages of the queue and requeue them', async () => {
+        const report = await verify(options());
+
+        assert.include(report, { status: 'verified', verified: 3, truncated: false });
+        assert.deepEqual(requeued, [[3, true, true]]);
+    });
+
+    it('should read at most verifyMaxMessages', async () => {
+        const report = await verify(options({ verifyMaxMessages: 2 }));
+
+        assert.include(report, { status: 'incomplete', observed: 2, truncated: true });
+        assert.lengthOf(queue, 1);
+        assert.deepEqual(requeued, [[2, true, true]]);
+    });
+});
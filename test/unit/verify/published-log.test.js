@@ -0,0 +1,45 @@
+import { assert } from 'chai';
+import mock from 'mock-fs';
+import sinon from 'sinon';
+
+import PublishedLog from '../../../verify/published-log.js';
+
+describe('published-log', () => {
+    const logger = { warn: sinon.fake() };
+
+    beforeEach(() => {
+        mock({ '/logs': {} });
+    });
+
+    afterEach(() => {
+        mock.restore();
+    });
+
+    it('should append and read back the entries', async () => {
+        const log = new PublishedLog({ path: '/logs/published.ndjson', logger });
+        await log.record({ id: 'a', queue: 'orders', checksum: 'c1' });
+        await log.record({ id: 'b', queue: 'orders', checksum: 'c2' });
+
+        const entries = await log.entries();
+        assert.deepEqual(entries.map(({ id, checksum }) => ({ id, checksum })), [{ id: 'a', checksum: 'c1' }, { id: 'b', checksum: 'c2' }]);
+        assert.isString(entries[0].publishedAt);
+    });
+
+    it('should skip a line cut by a crash', async () => {
+        mock({ '/logs': { 'published.ndjson': '{"id":"a","checksum":"c1"}\n{"id":"b","che' } });
+
+        const entries = await new PublishedLog({ path: '/logs/published.ndjson', logger }).entries();
+        assert.deepEqual(entries, [{ id: 'a', checksum: 'c1' }]);
+        assert.isTrue(logger.warn.calledOnce);
+    });
+
+    it('should keep the last outcome of every message', async () => {
+        mock({ '/logs': { 'published.ndjson': '{"id":"a","checksum":"c1"}\n{"id":"b","disposition":"dropped"}\n{"id":"a","disposition":"published","checksum":"c2"}\n' } });
+
+        const outcomes = await new PublishedLog({ path: '/logs/published.ndjson', logger }).outcomes();
+        assert.deepEqual(Array.from(outcomes), [
+            ['a', { id: 'a', disposition: 'published', checksum: 'c2' }],
+            ['b', { id: 'b', disposition: 'dropped' }]
+        ]);
+    });
+});
@@ -0,0 +1,56 @@
+import { assert } from 'chai';
+
+import { checksumOf, compareArchive, expectedChecksums } from '../../../verify/verification.js';
+
+describe('verification', () => {
+    const body = new Uint8Array(Buffer.from('{"order":1}'));
+
+    it('should checksum strings and bytes the same way', () => {
+        assert.equal(checksumOf(body), checksumOf('{"order":1}'));
+        assert.match(checksumOf(body), /^[0-9a-f]{64}$/);
+        assert.equal(checksumOf(undefined), checksumOf(''));
+    });
+
+    it('should verify messages seen once with the same body', () => {
+        const archived = new Map([['a', checksumOf('a')], ['b', checksumOf('b')]]);
+        const report = compareArchive(archived, [{ id: 'b', checksum: checksumOf('b') }, { id: 'a', checksum: checksumOf('a') }]);
+
+        assert.deepEqual(report, { archived: 2, observed: 2, verified: 2, missing: [], duplicated: [], mismatched: [], unknown: [] });
+    });
+
+    it('should report missing, duplicated, mismatched and unknown messages', () => {
+        const archived = new Map([['a', checksumOf('a')], ['b', checksumOf('b')], ['c', checksumOf('c')]]);
+        const report = compareArchive(archived, [
+            { id: 'b', checksum: checksumOf('b') },
+            { id: 'b', checksum: checksumOf('b') },
+            { id: 'c', checksum: checksumOf('changed') },
+            { id: 'z', checksum: checksumOf('z') },
+            { checksum: checksumOf('no id') }
+        ]);
+
+        assert.equal(report.observed, 5);
+        assert.equal(report.verified, 0);
+        assert.deepEqual(report.missing, ['a']);
+        assert.deepEqual(report.duplicated, [{ id: 'b', count: 2 }]);
+        assert.deepEqual(report.mismatched, [{ id: 'c', expected: checksumOf('c'), actual: checksumOf('changed') }]);
+        assert.deepEqual(report.unknown, ['', 'z']);
+    });
+
+    it('should expect the published checksum and leave out the messages not published', () => {
+        const archived = new Map([['a', checksumOf('a')], ['b', checksumOf('b')], ['c', checksumOf('c')], ['d', checksumOf('d')]]);
+        const outcomes = new Map([
+            ['a', { disposition: 'published', checksum: checksumOf('rewritten') }],
+            ['b', { disposition: 'dropped' }],
+            ['c', { disposition: 'dead-lettered' }]
+        ]);
+
+        const { expected, notPublished } = expectedChecksums(archived, outcomes);
+        assert.deepEqual(Array.from(expected), [['a', checksumOf('rewritten')], ['d', checksumOf('d')]]);
+        assert.deepEqual(notPublished, ['b', 'c']);
+    });
+
+    it('should expect every archived message without outcomes', () => {
+        const archived = new Map([['a', checksumOf('a')]]);
+        assert.deepEqual(expectedChecksums(archived), { expected: archived, notPublished: [] });
+    });
+});
@@ -0,0 +1,178 @@
+import { readFile } from 'fs/promises';
+import { isDeepStrictEqual } from 'util';
+
+import ManagementApi from './management-api.js';
+
+/**
+ * @typedef {object} Definitions
+ * @property {object[]} exchanges
+ * @property {object[]} queues
+ * @property {object[]} bindings
+ * @property {object[]} policies
+ */
+
+/**
+ * @typedef {object} TopologyChange
+ * @property {'exchange'|'queue'|'binding'|'policy'} kind
+ * @property {'create'|'update'|'conflict'} action
+ * @property {string} name
+ * @property {object} definition - item as found in the source definitions
+ * @property {object} [current] - item as found in the destination definitions
+ */
+
+/**
+ * reads the exchanges, queues, bindings and policies of a vhost from a
+ * definitions export file or from the management api
+ * @async
+ * @param {string} source - path to a definitions JSON file or a management url
+ * @param {string} vhost
+ * @returns {Definitions}
+ */
+export async function loadDefinitions(source, vhost = '/') {
+    let definitions;
+
+    if (/^https?:\/\//.test(source)) {
+        definitions = await new ManagementApi(source).getDefinitions(vhost);
+    } else {
+        definitions = JSON.parse(await readFile(source, { encoding: 'utf8' }));
+    }
+
+    // full broker exports carry the vhost on every item
+    const inVhost = (item) => item.vhost === undefined || item.vhost === vhost;
+
+    return {
+        exchanges: (definitions.exchanges ?? []).filter(inVhost).filter(({ name }) => !isBuiltInExchange(name)),
+        queues: (definitions.queues ?? []).filter(inVhost),
+        bindings: (definitions.bindings ?? []).filter(inVhost),
+        policies: (definitions.policies ?? []).filter(inVhost)
+    };
+}
+
+/**
+ * lists what has to be declared on the destination to match the source.
+ * without destination definitions every source item is a creation
+ * @param {Definitions} source
+ * @param {Definitions} [destination]
+ * @returns {TopologyChange[]}
+ */
+export function diffTopology(source, destination = { exchanges: [], queues: [], bindings: [], policies: [] }) {
+    return [
+        ...diffItems('exchange', source.exchanges, destination.exchanges, ({ name }) => name,
+            ['type', 'durable', 'auto_delete', 'internal', 'arguments']),
+        ...diffItems('queue', source.queues, destination.queues, ({ name }) => name,
+            ['durable', 'auto_delete', 'arguments']),
+        ...diffItems('binding', source.bindings, destination.bindings, bindingName, []),
+        ...diffItems('policy', source.policies, destination.policies, ({ name }) => name,
+            ['pattern', 'apply-to', 'definition', 'priority'])
+    ];
+}
+
+/**
+ * declares the changes on the destination. exchanges, queues and bindings are
+ * declared over AMQP, policies need the management api. conflicts can not be
+ * redeclared over AMQP and are only reported
+ * @async
+ * @param {AMQPChannel} channel - destination channel
+ * @param {TopologyChange[]} changes
+ * @param {object} options
+ * @param {ManagementApi} [options.api] - destination management api
+ * @param {string} [options.vhost] - destination vhost
+ * @param {object} [options.logger]
+ */
+export async function applyTopology(channel, changes, { api, vhost = '/', logger = console }) {
+    for (const change of changes) {
+        const { kind, action, name, definition: item } = change;
+
+        if (action === 'conflict') {
+            logger.warn(change, `Skipping ${kind} ${name}: it exists on the destination with different settings`);
+            continue;
+        }
+
+        switch (kind) {
+            case 'exchange':
+                await channel.exchangeDeclare(item.name, item.type, {
+                    durable: item.durable ?? true,
+                    autoDelete: item.auto_delete ?? false,
+                    internal: item.internal ?? false
+                }, item.arguments ?? {});
+                break;
+            case 'queue':
+                await channel.queueDeclare(item.name, {
+                    durable: item.durable ?? true,
+                    autoDelete: item.auto_delete ?? false
+                }, item.arguments ?? {});
+                break;
+            case 'binding':
+                if (item.destination_type === 'exchange') {
+                    await channel.exchangeBind(item.destination, item.source, item.routing_key, item.arguments ?? {});
+                } else {
+                    await channel.queueBind(item.destination, item.source, item.routing_key, item.arguments ?? {});
+                }
+                break;
+            case 'policy':
+                if (!api) {
+                    logger.warn(`Skipping policy ${name}: a destination management url is required`);
+                    continue;
+                }
+                await api.putPolicy(vhost, item);
+                break;
+        }
+
+        logger.info(`Declared ${kind} ${name} on destination`);
+    }
+}
+
+/**
+ * default and amq.* exchanges exist on every broker
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isBuiltInExchange(name) {
+    return name === '' || name.startsWith('amq.');
+}
+
+/**
+ * @param {object} binding
+ * @returns {string}
+ */
+function bindingName({ source, destination, destination_type, routing_key, arguments: args = {} }) {
+    return `${source} -> ${destination_type} ${destination} (${routing_key}) ${JSON.stringify(args)}`;
+}
+
+/**
+ * missing fields are compared with their broker defaults
+ * @param {object} item
+ * @param {string} field
+ * @returns {any}
+ */
+function valueOf(item, field) {
+    return item[field] ?? (field === 'arguments' ? {} : null);
+}
+
+/**
+ * @param {string} kind
+ * @param {object[]} sourceItems
+ * @param {object[]} destItems
+ * @param {function(object): string} nameOf
+ * @param {string[]} fields - fields compared to detect a different item with the same name
+ * @returns {TopologyChange[]}
+ */
+function diffItems(kind, sourceItems, destItems, nameOf, fields) {
+    const existing = new Map(destItems.map((item) => [nameOf(item), item]));
+    const changes = [];
+
+    for (const item of sourceItems) {
+        const name = nameOf(item);
+        const current = existing.get(name);
+
+        if (!current) {
+            changes.push({ kind, action: 'create', name, definition: item });
+        } else if (!fields.every((field) => isDeepStrictEqual(valueOf(item, field), valueOf(current, field)))) {
+            // policies can be updated in place, everything else conflicts
+            const action = kind === 'policy' ? 'update' : 'conflict';
+            changes.push({ kind, action, name, definition: item, current });
+        }
+    }
+
+    return changes;
+}
@@ -0,0 +1,113 @@
+import { readFile } from 'fs/promises';
+import { resolve, extname } from 'path';
+import { pathToFileURL } from 'url';
+import yaml from 'js-yaml';
+
+/**
+ * @typedef {object} TransformRules
+ * @property {Record<string, string>} [exchanges] - exchange renames (old -> new)
+ * @property {Record<string, string>} [routingKeys] - routing key renames (old -> new)
+ * @property {{ match: string, replace: string }[]} [routingKeyPatterns] - regular expression rewrites, the first match wins
+ * @property {{ set?: Record<string, any>, unset?: string[] }} [headers]
+ * @property {Record<string, any>} [properties] - property overrides, null removes the property
+ */
+
+/**
+ * builds a synchronous transform from declarative rules
+ * @param {TransformRules} rules
+ * @returns {function(any): any} returns a transformed copy of the message
+ */
+export function compileRules({ exchanges = {}, routingKeys = {}, routingKeyPatterns = [], headers = {}, properties = {} } = {}) {
+    const patterns = routingKeyPatterns.map(({ match, replace }) => ({ regexp: new RegExp(match), replace }));
+    const { set = {}, unset = [] } = headers;
+    const touchesHeaders = Object.keys(set).length > 0 || unset.length > 0;
+
+    return (data) => {
+        const message = { ...data, properties: { ...data.properties } };
+
+        if (Object.hasOwn(exchanges, message.exchange)) {
+            message.exchange = exchanges[message.exchange];
+        }
+
+        if (Object.hasOwn(routingKeys, message.routingKey)) {
+            message.routingKey = routingKeys[message.routingKey];
+        } else {
+            const pattern = patterns.find(({ regexp }) => regexp.test(message.routingKey));
+            if (pattern) {
+                message.routingKey = message.routingKey.replace(pattern.regexp, pattern.replace);
+            }
+        }
+
+        if (touchesHeaders) {
+            const messageHeaders = { ...message.properties.headers, ...set };
+            unset.forEach((name) => delete messageHeaders[name]);
+            message.properties.headers = messageHeaders;
+        }
+
+        for (const [name, value] of Object.entries(properties)) {
+            if (value === null) {
+                delete message.properties[name];
+            } else {
+                message.properties[name] = value;
+            }
+        }
+
+        return message;
+    };
+}
+
+/**
+ * loads the transform stage: rules run first, then the hook. the hook is the
+ * default export of an ES module, it receives the message and returns the
+ * message to publish, or null to drop it (undefined keeps the message as it was
+ * passed, including in-place changes)
+ * @async
+ * @param {object} options
+ * @param {TransformRules} [options.rules] - inline rules
+ * @param {string} [options.rulesFile] - JSON or YAML file with the rules
+ * @param {string} [options.hook] - path to the hook module
+ * @returns {function(any, object): Promise<any|null>|undefined} undefined if there is nothing to transform
+ */
+export async function loadTransform({ rules, rulesFile, hook } = {}) {
+    const steps = [];
+
+    if (rulesFile) {
+        const content = await readFile(rulesFile, { encoding: 'utf8' });
+        const ext = extname(rulesFile).toLowerCase();
+        steps.push(compileRules(ext === '.yaml' || ext === '.yml' ? yaml.load(content) : JSON.parse(content)));
+    }
+
+    if (rules) {
+        steps.push(compileRules(rules));
+    }
+
+    if (hook) {
+        const module = await import(pathToFileURL(resolve(hook)).href);
+        if (typeof module.default !== 'function') {
+            throw new TypeError(`transform hook ${hook} must export a default function`);
+        }
+        steps.push(module.default);
+    }
+
+    if (steps.length === 0) {
+        return;
+    }
+
+    return async (data, context) => {
+        // hooks may change the message in place, the archived copy stays intact
+        const properties = { ...data.properties };
+        if (properties.headers) {
+            properties.headers = { ...properties.headers };
+        }
+
+        let message = { ...data, properties };
+        for (const step of steps) {
+            const result = await step(message, context);
+            if (result === null || result === false) {
+                return null;
+            }
+            message = result ?? message;
+        }
+        return message;
+    };
+}
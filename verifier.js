@@ -0,0 +1,144 @@
+// external modules
+import { AMQPClient } from '@cloudamqp/amqp-client';
+import pino from 'pino';
+import { writeFile } from 'fs/promises';
+
+// internal modules
+import { BaseLogger, archiveOptions } from './logger/index.js';
+import { createArchiveFilter } from './replay/archive-filter.js';
+import PublishedLog from './verify/published-log.js';
+import { checksumOf, compareArchive, expectedChecksums } from './verify/verification.js';
+import { resolveConfig } from './config/load-config.js';
+
+/**
+ * compares the archived messages with the destination: the messages of a
+ * destination queue (requeued afterwards) or the published log. with the
+ * published log, messages not published on purpose are left out and the
+ * others are compared with the checksum of their published body
+ * @async
+ * @param {object} options - verify options, see config/options.js
+ * @returns {object} `verified` status when every archived message was found once with the same checksum
+ * @throws ConfigError if the options are invalid
+ */
+export async function verify(options) {
+    const config = resolveConfig('verify', options);
+    const logger = pino({ level: config.logLevel });
+    const store = await BaseLogger.create(config.verifyFrom, await archiveOptions(config, logger));
+
+    let archived;
+    try {
+        archived = await readArchive(store, config);
+    } finally {
+        await store.close();
+    }
+    logger.info(`Found ${archived.size} archived messages in ${config.verifyFrom}`);
+
+    // how every message was settled by the migration
+    const published = config.publishedLogPath ? new PublishedLog({ path: config.publishedLogPath, logger }) : undefined;
+    const { expected, notPublished } = expectedChecksums(archived, await published?.outcomes());
+
+    const { observed, truncated } = config.verifyMode === 'queue'
+        ? await readQueue(config, logger)
+        : {
+            observed: (await published.entries())
+                .filter(({ disposition = 'published' }) => disposition === 'published')
+                .map(({ id, checksum }) => ({ id, checksum })),
+            truncated: false
+        };
+
+    // messages left on a truncated queue would be reported missing
+    const comparison = compareArchive(expected, observed);
+    const failed = comparison.missing.length + comparison.duplicated.length + comparison.mismatched.length > 0;
+    const status = truncated ? 'incomplete' : failed ? 'failed' : 'verified';
+    const report = { mode: config.verifyMode, status, ...comparison, notPublished, truncated };
+
+    logger.info({
+        archived: report.archived,
+        notPublished: notPublished.length,
+        observed: report.observed,
+        missing: report.missing.length,
+        duplicated: report.duplicated.length,
+        mismatched: report.mismatched.length,
+        unknown: report.unknown.length
+    }, `Verification ${report.status}`);
+
+    if (config.verifyReport) {
+        await writeFile(config.verifyReport, JSON.stringify(report, null, 2));
+    }
+    return report;
+}
+
+/**
+ * checksums of the archived messages, computed when they were consumed. older
+ * archives without checksum are hashed now
+ * @async
+ * @param {BaseLogger} store
+ * @param {object} config
+ * @returns {Map<string, string>} checksum by id
+ */
+async function readArchive(store, config) {
+    const filter = createArchiveFilter({
+        fromId: config.verifyFromId,
+        toId: config.verifyToId,
+        since: config.verifySince,
+        until: config.verifyUntil
+    });
+
+    const archived = new Map();
+    for (const id of await store.list()) {
+        if (!filter.matchesId(id)) continue;
+
+        const record = await store.get(id);
+        if (!record || !filter.matches(record)) continue;
+        archived.set(id, record.checksum ?? checksumOf(record.body));
+    }
+    return archived;
+}
+
+/**
+ * reads the messages of the queue without acknowledging them, then requeues
+ * them all: they are held unacked until then, and flagged redelivered once
+ * requeued. at most verifyMaxMessages are read, messages published meanwhile
+ * are not. messages are identified by the id header or their message id
+ * @async
+ * @param {object} config
+ * @param {pino.Logger} logger
+ * @returns {{ observed: { id?: string, checksum: string }[], truncated: boolean }} truncated if messages were left unread
+ */
+async function readQueue(config, logger) {
+    const queue = config.verifyQueue;
+    const conn = await new AMQPClient(config.destinationUrl).connect();
+    try {
+        const channel = await conn.channel();
+        const { messageCount } = await channel.queueDeclare(queue, { passive: true });
+        const limit = Math.min(messageCount, config.verifyMaxMessages);
+
+        const observed = [];
+        let last;
+        while (observed.length < limit) {
+            const msg = await channel.basicGet(queue);
+            if (!msg) break;
+
+            const { headers, messageId } = msg.properties;
+            observed.push({ id: headers?.[config.idHeader] ?? messageId, checksum: checksumOf(msg.body) });
+            last = msg;
+        }
+
+        // back to the queue, in their order
+        if (last) {
+            await channel.basicNack(last.deliveryTag, true, true);
+        }
+        await channel.close();
+        logger.info(`Read ${observed.length} messages from ${queue}, requeued`);
+
+        const truncated = messageCount > limit;
+        if (truncated) {
+            logger.warn(`${queue} holds ${messageCount} messages, only the first ${limit} were read (VERIFY_MAX_MESSAGES)`);
+        }
+        return { observed, truncated };
+    } finally {
+        if (!conn.closed) {
+            await conn.close();
+        }
+    }
+}
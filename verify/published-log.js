@@ -0,0 +1,61 @@
+import { readFile, appendFile } from 'fs/promises';
+
+/**
+ * one JSON line per message settled by the migration: confirmed by the
+ * destination, with the checksum of the published body, or dropped, archived
+ * only or dead-lettered on purpose. read back by the verify command
+ * @class PublishedLog
+ */
+export default class PublishedLog {
+    /**
+     * @param {object} options
+     * @param {string} options.path - log file, created if missing
+     * @param {pino.Logger} [options.logger]
+     */
+    constructor({ path, logger = console }) {
+        this.path = path;
+        this.logger = logger;
+    }
+
+    /**
+     * @async
+     * @param {{ id: string, queue?: string, disposition?: 'published'|'dropped'|'archived'|'dead-lettered', exchange?: string, routingKey?: string, checksum?: string }} entry
+     * @throws Error if the log can not be written
+     */
+    async record(entry) {
+        await appendFile(this.path, JSON.stringify({ ...entry, publishedAt: new Date().toISOString() }) + '\n');
+    }
+
+    /**
+     * @async
+     * @returns {object[]} logged entries, in order
+     */
+    async entries() {
+        const content = await readFile(this.path, { encoding: 'utf8' });
+
+        const entries = [];
+        for (const line of content.split('\n')) {
+            if (!line) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch {
+                // a line cut by a crash
+                this.logger.warn(`Ignoring a corrupted line of the published log ${this.path}`);
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * @async
+     * @returns {Map<string, object>} last entry of every message id. entries
+     *   written before the dispositions were recorded are `published`
+     */
+    async outcomes() {
+        const outcomes = new Map();
+        for (const entry of await this.entries()) {
+            outcomes.set(entry.id, { disposition: 'published', ...entry });
+        }
+        return outcomes;
+    }
+}
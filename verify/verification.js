@@ -0,0 +1,86 @@
+import { createHash } from 'crypto';
+
+/**
+ * sha256 of a message body, computed when the message is consumed and again
+ * on the destination
+ * @param {Uint8Array|string} body
+ * @returns {string} hex digest
+ */
+export function checksumOf(body) {
+    return createHash('sha256').update(body ?? '').digest('hex');
+}
+
+/**
+ * checksums expected on the destination. with the outcomes of the published
+ * log, messages settled without being published (dropped, archived only,
+ * dead-lettered) are not expected, and published messages are expected with
+ * the checksum of their body as it was published, after the transforms
+ * @param {Map<string, string>} archived - checksum by message id, taken when it was consumed
+ * @param {Map<string, object>} [outcomes] - published log entry by message id
+ * @returns {{ expected: Map<string, string>, notPublished: string[] }}
+ */
+export function expectedChecksums(archived, outcomes = new Map()) {
+    const expected = new Map();
+    const notPublished = [];
+    for (const [id, checksum] of archived) {
+        const outcome = outcomes.get(id);
+        if (outcome && outcome.disposition !== 'published') {
+            notPublished.push(id);
+        } else {
+            expected.set(id, outcome?.checksum ?? checksum);
+        }
+    }
+    return { expected, notPublished };
+}
+
+/**
+ * @typedef {object} VerificationReport
+ * @property {number} archived - archived messages expected on the destination
+ * @property {number} observed - messages seen on the destination
+ * @property {number} verified - archived messages found once with the same checksum
+ * @property {string[]} missing - archived, never seen on the destination
+ * @property {{ id: string, count: number }[]} duplicated - seen more than once
+ * @property {{ id: string, expected: string, actual: string }[]} mismatched - body checksum differs
+ * @property {string[]} unknown - seen on the destination, not in the archive
+ */
+
+/**
+ * compares the archived messages with the messages seen on the destination
+ * @param {Map<string, string>} archived - checksum by message id
+ * @param {Iterable<{ id?: string, checksum: string }>} observed - destination messages
+ * @returns {VerificationReport}
+ */
+export function compareArchive(archived, observed) {
+    const seen = new Map();
+    const unknown = new Set();
+    let count = 0;
+
+    for (const { id, checksum } of observed) {
+        count++;
+        if (id === undefined || !archived.has(id)) {
+            unknown.add(id ?? '');
+            continue;
+        }
+        seen.set(id, [...(seen.get(id) ?? []), checksum]);
+    }
+
+    const report = { archived: archived.size, observed: count, verified: 0, missing: [], duplicated: [], mismatched: [], unknown: Array.from(unknown).sort() };
+    for (const [id, expected] of archived) {
+        const checksums = seen.get(id);
+        if (!checksums) {
+            report.missing.push(id);
+            continue;
+        }
+        if (checksums.length > 1) {
+            report.duplicated.push({ id, count: checksums.length });
+        }
+
+        const actual = checksums.find((checksum) => checksum !== expected);
+        if (actual !== undefined) {
+            report.mismatched.push({ id, expected, actual });
+        } else if (checksums.length === 1) {
+            report.verified++;
+        }
+    }
+    return report;
+}